@@ -10,6 +10,11 @@ export default [
         console: 'readonly',
         process: 'readonly',
         Buffer: 'readonly',
+        TextDecoder: 'readonly',
+        TextEncoder: 'readonly',
+        ReadableStream: 'readonly',
+        TransformStream: 'readonly',
+        WritableStream: 'readonly',
         __dirname: 'readonly',
         __filename: 'readonly',
         exports: 'writable',
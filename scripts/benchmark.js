@@ -0,0 +1,151 @@
+/**
+ * Measure detection throughput on the calibration corpus: the ASCII art
+ * line scan alone, next to the per-character scan it replaced, the whole
+ * ASCII art score, detectTextFormat in a loop, and detectMany with worker
+ * threads.
+ *
+ * Usage: node scripts/benchmark.js [--seconds N] [--concurrency N]
+ *
+ * Compare the numbers before and after a change to a heuristic, e.g. by
+ * running the script on both commits.
+ */
+import { readFileSync, readdirSync } from 'node:fs';
+import { availableParallelism } from 'node:os';
+import { dirname, join } from 'node:path';
+import { performance } from 'node:perf_hooks';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import {
+  BORDER_CHARS,
+  LINE_SYMBOL_CHARS,
+  asciiArtScore,
+  measureLine,
+} from '../src/heuristics.js';
+import { detectMany, detectTextFormat } from '../src/index.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const { values } = parseArgs({
+  options: {
+    seconds: { type: 'string', default: '2' },
+    concurrency: { type: 'string', default: String(availableParallelism()) },
+  },
+});
+const seconds = Number(values.seconds);
+const concurrency = Number(values.concurrency);
+
+const dir = join(root, 'calibration', 'corpus');
+const corpus = readdirSync(dir).flatMap((format) =>
+  readdirSync(join(dir, format)).map((file) =>
+    readFileSync(join(dir, format, file), 'utf8')
+  )
+);
+const corpusBytes = corpus.reduce((n, text) => n + Buffer.byteLength(text), 0);
+
+/**
+ * Measure a line for the ASCII art indicators the way asciiArtScore did
+ * before measureLine: a regular expression or set lookup per character,
+ * then more passes over the trimmed line. Kept as the reference that the
+ * char-code scan is compared against.
+ * @param {string} line - Line without its line break
+ * @returns {Object} Same counts and flags as measureLine, for ASCII text
+ */
+function measureLineByCharacter(line) {
+  let alnum = 0;
+  let sym = 0;
+  for (const ch of line) {
+    if (/[A-Za-z0-9]/.test(ch)) alnum++;
+    if (LINE_SYMBOL_CHARS.has(ch)) sym++;
+  }
+
+  const t = line.trim();
+  let bordered = false;
+  if (t.length >= 3) {
+    const allSame = t.split('').every((c) => c === t[0]);
+    const mostlyBorder =
+      t.split('').filter((c) => BORDER_CHARS.has(c)).length / t.length >= 0.8;
+    bordered =
+      BORDER_CHARS.has(t[0]) &&
+      BORDER_CHARS.has(t.at(-1)) &&
+      (mostlyBorder || allSame);
+  }
+
+  return {
+    alnum,
+    sym,
+    trimmed: t.length,
+    bordered,
+    longRun: /(.)\1{4,}/.test(line),
+    trailing: /\s+$/.test(line) && t.length > 0,
+  };
+}
+
+/**
+ * Print the throughput of a run
+ * @param {string} name - What was measured
+ * @param {number} texts - Texts processed
+ * @param {number} ms - Elapsed milliseconds
+ * @param {number} [baseline] - Texts per second to compare against
+ * @returns {number} Texts per second
+ */
+function report(name, texts, ms, baseline) {
+  const bytes = (texts / corpus.length) * corpusBytes;
+  const perSecond = (n) => n / (ms / 1000);
+  const speedup = baseline
+    ? ` ${(perSecond(texts) / baseline).toFixed(2).padStart(6)}x`
+    : '';
+  console.log(
+    `${name.padEnd(36)} ${perSecond(texts).toFixed(0).padStart(8)} texts/s ${(perSecond(bytes) / 1e6).toFixed(2).padStart(7)} MB/s${speedup}`
+  );
+  return perSecond(texts);
+}
+
+/**
+ * Run a function over the corpus repeatedly for the configured time
+ * @param {string} name - What is measured
+ * @param {Function} fn - Called with each text
+ * @param {number} [baseline] - Texts per second to compare against
+ * @returns {number} Texts per second
+ */
+function measure(name, fn, baseline) {
+  // Warm up so the JIT has compiled the hot paths
+  corpus.forEach(fn);
+  let texts = 0;
+  const start = performance.now();
+  while (performance.now() - start < seconds * 1000) {
+    corpus.forEach(fn);
+    texts += corpus.length;
+  }
+  return report(name, texts, performance.now() - start, baseline);
+}
+
+/**
+ * Run a line measurement over every line of a text
+ * @param {Function} measureOne - measureLine or its reference
+ * @returns {Function} Called with each text
+ */
+function scanLines(measureOne) {
+  return (text) => text.split(/\r\n?|\n/).forEach(measureOne);
+}
+
+console.log(
+  `${corpus.length} texts, ${(corpusBytes / 1024).toFixed(1)} KiB, ${seconds}s per run`
+);
+const before = measure(
+  'line scan, per character (before)',
+  scanLines(measureLineByCharacter)
+);
+measure('line scan, by char code', scanLines(measureLine), before);
+measure('asciiArtScore', (text) => asciiArtScore(text));
+measure('detectTextFormat', (text) => detectTextFormat(text));
+
+// Enough copies of the corpus to keep the workers busy for a while
+const rounds = Math.max(1, Math.round((seconds * 2000) / corpus.length));
+const many = Array.from({ length: rounds }, () => corpus).flat();
+const start = performance.now();
+await detectMany(many, { concurrency });
+report(
+  `detectMany (concurrency ${concurrency})`,
+  many.length,
+  performance.now() - start
+);
@@ -0,0 +1,86 @@
+/**
+ * Fit the probability calibration on the labelled fixtures in
+ * test/detectTextFormat.test.js and the corpus in calibration/corpus, where
+ * each file sits in a directory named after its format.
+ *
+ * Usage: node scripts/calibrate.js [--write]
+ *
+ * Prints the metrics before and after fitting; with --write, saves the new
+ * parameters to src/calibration.js.
+ */
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { calibrate } from '../src/index.js';
+
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Read the text and expected format of each test in the detection suite
+ * @returns {Array<Object>} Samples as { text, format }
+ */
+function testFixtures() {
+  const source = readFileSync(
+    join(root, 'test', 'detectTextFormat.test.js'),
+    'utf8'
+  );
+  const samples = [];
+
+  for (const block of source.split(/\n\s+it\(/).slice(1)) {
+    const text = /const text =\s*(`(?:[^`\\]|\\.)*`|'(?:[^'\\]|\\.)*')/.exec(
+      block
+    );
+    const format = /result\.text_format\)\.to\.equal\('(\w+)'\)/.exec(block);
+    // Only literal texts with a single expected format are usable
+    if (!text || !format || text[1].includes('${')) continue;
+
+    samples.push({
+      text: new Function(`return ${text[1]};`)(),
+      format: format[1],
+    });
+  }
+
+  return samples;
+}
+
+/**
+ * Read the labelled corpus
+ * @returns {Array<Object>} Samples as { text, format }
+ */
+function corpus() {
+  const dir = join(root, 'calibration', 'corpus');
+
+  return readdirSync(dir).flatMap((format) =>
+    readdirSync(join(dir, format)).map((file) => ({
+      text: readFileSync(join(dir, format, file), 'utf8'),
+      format,
+    }))
+  );
+}
+
+const samples = [...testFixtures(), ...corpus()];
+const { calibration, metrics, baseline } = calibrate(samples);
+
+console.log('before:', baseline);
+console.log('after: ', metrics);
+
+if (process.argv.includes('--write')) {
+  const formats = Object.entries(calibration.formats)
+    .map(
+      ([f, { scale, bias }]) => `    ${f}: { scale: ${scale}, bias: ${bias} },`
+    )
+    .join('\n');
+  writeFileSync(
+    join(root, 'src', 'calibration.js'),
+    `// Generated by \`npm run calibrate\` from ${samples.length} labelled samples;
+// do not edit by hand
+export const CALIBRATION = {
+  decision: ${calibration.decision},
+  formats: {
+${formats}
+  },
+};
+`
+  );
+  console.log('wrote src/calibration.js');
+}
@@ -0,0 +1,316 @@
+import { createTally } from './tally.js';
+
+// Minimum score for captured terminal output to win classification
+export const TERMINAL_TH = 0.4;
+
+// OSC strings (terminated by BEL or ST), CSI sequences and two-byte escapes
+const SEQUENCE_RE =
+  /\x1B\][^\x07\x1B]*(?:\x07|\x1B\\)|\x1B\[[0-?]*[ -/]*[@-~]|\x1B[@-Z\\-_]/g;
+const CSI_RE = /^\x1B\[([0-?]*)[ -/]*([@-~])$/;
+const HYPERLINK_RE = /^\x1B\]8;[^;]*;([^\x07\x1B]*)/;
+
+const COLORS = [
+  'black',
+  'red',
+  'green',
+  'yellow',
+  'blue',
+  'magenta',
+  'cyan',
+  'white',
+];
+
+/**
+ * Split text into escape sequences and the text between them
+ * @param {string} text - The text to split
+ * @returns {Array<Object>} Tokens as { text } or { sequence }
+ */
+function tokenize(text) {
+  const tokens = [];
+  let last = 0;
+
+  for (const match of text.matchAll(SEQUENCE_RE)) {
+    if (match.index > last)
+      tokens.push({ text: text.slice(last, match.index) });
+    tokens.push({ sequence: match[0] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) tokens.push({ text: text.slice(last) });
+
+  return tokens;
+}
+
+/**
+ * Replay one line of terminal output the way a terminal would show it:
+ * carriage returns and backspaces move the cursor, later text overwrites
+ * earlier text and erase-line sequences clear it
+ * @param {string} line - One line of raw output, without its line break
+ * @returns {string} The visible line
+ */
+function renderLine(line) {
+  if (!/[\r\b]|\x1B\[[0-2]?K/.test(line)) {
+    return line.replace(SEQUENCE_RE, '').replaceAll('\x07', '');
+  }
+
+  const cells = [];
+  let cursor = 0;
+
+  for (const token of tokenize(line)) {
+    if (token.sequence) {
+      const csi = CSI_RE.exec(token.sequence);
+      if (csi?.[2] !== 'K') continue;
+      if (csi[1] === '1') {
+        cells.fill(' ', 0, cursor);
+      } else if (csi[1] === '2') {
+        cells.length = 0;
+      } else {
+        cells.length = Math.min(cells.length, cursor);
+      }
+      continue;
+    }
+
+    for (const ch of token.text) {
+      if (ch === '\r') {
+        cursor = 0;
+      } else if (ch === '\b') {
+        cursor = Math.max(0, cursor - 1);
+      } else if (ch !== '\x07') {
+        cells[cursor++] = ch;
+      }
+    }
+  }
+
+  // Cells skipped over or erased before the cursor show as spaces
+  return Array.from(cells, (ch) => ch ?? ' ').join('');
+}
+
+/**
+ * Remove ANSI escape sequences and resolve carriage-return and erase-line
+ * overwrites (e.g. progress bars) to the text a terminal would end up showing
+ * @param {string} text - Raw terminal output
+ * @returns {string} The visible text, with line breaks preserved
+ */
+export function stripAnsi(text) {
+  if (typeof text !== 'string') return '';
+
+  // Text that uses bare \r as its line break has nothing to overwrite
+  if (!text.includes('\n') && text.includes('\r')) {
+    return text.replace(SEQUENCE_RE, '');
+  }
+
+  return text
+    .split('\n')
+    .map((line) => {
+      const crlf = line.endsWith('\r');
+      return renderLine(crlf ? line.slice(0, -1) : line) + (crlf ? '\r' : '');
+    })
+    .join('\n');
+}
+
+/**
+ * Resolve an SGR color parameter list starting at index i
+ * @param {number[]} params - SGR parameters
+ * @param {number} i - Index of the 38 or 48 parameter
+ * @returns {Array} The color and the number of parameters consumed
+ */
+function extendedColor(params, i) {
+  if (params[i + 1] === 5) return [params[i + 2] ?? 0, 3];
+  if (params[i + 1] === 2) {
+    const hex = params
+      .slice(i + 2, i + 5)
+      .map((n) =>
+        Math.min(255, n || 0)
+          .toString(16)
+          .padStart(2, '0')
+      )
+      .join('');
+    return [`#${hex.padEnd(6, '0')}`, 5];
+  }
+  return [null, 1];
+}
+
+/**
+ * Apply an SGR (Select Graphic Rendition) sequence to a style
+ * @param {Object} style - Current style
+ * @param {string} body - Parameters between "\x1B[" and "m"
+ * @returns {Object} The new style
+ */
+function applySgr(style, body) {
+  const params = body === '' ? [0] : body.split(/[;:]/).map(Number);
+  const next = { ...style };
+  const flags = {
+    1: 'bold',
+    2: 'dim',
+    3: 'italic',
+    4: 'underline',
+    7: 'inverse',
+    9: 'strikethrough',
+  };
+  const resets = {
+    22: ['bold', 'dim'],
+    23: ['italic'],
+    24: ['underline'],
+    27: ['inverse'],
+    29: ['strikethrough'],
+    39: ['fg'],
+    49: ['bg'],
+  };
+
+  for (let i = 0; i < params.length; i++) {
+    const p = params[i];
+    if (p === 0) {
+      for (const key of Object.keys(next)) delete next[key];
+    } else if (flags[p]) {
+      next[flags[p]] = true;
+    } else if (resets[p]) {
+      for (const key of resets[p]) delete next[key];
+    } else if (p >= 30 && p <= 37) {
+      next.fg = COLORS[p - 30];
+    } else if (p >= 40 && p <= 47) {
+      next.bg = COLORS[p - 40];
+    } else if (p >= 90 && p <= 97) {
+      next.fg = `bright${COLORS[p - 90][0].toUpperCase()}${COLORS[p - 90].slice(1)}`;
+    } else if (p >= 100 && p <= 107) {
+      next.bg = `bright${COLORS[p - 100][0].toUpperCase()}${COLORS[p - 100].slice(1)}`;
+    } else if (p === 38 || p === 48) {
+      const [color, used] = extendedColor(params, i);
+      if (color !== null) next[p === 38 ? 'fg' : 'bg'] = color;
+      i += used - 1;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Compare two styles attribute by attribute
+ * @param {Object} a - First style
+ * @param {Object} b - Second style
+ * @returns {boolean} True when both set the same attributes
+ */
+function sameStyle(a, b) {
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k])
+  );
+}
+
+/**
+ * Turn text with ANSI escape sequences into styled spans. SGR sequences set
+ * colors and attributes, OSC 8 sequences set links, and every other sequence
+ * is dropped; the text itself is kept as is.
+ * @param {string} text - Raw terminal output
+ * @returns {Array<Object>} Spans as { text, style, href } where style holds
+ *   the active attributes (fg, bg, bold, dim, italic, underline, inverse,
+ *   strikethrough); colors are names, 256-color indexes or '#rrggbb'
+ */
+export function ansiToSpans(text) {
+  if (typeof text !== 'string') return [];
+
+  const spans = [];
+  let style = {};
+  let href = null;
+
+  for (const token of tokenize(text)) {
+    if (token.sequence) {
+      const csi = CSI_RE.exec(token.sequence);
+      const link = HYPERLINK_RE.exec(token.sequence);
+      if (csi?.[2] === 'm') style = applySgr(style, csi[1]);
+      if (link) href = link[1] || null;
+      continue;
+    }
+
+    const prev = spans.at(-1);
+    if (prev && prev.href === href && sameStyle(prev.style, style)) {
+      prev.text += token.text;
+    } else {
+      spans.push({ text: token.text, style, href });
+    }
+  }
+
+  return spans;
+}
+
+/**
+ * Find the 1-based line of an offset, counting \r, \n and \r\n as line
+ * breaks like the rest of detection does
+ * @param {number[]} breaks - Offsets of the line breaks, in order
+ * @param {number} offset - Offset in the text
+ * @returns {number} Line number
+ */
+function lineAt(breaks, offset) {
+  let low = 0;
+  let high = breaks.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (breaks[mid] < offset) low = mid + 1;
+    else high = mid;
+  }
+  return low + 1;
+}
+
+/**
+ * Analyze escape sequences and overwrites in captured terminal output
+ * @param {string} text - Raw text
+ * @returns {Object} Score, reasons and the checks behind them, and counts
+ *   of each kind of sequence
+ */
+export function analyzeTerminal(text) {
+  const breaks = Array.from(text.matchAll(/\r\n?|\n/g), (m) => m.index);
+  // 1-based numbers of the lines with each kind of sequence
+  const found = {
+    sgr: [],
+    cursor: [],
+    erase: [],
+    hyperlinks: [],
+    osc: [],
+    carriageReturns: [],
+  };
+  const note = (kind, offset) => {
+    const line = lineAt(breaks, offset);
+    if (found[kind].at(-1) !== line) found[kind].push(line);
+  };
+  const sequences = Object.fromEntries(Object.keys(found).map((k) => [k, 0]));
+
+  for (const { 0: sequence, index } of text.matchAll(SEQUENCE_RE)) {
+    const csi = CSI_RE.exec(sequence);
+    let kind = null;
+    if (csi?.[2] === 'm') kind = 'sgr';
+    else if (csi && /[JK]/.test(csi[2])) kind = 'erase';
+    else if (csi) kind = 'cursor';
+    else if (HYPERLINK_RE.test(sequence)) kind = 'hyperlinks';
+    else if (sequence.startsWith('\x1B]')) kind = 'osc';
+    if (!kind) continue;
+    sequences[kind]++;
+    note(kind, index);
+  }
+  // Only a \r inside a line overwrites; \r\n and \r-only line breaks do not
+  if (text.includes('\n')) {
+    for (const { index } of text.matchAll(/\r(?!\n|$)/gm)) {
+      sequences.carriageReturns++;
+      note('carriageReturns', index);
+    }
+  }
+
+  const tally = createTally({});
+  const check = (name, kind, weight) =>
+    tally.add(name, sequences[kind] > 0, {
+      value: sequences[kind],
+      threshold: '>= 1',
+      weight,
+      lines: found[kind],
+    });
+  check('color_codes', 'sgr', 0.4);
+  check('cursor_movement', 'cursor', 0.3);
+  check('erase_sequences', 'erase', 0.2);
+  check('hyperlinks', 'hyperlinks', 0.4);
+  check('osc_sequences', 'osc', 0.3);
+  check('carriage_returns', 'carriageReturns', 0.4);
+
+  return {
+    score: Number(Math.min(1, tally.score).toFixed(3)),
+    reasons: tally.reasons,
+    checks: tally.checks,
+    sequences,
+  };
+}
@@ -0,0 +1,527 @@
+import { stripAnsi } from './ansi.js';
+import {
+  BLOCK_ELEMS_RE,
+  BORDER_CHARS,
+  BOX_DRAWING_RE,
+  BRAILLE_RE,
+  BRANCH_RE,
+} from './heuristics.js';
+// Vertical bars that separate the cells of a table row
+const COLUMN_CHARS = new Set(Array.from('|│┃║'));
+// Junctions that join the rules of a table inside the line
+const JUNCTION_RE = /[+|┼┬┴╋╬╪╫┿╤╧╦╩┯┷┳┻]/;
+const SPARKLINE_RE = /[▁▂▃▄▅▆▇█]{4,}/g;
+// Runs of the characters bar charts draw with, with partial block tails
+const BAR_RE = /█+[▉▊▋▌▍▎▏]?|[■▇]+|#{2,}|={2,}|\*{2,}/g;
+const VALUE_RE = /\d(?:[.,]\d+)?%?[ \t]*$/;
+// Longer shafts contain these, so fixed strings suffice
+const ARROW_RE = /-->|<--|==>|<==|[→←↑↓↔⇒⇐⇔▶◀▲▼►◄]/;
+const BOX_RE = /[┌╔╭┏][─═━]+[┐╗╮┓]|\+-{2,}\+|\.-{2,}\./;
+const BOX_LABEL_RE = /[│|║┃][ \t]*[A-Za-z]\w*/;
+// Strokes of FIGlet fonts
+const FIGLET_CHARS = new Set(Array.from("_|/\\()'`,.<>-=V"));
+
+/**
+ * Count the characters of a text that pass a test
+ * @param {string} text - The text to scan
+ * @param {Function} test - Called with each character
+ * @returns {number} Number of characters that pass
+ */
+function countChars(text, test) {
+  let count = 0;
+  for (const char of text) if (test(char)) count++;
+  return count;
+}
+
+/**
+ * Check whether a line is a horizontal rule: border or box drawing
+ * characters only, as in "+----+" or "├────┤"
+ * @param {string} line - Trimmed line
+ * @returns {boolean} True for a rule
+ */
+function isRule(line) {
+  return (
+    line.length >= 3 &&
+    countChars(line, (c) => BORDER_CHARS.has(c) || BOX_DRAWING_RE.test(c)) ===
+      line.length
+  );
+}
+
+/**
+ * Features of a tree listing
+ * @param {string[]} lines - Non-blank lines
+ * @returns {string[]} Reasons found
+ */
+function treeReasons(lines) {
+  const branches = lines.map((line) => BRANCH_RE.exec(line)).filter(Boolean);
+  if (branches.length < 2 || branches.length / lines.length < 0.6) return [];
+
+  const reasons = ['branch_lines'];
+  if (branches.some((m) => m[1].length)) reasons.push('nested_branches');
+  if (!BRANCH_RE.test(lines[0])) reasons.push('root_line');
+  return reasons;
+}
+
+/**
+ * Features of a table: drawn with borders, rows split into the same columns
+ * and rules joined by junctions between the columns; or printed by a CLI
+ * such as `docker ps`, columns aligned with spaces under a header
+ * @param {string[]} lines - Non-blank lines
+ * @param {string[]} all - All lines
+ * @returns {string[]} Reasons found
+ */
+function tableReasons(lines, all) {
+  const layouts = new Map();
+  let rules = 0;
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    if (
+      isRule(trimmed) &&
+      JUNCTION_RE.test(trimmed.slice(1, -1)) &&
+      !/^[-=]+$/.test(trimmed.slice(1, -1))
+    ) {
+      rules++;
+      continue;
+    }
+    const columns = [];
+    for (let i = 0; i < line.length; i++) {
+      if (COLUMN_CHARS.has(line[i])) columns.push(i);
+    }
+    if (columns.length >= 3) {
+      const key = columns.join(',');
+      layouts.set(key, (layouts.get(key) ?? 0) + 1);
+    }
+  }
+
+  const reasons = [];
+  if ([...layouts.values()].some((count) => count >= 2)) {
+    reasons.push('column_separators');
+  }
+  if (rules) reasons.push('row_rules');
+  if (reasons.length === 2) return reasons;
+
+  // Pictures have gaps too, so the table has to be most of the text, with
+  // a header of words over at least two rows of three columns
+  const aligned = readAligned(all);
+  if (
+    aligned?.header &&
+    aligned.columns >= 3 &&
+    aligned.rows.length >= 2 &&
+    aligned.header.every(({ text }) => /\p{L}/u.test(text)) &&
+    aligned.endLine - aligned.startLine + 1 >= lines.length * 0.6
+  ) {
+    return ['aligned_columns', 'header_row'];
+  }
+  return [];
+}
+
+/**
+ * Features of a chart: sparklines, or labelled bars of different lengths
+ * @param {string[]} lines - Non-blank lines
+ * @returns {string[]} Reasons found
+ */
+function chartReasons(lines) {
+  const reasons = [];
+  const sparklines = lines.flatMap((line) => line.match(SPARKLINE_RE) ?? []);
+  if (sparklines.some((run) => new Set(run).size >= 3)) {
+    reasons.push('sparkline');
+  }
+
+  const bars = [];
+  for (const line of lines) {
+    const runs = line.match(BAR_RE);
+    if (!runs) continue;
+    const longest = runs.reduce((a, b) => (b.length > a.length ? b : a));
+    // Bars come with a label or a value; rules of "=" or "#" do not
+    if (/[A-Za-z0-9]/.test(line.replace(longest, ''))) {
+      bars.push({ length: longest.length, line });
+    }
+  }
+  if (
+    bars.length >= 3 &&
+    bars.length / lines.length >= 0.5 &&
+    new Set(bars.map((b) => b.length)).size >= 2
+  ) {
+    reasons.push('bar_lines');
+    if (bars.filter((b) => VALUE_RE.test(b.line)).length * 2 >= bars.length) {
+      reasons.push('value_labels');
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Features of a plot drawn with Braille dots
+ * @param {string} visible - The text without whitespace
+ * @param {string[]} lines - Non-blank lines
+ * @returns {string[]} Reasons found
+ */
+function plotReasons(visible, lines) {
+  const dots = countChars(visible, (c) => BRAILLE_RE.test(c));
+  if (dots < 10 || dots / visible.length < 0.3) return [];
+
+  const reasons = ['braille_cells'];
+  if (lines.some((line) => /^[ \t]*-?\d[\d.,]*[ \t]*[┤│|┼]/.test(line))) {
+    reasons.push('axis_labels');
+  }
+  return reasons;
+}
+
+/**
+ * Features of a banner of large letters, in a FIGlet stroke font or a
+ * block letter font, a few lines high
+ * @param {string} visible - The text without whitespace
+ * @param {string[]} lines - Non-blank lines
+ * @returns {string[]} Reasons found
+ */
+function bannerReasons(visible, lines) {
+  let strokes = 0;
+  let underscores = 0;
+  let alnum = 0;
+  for (const char of visible) {
+    if (FIGLET_CHARS.has(char)) strokes++;
+    if (char === '_') underscores++;
+    if (/[A-Za-z0-9]/.test(char)) alnum++;
+  }
+
+  const reasons = [];
+  // Box drawings are all strokes too, but FIGlet letters sit on underscores
+  if (
+    strokes / visible.length >= 0.7 &&
+    underscores / visible.length >= 0.1 &&
+    alnum / visible.length <= 0.15
+  ) {
+    reasons.push('figlet_strokes');
+  }
+  // Letters of full blocks or "#", maybe with box drawing shadows
+  const blocks = countChars(
+    visible,
+    (c) => c === '#' || BLOCK_ELEMS_RE.test(c)
+  );
+  const shadows = countChars(visible, (c) => BOX_DRAWING_RE.test(c));
+  if (
+    blocks / visible.length >= 0.3 &&
+    (blocks + shadows) / visible.length >= 0.7
+  ) {
+    reasons.push('block_letters');
+  }
+  // Taller drawings of blocks are pictures
+  if (!reasons.length || lines.length < 3 || lines.length > 12) return [];
+  return [...reasons, 'letter_height'];
+}
+
+/**
+ * Features of a diagram: arrows, boxes and labels in the boxes
+ * @param {string[]} lines - All lines
+ * @returns {string[]} Reasons found
+ */
+function diagramReasons(lines) {
+  const reasons = [];
+  const arrow = lines.some(
+    (line, i) =>
+      ARROW_RE.test(line) ||
+      // A "v" under a vertical line points down
+      [...line.matchAll(/(?<=^|\s)[vV](?=\s|$)/g)].some((m) =>
+        COLUMN_CHARS.has(lines[i - 1]?.[m.index])
+      )
+  );
+  if (arrow) reasons.push('arrows');
+  if (lines.some((line) => BOX_RE.test(line))) {
+    reasons.push('boxes');
+    if (lines.some((line) => BOX_LABEL_RE.test(line))) {
+      reasons.push('box_labels');
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Tell what ASCII art depicts, for rendering each kind its own way: a
+ * `tree` listing, a bordered `table`, a `chart` (sparklines or bars), a
+ * Braille `plot`, a `banner` of large letters, a `diagram` of boxes and
+ * arrows, or any other `picture`. The first kind in that order whose
+ * features are found wins.
+ * @param {string} text - Text detected as ASCII art
+ * @returns {Object} Kind `name`, and the features found per kind as
+ *   `reasons`, e.g. { tree: ['branch_lines', 'root_line'] }
+ */
+export function asciiKind(text) {
+  const all = stripAnsi(text).split(/\r\n?|\n/);
+  const lines = all.filter((line) => line.trim());
+  const visible = lines.join('').replace(/\s+/g, '');
+  if (!visible) return { name: 'picture', reasons: {} };
+
+  const found = {
+    tree: treeReasons(lines),
+    table: tableReasons(lines, all),
+    chart: chartReasons(lines),
+    plot: plotReasons(visible, lines),
+    banner: bannerReasons(visible, lines),
+    diagram: diagramReasons(all),
+  };
+  const reasons = Object.fromEntries(
+    Object.entries(found).filter(([, r]) => r.length)
+  );
+  const name = Object.keys(reasons)[0] ?? 'picture';
+  return { name, reasons };
+}
+
+// Characters where the rules of a grid meet or turn
+const JOINT_CHARS = new Set(
+  Array.from('+┼┬┴├┤┌┐└┘╋╬╪╫┿╤╧╦╩┯┷┳┻╔╗╚╝╠╣╞╡╟╢┏┓┗┛┣┫╒╕╘╛╓╖╙╜╭╮╯╰')
+);
+// Characters the rules of a grid run along
+const RULE_CHARS = new Set(Array.from('-=:─━═'));
+const NUMBER_RE = /^[-+]?[$€£]?\d[\d,.]*(?:[%kKMGTB]|[KMGT]i?B)?$/;
+
+/**
+ * Find where the rules of a grid meet: the junctions, corners and bars of
+ * a line made of them, as in "+---+---+", "├───┼───┤" or "----+----"
+ * @param {string} line - The line
+ * @returns {number[]|null} Offsets of the joints, or null when the line is
+ *   no rule
+ */
+function ruleJoints(line) {
+  const joints = [];
+  let runs = 0;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (JOINT_CHARS.has(char) || COLUMN_CHARS.has(char)) joints.push(i);
+    else if (RULE_CHARS.has(char)) runs++;
+    else if (char !== ' ') return null;
+  }
+  // Rules of a grid are joined; runs of dashes between words are not
+  return joints.length && runs >= 2 && line.trim().length >= 3 ? joints : null;
+}
+
+/**
+ * Split a row of a grid at the bars that stand on column boundaries. A
+ * missing bar merges the cells on both sides into one that spans them.
+ * @param {string} line - The row
+ * @param {number[]} bounds - Offsets of the column boundaries, the edges
+ *   included (-1 and Infinity for a grid without outer border)
+ * @returns {Array<Object>} Cells as { start, end, span }, end exclusive
+ */
+function splitGridRow(line, bounds) {
+  const cells = [];
+  let start = bounds[0];
+  let span = 0;
+  for (let b = 1; b < bounds.length; b++) {
+    span++;
+    const at = bounds[b];
+    if (b === bounds.length - 1 || COLUMN_CHARS.has(line[at])) {
+      cells.push({ start: start + 1, end: at, span });
+      start = at;
+      span = 0;
+    }
+  }
+  return cells;
+}
+
+/**
+ * Build the header and rows of a table from groups of lines, each group
+ * one row whose lines continue its cells
+ * @param {Array<Array<Object>>} groups - Rows as lists of { line, cells }
+ * @param {boolean} hasHeader - Whether the first group is the header
+ * @returns {Object} `header` (cells or null) and `rows`, with cells as
+ *   { text, span }
+ */
+function buildTable(groups, hasHeader) {
+  const rows = groups.map(([first, ...rest]) =>
+    first.cells.map(({ start, end, span }) => ({
+      text: [first, ...rest]
+        .map(({ line }) => line.slice(start, end).trim())
+        .filter(Boolean)
+        .join('\n'),
+      span,
+    }))
+  );
+  return {
+    header: hasHeader ? rows.shift() : null,
+    rows,
+  };
+}
+
+/**
+ * Read a table drawn with rules and bars, with or without an outer border
+ * @param {string[]} lines - Lines of the text
+ * @returns {Object|null} Table, or null when no line is a rule of one
+ */
+function readGrid(lines) {
+  const first = lines.findIndex((line) => ruleJoints(line));
+  if (first === -1) return null;
+
+  // Rows are the lines around the rule with bars where its joints are
+  const joints = new Set(ruleJoints(lines[first]));
+  const isPart = (line) =>
+    ruleJoints(line) ||
+    Array.from(joints).some((at) => COLUMN_CHARS.has(line[at]));
+  let start = first;
+  let end = first;
+  while (start > 0 && isPart(lines[start - 1])) start--;
+  while (end + 1 < lines.length && isPart(lines[end + 1])) end++;
+
+  const block = lines.slice(start, end + 1);
+  const items = block.map((line) => ({ line, joints: ruleJoints(line) }));
+  for (const { joints: at } of items) at?.forEach((i) => joints.add(i));
+  const rule = lines[first].trim();
+  // A border starts with a corner or junction; psql leaves the edges open
+  const bordered = JOINT_CHARS.has(rule[0]) || COLUMN_CHARS.has(rule[0]);
+  const bounds = [...joints].sort((a, b) => a - b);
+  if (!bordered) {
+    bounds.unshift(-1);
+    bounds.push(Infinity);
+  }
+  if (bounds.length < 3) return null;
+
+  // Lines between two rules
+  const groups = [];
+  let group = [];
+  for (const { line, joints: at } of items) {
+    if (!at) {
+      group.push({ line, cells: splitGridRow(line, bounds) });
+    } else if (group.length) {
+      groups.push(group);
+      group = [];
+    }
+  }
+  if (group.length) groups.push(group);
+  if (!groups.length) return null;
+
+  // A single line ruled off from the rest is the header
+  const hasHeader = groups.length > 1 && groups[0].length === 1;
+  const head = groups.slice(0, hasHeader ? 1 : 0);
+  const body = groups.slice(head.length);
+  // Where rules divide the body too, the lines between them make one row,
+  // else every line is a row
+  const rows =
+    body.length > 1 ? groups : [...head, ...body[0].map((row) => [row])];
+
+  return {
+    style: [...rule].some((c) => BOX_DRAWING_RE.test(c)) ? 'box' : 'ascii',
+    ...buildTable(rows, hasHeader),
+    columns: bounds.length - 1,
+    startLine: start + 1,
+    endLine: end + 1,
+  };
+}
+
+/**
+ * Read a table whose columns are aligned with spaces, as printed by
+ * `docker ps` or `kubectl get`: the columns are split where every line of a
+ * paragraph has two or more spaces
+ * @param {string[]} lines - Lines of the text
+ * @returns {Object|null} Table of the first paragraph that forms one, or
+ *   null
+ */
+function readAligned(lines) {
+  for (let start = 0; start < lines.length; ) {
+    if (!lines[start].trim()) {
+      start++;
+      continue;
+    }
+    let end = start;
+    while (end + 1 < lines.length && lines[end + 1].trim()) end++;
+
+    const table = alignedTable(lines, start, end);
+    if (table) return table;
+    start = end + 1;
+  }
+  return null;
+}
+
+/**
+ * Split lines into columns at the gaps of two or more spaces they share
+ * @param {string[]} lines - Lines of the text
+ * @param {number} from - Index of the first line, not blank
+ * @param {number} to - Index of the last line, not blank
+ * @returns {Object|null} Table, or null when the lines share no gaps
+ */
+function alignedTable(lines, from, to) {
+  const block = lines.slice(from, to + 1);
+  if (block.length < 2) return null;
+  // Mark the offsets holding a character in any line, in one pass
+  const filled = [];
+  for (const line of block) {
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] !== ' ') filled[i] = true;
+    }
+  }
+
+  const columns = [];
+  let gap = 0;
+  let column = null;
+  for (let i = filled.findIndex(Boolean); i <= filled.length; i++) {
+    if (filled[i]) {
+      if (!column || gap >= 2) {
+        if (column) column.end = i - gap;
+        column = { start: i, end: filled.length };
+        columns.push(column);
+      }
+      gap = 0;
+    } else {
+      gap++;
+    }
+  }
+  if (columns.length < 2) return null;
+
+  const cells = block.map((line) =>
+    columns.map(({ start, end }) => line.slice(start, end).trim())
+  );
+  // Drop short captions or prompts, such as "$ docker ps", on top
+  let top = 0;
+  while (top < cells.length - 2 && cells[top].filter(Boolean).length < 2) {
+    top++;
+  }
+  const rule = /^[-= ]+$/.test(block[top + 1]) ? top + 1 : -1;
+  const data = cells.slice(top).filter((_, i) => i + top !== rule);
+  // Every column holds something in most rows
+  if (
+    columns.some(
+      (_, c) => data.filter((row) => row[c]).length * 2 < data.length
+    )
+  ) {
+    return null;
+  }
+
+  // A header is ruled off, or names the columns in capitals or above
+  // numbers
+  const [head, ...body] = data;
+  const numeric = (c) =>
+    body.some((row) => row[c]) &&
+    body.every((row) => !row[c] || NUMBER_RE.test(row[c]));
+  const hasHeader =
+    rule !== -1 ||
+    (body.length > 0 &&
+      head.every((text) => text && !NUMBER_RE.test(text)) &&
+      (head.every((text) => text === text.toUpperCase()) ||
+        head.some((_, c) => numeric(c))));
+
+  const toCells = (row) => row.map((text) => ({ text, span: 1 }));
+  return {
+    style: 'aligned',
+    header: hasHeader ? toCells(head) : null,
+    rows: (hasHeader ? body : data).map(toCells),
+    columns: columns.length,
+    startLine: from + top + 1,
+    endLine: to + 1,
+  };
+}
+
+/**
+ * Find a table in text drawn with rules and bars ("+---+", "┌─┬─┐", or
+ * psql's open "----+----") or with columns aligned by spaces, and read its
+ * cells. A cell spans the columns whose boundaries its row has no bar on.
+ * @param {string} text - Text such as pasted CLI output
+ * @returns {Object|null} The first table found, with its `style` ('ascii',
+ *   'box' or 'aligned'), `header` (cells, or null), `rows` (arrays of
+ *   cells), cells as { text, span }, the number of `columns`, and its
+ *   1-based inclusive `startLine` and `endLine`; null when there is none
+ */
+export function extractAsciiTable(text) {
+  const lines = stripAnsi(typeof text === 'string' ? text : '').split(
+    /\r\n?|\n/
+  );
+  return readGrid(lines) ?? readAligned(lines);
+}
@@ -0,0 +1,156 @@
+import { availableParallelism } from 'node:os';
+import { URL } from 'node:url';
+import { Worker } from 'node:worker_threads';
+import { builtinDetectors } from './detectors.js';
+import { resolveOptions } from './options.js';
+
+// Texts sent to a worker per message, so messaging costs little per text
+const BATCH_SIZE = 64;
+// Batches queued per worker, so that a worker never waits for its next one
+const QUEUE_DEPTH = 2;
+
+const WORKER_URL = new URL('./worker.js', import.meta.url);
+
+/**
+ * Group texts into batches for the workers
+ * @param {Iterable|AsyncIterable} input - Texts to detect
+ * @returns {AsyncGenerator<string[]>} Batches of up to BATCH_SIZE texts;
+ *   values that are not strings are sent as empty text
+ */
+async function* batches(input) {
+  let batch = [];
+  for await (const text of input) {
+    batch.push(typeof text === 'string' ? text : '');
+    if (batch.length === BATCH_SIZE) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch;
+}
+
+/**
+ * Create a pool of detection workers, started as batches need them
+ * @param {number} size - Most workers to start
+ * @param {Object} [options] - Detection options for every text
+ * @returns {Object} Pool with run(texts), resolving to the results of a
+ *   batch, and close()
+ */
+function createPool(size, options) {
+  const workers = [];
+
+  const start = () => {
+    const entry = {
+      worker: new Worker(WORKER_URL, { workerData: { options } }),
+      pending: [],
+    };
+    const failAll = (error) => {
+      for (const { reject } of entry.pending.splice(0)) reject(error);
+    };
+
+    entry.worker.on('message', ({ results, error }) => {
+      const { resolve, reject } = entry.pending.shift();
+      if (error) reject(new Error(error));
+      else resolve(results);
+    });
+    entry.worker.on('error', failAll);
+    entry.worker.on('exit', (code) => {
+      failAll(new Error(`Detection worker stopped with exit code ${code}`));
+    });
+    workers.push(entry);
+    return entry;
+  };
+
+  return {
+    run(texts) {
+      const idle = workers.find((entry) => !entry.pending.length);
+      const entry =
+        idle ??
+        (workers.length < size
+          ? start()
+          : workers.reduce((a, b) =>
+              b.pending.length < a.pending.length ? b : a
+            ));
+      return new Promise((resolve, reject) => {
+        entry.pending.push({ resolve, reject });
+        entry.worker.postMessage(texts);
+      });
+    },
+    close: () => Promise.all(workers.map(({ worker }) => worker.terminate())),
+  };
+}
+
+/**
+ * Detect texts in worker threads, yielding the results in input order
+ * @param {Iterable|AsyncIterable} input - Texts to detect
+ * @param {number} concurrency - Most worker threads to use
+ * @param {Object} [options] - Detection options for every text
+ * @returns {AsyncGenerator<Object>} Detection results
+ */
+async function* detectInWorkers(input, concurrency, options) {
+  const pool = createPool(concurrency, options);
+  const queue = [];
+
+  try {
+    for await (const texts of batches(input)) {
+      const results = pool.run(texts);
+      // A failed batch is reported when its turn comes, not as an
+      // unhandled rejection while an earlier batch is awaited
+      results.catch(() => {});
+      queue.push(results);
+      if (queue.length >= concurrency * QUEUE_DEPTH) {
+        yield* await queue.shift();
+      }
+    }
+    while (queue.length) yield* await queue.shift();
+  } finally {
+    await pool.close();
+  }
+}
+
+/**
+ * Detect the format of many texts in parallel with worker threads, for bulk
+ * classification. The input is read lazily and only a few batches per
+ * worker are in flight at a time, so it may be a large (async) generator.
+ *
+ * Await the returned object for an array of results in input order, or
+ * iterate it with `for await` to get them one by one, also in input order.
+ * Use one or the other: each starts its own run over the input.
+ * @param {Iterable|AsyncIterable} input - Texts to detect
+ * @param {Object} [config] - Batch configuration
+ * @param {number} [config.concurrency] - Most worker threads to use
+ *   (default: the available parallelism)
+ * @param {Object} [config.options] - Detection options for every
+ *   text, as for detectTextFormat
+ * @returns {Object} Promise-like, async-iterable results
+ */
+export function detectMany(
+  input,
+  { concurrency = availableParallelism(), options } = {}
+) {
+  if (
+    input == null ||
+    typeof input === 'string' ||
+    (typeof input[Symbol.iterator] !== 'function' &&
+      typeof input[Symbol.asyncIterator] !== 'function')
+  ) {
+    throw new TypeError('detectMany expects an iterable of texts');
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError('concurrency must be a positive integer');
+  }
+  // Report invalid options now rather than from every worker
+  if (options !== undefined) resolveOptions(builtinDetectors, options);
+
+  const iterate = () => detectInWorkers(input, concurrency, options);
+  return {
+    [Symbol.asyncIterator]: iterate,
+    then(onFulfilled, onRejected) {
+      return (async () => {
+        const results = [];
+        for await (const result of iterate()) results.push(result);
+        return results;
+      })().then(onFulfilled, onRejected);
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import { FALLBACK, toProbabilities } from './probabilities.js';
+import { createDetector } from './registry.js';
+
+// Gradient descent settings for calibrate()
+const ITERATIONS = 3000;
+const LEARNING_RATE = 0.5;
+const L2 = 0.001;
+
+/**
+ * Measure how well probabilities match the labels
+ * @param {Array<Object>} rows - Samples as { scores, winner, label }
+ * @param {Object} calibration - Calibration parameters
+ * @returns {Object} Accuracy of the most probable format, mean log loss and
+ *   expected calibration error over ten confidence bins
+ */
+function evaluate(rows, calibration) {
+  const bins = Array.from({ length: 10 }, () => ({ n: 0, conf: 0, hits: 0 }));
+  let hits = 0;
+  let loss = 0;
+
+  for (const row of rows) {
+    const p = toProbabilities(row.scores, row.winner, calibration);
+    const [top, conf] = Object.entries(p).sort((a, b) => b[1] - a[1])[0];
+    const hit = top === row.label ? 1 : 0;
+    const bin = bins[Math.min(9, Math.floor(conf * 10))];
+
+    hits += hit;
+    loss -= Math.log(Math.max(p[row.label] ?? 0, 1e-12));
+    bin.n++;
+    bin.conf += conf;
+    bin.hits += hit;
+  }
+
+  const n = rows.length || 1;
+  const ece = bins.reduce((acc, b) => acc + Math.abs(b.conf - b.hits), 0) / n;
+
+  return {
+    samples: rows.length,
+    accuracy: Number((hits / n).toFixed(3)),
+    logLoss: Number((loss / n).toFixed(3)),
+    ece: Number(ece.toFixed(3)),
+  };
+}
+
+/**
+ * Fit the mapping from raw heuristic scores to calibrated probabilities on
+ * labelled samples, by multinomial logistic regression over the per-format
+ * scale and bias and the shared decision bonus
+ * @param {Array<Object>} samples - Labelled samples as { text, format }
+ * @param {Object} [options] - Calibration options
+ * @param {Object} [options.detector] - Detector to calibrate; defaults to
+ *   one with the built-in plugins
+ * @returns {Object} The fitted `calibration` and its `metrics` on the samples
+ *   (accuracy, logLoss, ece), plus the `baseline` metrics of the detector's
+ *   current calibration
+ */
+export function calibrate(samples, { detector = createDetector() } = {}) {
+  const rows = samples.map(({ text, format }) => ({
+    ...detector.formatScores(text),
+    label: format,
+  }));
+  const formats = [...new Set(rows.flatMap((r) => Object.keys(r.scores)))];
+  const unknown = rows.find((r) => !(r.label in r.scores));
+  if (unknown) {
+    throw new TypeError(`Unknown format "${unknown.label}" in samples`);
+  }
+
+  const params = Object.fromEntries(formats.map((f) => [f, { ...FALLBACK }]));
+  let decision = 1;
+
+  for (let step = 0; step < ITERATIONS; step++) {
+    const grad = Object.fromEntries(formats.map((f) => [f, { a: 0, b: 0 }]));
+    let gradDecision = 0;
+
+    for (const row of rows) {
+      const p = toProbabilities(row.scores, row.winner, {
+        decision,
+        formats: params,
+      });
+      for (const f of formats) {
+        const error = (p[f] ?? 0) - (f === row.label ? 1 : 0);
+        grad[f].a += error * (row.scores[f] ?? 0);
+        grad[f].b += error;
+        if (f === row.winner) gradDecision += error;
+      }
+    }
+
+    const n = rows.length;
+    for (const f of formats) {
+      params[f].scale -= LEARNING_RATE * (grad[f].a / n + L2 * params[f].scale);
+      params[f].bias -= LEARNING_RATE * (grad[f].b / n + L2 * params[f].bias);
+    }
+    decision -= LEARNING_RATE * (gradDecision / n + L2 * decision);
+  }
+
+  const round = (x) => Number(x.toFixed(3));
+  const calibration = {
+    decision: round(decision),
+    formats: Object.fromEntries(
+      formats.map((f) => [
+        f,
+        { scale: round(params[f].scale), bias: round(params[f].bias) },
+      ])
+    ),
+  };
+
+  return {
+    calibration,
+    metrics: evaluate(rows, calibration),
+    baseline: evaluate(rows, detector.calibration),
+  };
+}
@@ -0,0 +1,420 @@
+import { readFile, readdir, stat } from 'node:fs/promises';
+import { join, relative, resolve, sep } from 'node:path';
+import { parseArgs } from 'node:util';
+import { builtinDetectors, detectTextFormat, presets } from './index.js';
+
+const NAME = 'text-type-detect';
+
+const USAGE = `Usage: ${NAME} [options] [file|directory|glob ...]
+
+Detect the text format of files, or of stdin when no paths (or -) are given.
+Directories are searched recursively, skipping hidden entries and
+node_modules; binary files are skipped.
+
+Options:
+  -o, --output <type>    table, json or ndjson (default: table)
+  -e, --explain          Show the reasons behind each detection
+  -s, --summary          Count the files per format instead of listing them
+      --fail-on <format> Exit with status 1 when an input is detected as
+                         <format>; repeat or separate formats with commas
+  -p, --preset <name>    Detection preset: ${Object.keys(presets).join(', ')}
+  -h, --help             Show this help
+
+Exit status is 0 on success, 1 when --fail-on matched and 2 on errors.
+`;
+
+const OUTPUTS = ['table', 'json', 'ndjson'];
+// Formats a detection can report, for checking --fail-on
+const FORMATS = new Set([
+  'plain',
+  ...builtinDetectors.flatMap((d) => d.formats ?? [d.format ?? d.name]),
+]);
+
+// Exit statuses
+const OK = 0;
+const FAILED = 1;
+const ERROR = 2;
+
+/**
+ * Turn a glob pattern into a regular expression over /-separated paths.
+ * Supports `*`, `**`, `?`, `[...]` and `{a,b}`.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Expression matching the whole path
+ */
+export function globToRegExp(pattern) {
+  let source = '';
+  let braces = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+        source += set[0] === '!' ? `[^${set.slice(1)}]` : `[${set}]`;
+        i = end;
+      }
+    } else if (c === '{') {
+      braces++;
+      source += '(?:';
+    } else if (c === '}' && braces) {
+      braces--;
+      source += ')';
+    } else if (c === ',' && braces) {
+      source += '|';
+    } else {
+      source += c.replace(/[.+^$()|\\\]{}]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a path contains glob syntax
+ * @param {string} path - Path given on the command line
+ * @returns {boolean} True for a glob pattern
+ */
+function isGlob(path) {
+  return /[*?[{]/.test(path);
+}
+
+/**
+ * List the files below a directory, skipping hidden entries and
+ * node_modules
+ * @param {string} dir - Directory to walk
+ * @returns {Promise<string[]>} File paths, sorted per directory
+ */
+async function walk(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+  for (const entry of entries) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...(await walk(path)));
+    else if (entry.isFile()) files.push(path);
+  }
+
+  return files;
+}
+
+/**
+ * Expand a glob pattern into the files it matches
+ * @param {string} pattern - Glob pattern, relative to cwd or absolute
+ * @param {string} cwd - Directory relative patterns start from
+ * @returns {Promise<string[]>} Matching file paths
+ */
+async function expandGlob(pattern, cwd) {
+  const parts = pattern.split(/[\\/]/);
+  const fixed = parts.findIndex(isGlob);
+  const base = parts.slice(0, fixed).join('/') || '.';
+  const re = globToRegExp(parts.slice(fixed).join('/'));
+  const root = resolve(cwd, base);
+
+  let files;
+  try {
+    files = await walk(root);
+  } catch {
+    return [];
+  }
+
+  return files
+    .filter((file) => re.test(relative(root, file).split(sep).join('/')))
+    .map((file) => join(base, relative(root, file)));
+}
+
+/**
+ * Resolve the command-line paths into the inputs to read
+ * @param {string[]} paths - Files, directories, globs or `-` for stdin
+ * @param {string} cwd - Working directory
+ * @param {Function} warn - Reports a path that cannot be used
+ * @returns {Promise<Array<Object>>} Inputs as { name, explicit, stdin }
+ */
+async function collectInputs(paths, cwd, warn) {
+  const inputs = [];
+
+  for (const path of paths.length ? paths : ['-']) {
+    if (path === '-') {
+      inputs.push({ name: '-', explicit: true, stdin: true });
+    } else if (isGlob(path)) {
+      const files = await expandGlob(path, cwd);
+      if (!files.length) warn(`${path}: no files match`);
+      inputs.push(...files.map((name) => ({ name, explicit: false })));
+    } else {
+      const info = await stat(resolve(cwd, path)).catch(() => null);
+      if (!info) {
+        warn(`${path}: no such file or directory`);
+      } else if (info.isDirectory()) {
+        const files = await walk(resolve(cwd, path));
+        inputs.push(
+          ...files.map((file) => ({
+            name: join(path, relative(resolve(cwd, path), file)),
+            explicit: false,
+          }))
+        );
+      } else {
+        inputs.push({ name: path, explicit: true });
+      }
+    }
+  }
+
+  return inputs;
+}
+
+/**
+ * Read a whole stream into a buffer
+ * @param {AsyncIterable} stream - Readable stream
+ * @returns {Promise<Buffer>} Everything the stream produced
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * List the non-empty reasons of a detection result
+ * @param {Object} reasons - The result's reasons
+ * @returns {Array<Array>} Pairs of detector (or detector.format) and reasons
+ */
+function listReasons(reasons) {
+  const list = [];
+
+  for (const [name, value] of Object.entries(reasons)) {
+    if (Array.isArray(value)) {
+      if (value.length) list.push([name, value]);
+    } else if (value && typeof value === 'object') {
+      list.push(...listReasons(value).map(([k, v]) => [`${name}.${k}`, v]));
+    } else if (value === true) {
+      list.push([name, ['yes']]);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * Build the record printed for one input
+ * @param {string} file - Input name
+ * @param {Object} result - Detection result
+ * @param {boolean} explain - Whether to include the reasons
+ * @returns {Object} Record with file, format, subformat, confidence and
+ *   scores, plus reasons when explaining
+ */
+function toRecord(file, result, explain) {
+  const record = {
+    file,
+    text_format: result.text_format,
+    subformat: result.subformat ?? null,
+    confidence: Number(result.probabilities[result.text_format].toFixed(3)),
+    scores: result.scores,
+  };
+  if (explain) record.reasons = result.reasons;
+  return record;
+}
+
+/**
+ * Lay out rows as columns padded to the widest cell
+ * @param {string[][]} rows - Rows of cells, the first being the header
+ * @returns {string[]} Formatted lines
+ */
+function columns(rows) {
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => String(row[i]).length))
+  );
+  return rows.map((row) =>
+    row
+      .map((cell, i) => String(cell).padEnd(widths[i]))
+      .join('  ')
+      .trimEnd()
+  );
+}
+
+/**
+ * Format the per-file records as a table
+ * @param {Array<Object>} records - Records from toRecord
+ * @returns {string} Table text
+ */
+function formatTable(records) {
+  const lines = columns([
+    ['FILE', 'FORMAT', 'SUBFORMAT', 'CONFIDENCE'],
+    ...records.map((r) => [
+      r.file,
+      r.text_format,
+      r.subformat ?? '-',
+      r.confidence.toFixed(3),
+    ]),
+  ]);
+  const out = [lines[0]];
+
+  records.forEach((record, i) => {
+    out.push(lines[i + 1]);
+    if (record.reasons) {
+      for (const [name, reasons] of listReasons(record.reasons)) {
+        out.push(`    ${name}: ${reasons.join(', ')}`);
+      }
+    }
+  });
+
+  return `${out.join('\n')}\n`;
+}
+
+/**
+ * Count the records per format
+ * @param {Array<Object>} records - Records from toRecord
+ * @returns {Object} Total number of files and count per format, most common
+ *   first
+ */
+function summarize(records) {
+  const counts = {};
+  for (const { text_format } of records) {
+    counts[text_format] = (counts[text_format] ?? 0) + 1;
+  }
+  const formats = Object.fromEntries(
+    Object.entries(counts).sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+  );
+  return { files: records.length, formats };
+}
+
+/**
+ * Format a summary as a table
+ * @param {Object} summary - Result of summarize
+ * @returns {string} Table text
+ */
+function formatSummary({ files, formats }) {
+  const lines = columns([
+    ['FORMAT', 'FILES', 'SHARE'],
+    ...Object.entries(formats).map(([format, count]) => [
+      format,
+      count,
+      `${((count / files) * 100).toFixed(1)}%`,
+    ]),
+    ['total', files, files ? '100.0%' : '-'],
+  ]);
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Run the command-line tool
+ * @param {string[]} args - Command-line arguments, without node and script
+ * @param {Object} [io] - Streams and working directory, for testing
+ * @param {AsyncIterable} [io.stdin] - Input read for `-`
+ * @param {Object} [io.stdout] - Stream with write(), for results
+ * @param {Object} [io.stderr] - Stream with write(), for errors and help
+ * @param {string} [io.cwd] - Directory relative paths start from
+ * @returns {Promise<number>} Exit status
+ */
+export async function main(
+  args,
+  {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    cwd = process.cwd(),
+  } = {}
+) {
+  let status = OK;
+  const warn = (message) => {
+    stderr.write(`${NAME}: ${message}\n`);
+    status = ERROR;
+  };
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o', default: 'table' },
+        explain: { type: 'boolean', short: 'e', default: false },
+        summary: { type: 'boolean', short: 's', default: false },
+        'fail-on': { type: 'string', multiple: true, default: [] },
+        preset: { type: 'string', short: 'p' },
+        help: { type: 'boolean', short: 'h', default: false },
+      },
+    });
+  } catch (error) {
+    stderr.write(`${NAME}: ${error.message}\n\n${USAGE}`);
+    return ERROR;
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    stdout.write(USAGE);
+    return OK;
+  }
+  if (!OUTPUTS.includes(values.output)) {
+    warn(`--output must be one of ${OUTPUTS.join(', ')}`);
+    return ERROR;
+  }
+  if (values.preset !== undefined && !Object.hasOwn(presets, values.preset)) {
+    warn(`unknown preset "${values.preset}"`);
+    return ERROR;
+  }
+  const options = values.preset ? { preset: values.preset } : undefined;
+  const failOn = new Set(
+    values['fail-on'].flatMap((f) => f.split(',')).filter(Boolean)
+  );
+  const unknown = [...failOn].find((format) => !FORMATS.has(format));
+  if (unknown !== undefined) {
+    warn(`unknown format "${unknown}" for --fail-on`);
+    return ERROR;
+  }
+
+  const records = [];
+  for (const input of await collectInputs(positionals, cwd, warn)) {
+    let buffer;
+    try {
+      buffer = input.stdin
+        ? await readAll(stdin)
+        : await readFile(resolve(cwd, input.name));
+    } catch (error) {
+      warn(`${input.name}: ${error.message}`);
+      continue;
+    }
+    // Binary files would only be misread as ascii art or plain text
+    if (buffer.subarray(0, 8000).includes(0)) {
+      if (input.explicit) warn(`${input.name}: skipped binary file`);
+      continue;
+    }
+
+    const result = detectTextFormat(buffer.toString('utf8'), options);
+    records.push(toRecord(input.name, result, values.explain));
+  }
+
+  if (values.summary) {
+    const summary = summarize(records);
+    stdout.write(
+      values.output === 'table'
+        ? formatSummary(summary)
+        : `${JSON.stringify(summary, null, values.output === 'json' ? 2 : 0)}\n`
+    );
+  } else if (values.output === 'json') {
+    stdout.write(`${JSON.stringify(records, null, 2)}\n`);
+  } else if (values.output === 'ndjson') {
+    stdout.write(records.map((r) => `${JSON.stringify(r)}\n`).join(''));
+  } else if (records.length) {
+    stdout.write(formatTable(records));
+  }
+
+  const matched = records.filter((r) => failOn.has(r.text_format));
+  for (const record of matched) {
+    stderr.write(`${NAME}: ${record.file} is ${record.text_format}\n`);
+  }
+  return status === OK && matched.length ? FAILED : status;
+}
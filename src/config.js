@@ -0,0 +1,381 @@
+import { MD } from './heuristics.js';
+import { createTally, tooFewLines } from './tally.js';
+
+// Minimum score for a configuration format to win classification
+export const CONFIG_TH = 0.5;
+
+const COMMENT_RE = /^\s*[#;]/;
+const SECTION_RE = /^\s*\[[^\][\n]+\]\s*$/;
+const ARRAY_TABLE_RE = /^\s*\[\[[^\][\n]+\]\]\s*$/;
+const YAML_KEY_RE =
+  /^(\s*)(?:-\s+)?([A-Za-z_][\w.-]*|"[^"]*"|'[^']*')\s*:(?:\s+(.*))?$/;
+const YAML_ITEM_RE = /^\s*-(?:\s+\S.*)?$/;
+const ASSIGN_RE = /^([A-Za-z_][\w.-]*|"[^"]*")\s*=\s*(.*)$/;
+const ENV_RE =
+  /^(export\s+)?[A-Z_][A-Z0-9_]*=(\S*|"[^"]*"|'[^']*')\s*(?:#.*)?$/;
+const TOML_VALUE_RE =
+  /^(?:"[^"]*"|'[^']*'|"""|'''|[+-]?\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?|0x[\da-fA-F_]+|true|false|\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:\d{2})?)?|\[.*|\{.*\})\s*(?:#.*)?$/;
+const YAML_SCALAR_RE =
+  /^(?:true|false|yes|no|null|~|-?\d+(?:\.\d+)?|"[^"]*"|'[^']*'|\[.*\]|\{.*\}|[|>][-+]?)\s*(?:#.*)?$/i;
+
+/**
+ * Split text into trimmed-right content lines, skipping blanks and comments
+ * @param {string} text - The text to split
+ * @returns {Object} Lines that carry content and their 1-based `numbers`
+ */
+function contentLines(text) {
+  const lines = [];
+  const numbers = [];
+  text.split(/\r\n?|\n/).forEach((raw, i) => {
+    const line = raw.trimEnd();
+    if (line.trim() && !COMMENT_RE.test(line)) {
+      lines.push(line);
+      numbers.push(i + 1);
+    }
+  });
+  return { lines, numbers };
+}
+
+/**
+ * List the 1-based numbers of the content lines that pass a test
+ * @param {Object} content - Result of contentLines
+ * @param {Function} test - Called with each line and its index
+ * @returns {number[]} Line numbers
+ */
+function linesWhere({ lines, numbers }, test) {
+  return lines.flatMap((line, i) => (test(line, i) ? [numbers[i]] : []));
+}
+
+/**
+ * Check whether a value reads like a sentence rather than a config value
+ * @param {string} value - The value to check
+ * @returns {boolean} True for prose-like values
+ */
+function isProse(value) {
+  return /[A-Za-z][.!?]$/.test(value) && value.split(/\s+/).length >= 4;
+}
+
+/**
+ * Clamp a tally to a format score with the checks behind it
+ * @param {Object} tally - Tally from createTally
+ * @returns {Object} Score, reasons and checks
+ */
+function result(tally) {
+  return {
+    score: Math.max(0, Math.min(1, tally.score)),
+    reasons: tally.reasons,
+    checks: tally.checks,
+  };
+}
+
+/**
+ * Calculate YAML score from key/value mappings, nesting and sequences
+ * @param {string} text - The text to analyze
+ * @returns {Object} Score, reasons and the checks behind them
+ */
+export function yamlScore(text) {
+  const content = contentLines(text);
+  // A leading document marker is not content
+  if (content.numbers[0] === 1 && /^---\s*$/.test(content.lines[0])) {
+    content.lines.shift();
+    content.numbers.shift();
+  }
+  const { lines } = content;
+  if (lines.length < 2) return tooFewLines(lines.length, 2);
+
+  // What each line is: 'key', 'item' or null, and what it adds
+  const kinds = [];
+  const features = { nested: [], sequences: [], scalars: [], prose: [] };
+
+  lines.forEach((line, i) => {
+    const key = YAML_KEY_RE.exec(line);
+    const prev = i > 0 ? YAML_KEY_RE.exec(lines[i - 1]) : null;
+    const indent = /^\s*/.exec(line)[0].length;
+    // A parent key with no inline value owns the deeper lines below it
+    const opensBlock = prev && !prev[3] && indent > prev[1].length;
+    const number = content.numbers[i];
+
+    if (key) {
+      kinds.push('key');
+      if (key[3] && YAML_SCALAR_RE.test(key[3])) features.scalars.push(number);
+      if (key[3] && isProse(key[3])) features.prose.push(number);
+      if (opensBlock) features.nested.push(number);
+    } else if (YAML_ITEM_RE.test(line)) {
+      kinds.push('item');
+      if (prev && !prev[3]) features.sequences.push(number);
+    } else {
+      kinds.push(null);
+    }
+  });
+
+  const keys = kinds.filter((k) => k === 'key').length;
+  const mapped = linesWhere(content, (_, i) => kinds[i]);
+  const leading = text.slice(0, text.length - text.trimStart().length);
+  const marker = /^---\s*$/.test(text.trimStart().split(/\r?\n/)[0]);
+  const foreign = linesWhere(
+    content,
+    (l) => /[;{]$/.test(l) || ASSIGN_RE.test(l.trim())
+  );
+
+  const tally = createTally({});
+  tally.add(
+    'key_value_lines',
+    keys >= 2 && mapped.length / lines.length >= 0.6,
+    {
+      value: mapped.length / lines.length,
+      threshold: '>= 0.6, with 2 keys',
+      weight: 0.4,
+      lines: mapped,
+    }
+  );
+  tally.add('nested_mappings', features.nested.length > 0, {
+    value: features.nested.length,
+    threshold: '>= 1',
+    weight: 0.2,
+    lines: features.nested,
+  });
+  tally.add('block_sequences', features.sequences.length > 0, {
+    value: features.sequences.length,
+    threshold: '>= 1',
+    weight: 0.1,
+    lines: features.sequences,
+  });
+  tally.add('typed_scalars', features.scalars.length > 0, {
+    value: features.scalars.length,
+    threshold: '>= 1',
+    weight: 0.1,
+    lines: features.scalars,
+  });
+  tally.add('document_marker', marker, {
+    value: marker,
+    threshold: 'present',
+    weight: 0.1,
+    lines: marker ? [leading.split(/\r\n?|\n/).length] : [],
+  });
+  tally.add('prose_values', features.prose.length / Math.max(1, keys) >= 0.3, {
+    value: features.prose.length / Math.max(1, keys),
+    threshold: '>= 0.3',
+    weight: -0.3,
+    lines: features.prose,
+  });
+  tally.add('non_yaml_syntax', foreign.length > 0, {
+    value: foreign.length,
+    threshold: '>= 1',
+    weight: -0.2,
+    lines: foreign,
+  });
+
+  return result(tally);
+}
+
+/**
+ * Calculate TOML score from table headers and typed assignments
+ * @param {string} text - The text to analyze
+ * @returns {Object} Score, reasons and the checks behind them
+ */
+export function tomlScore(text) {
+  const content = contentLines(text);
+  const { lines } = content;
+  if (lines.length < 2) return tooFewLines(lines.length, 2);
+
+  const sections = linesWhere(content, (l) => SECTION_RE.test(l));
+  const arrays = linesWhere(content, (l) => ARRAY_TABLE_RE.test(l));
+  // TOML keys start at the left margin; indented ones are usually code
+  const matches = lines.map((l) => (/^\S/.test(l) ? ASSIGN_RE.exec(l) : null));
+  const assigns = matches.filter(Boolean);
+  const typed = linesWhere(
+    content,
+    (_, i) => matches[i] && TOML_VALUE_RE.test(matches[i][2])
+  );
+  const dotted = linesWhere(
+    content,
+    (_, i) => matches[i] && /^[\w-]+\.[\w.-]+$/.test(matches[i][1])
+  );
+  const structural = sections.length + arrays.length + assigns.length;
+  const ratio = assigns.length ? typed.length / assigns.length : 0;
+
+  const tally = createTally({});
+  tally.add('table_headers', sections.length > 0, {
+    value: sections.length,
+    threshold: '>= 1',
+    weight: 0.25,
+    lines: sections,
+  });
+  tally.add('array_tables', arrays.length > 0, {
+    value: arrays.length,
+    threshold: '>= 1',
+    weight: 0.1,
+    lines: arrays,
+  });
+  tally.add(
+    'typed_assignments',
+    assigns.length >= 2 && structural / lines.length >= 0.7 && ratio >= 0.5,
+    {
+      value: ratio,
+      threshold: '>= 0.5 of 2 assignments, on 0.7 of the lines',
+      weight: ratio >= 0.8 ? 0.4 : 0.2,
+      lines: typed,
+    }
+  );
+  tally.add('dotted_keys', dotted.length > 0, {
+    value: dotted.length,
+    threshold: '>= 1',
+    weight: 0.05,
+    lines: dotted,
+  });
+
+  return result(tally);
+}
+
+/**
+ * Calculate INI score from section headers and untyped key=value lines
+ * @param {string} text - The text to analyze
+ * @returns {Object} Score, reasons and the checks behind them
+ */
+export function iniScore(text) {
+  const content = contentLines(text);
+  const { lines } = content;
+  if (lines.length < 2) return tooFewLines(lines.length, 2);
+
+  const sections = linesWhere(content, (l) => SECTION_RE.test(l));
+  const matches = lines.map(
+    (l) => ASSIGN_RE.exec(l.trim()) || /^([\w.-]+)\s*:\s+(.*)$/.exec(l)
+  );
+  const assigns = linesWhere(content, (_, i) => matches[i]);
+  const bare = linesWhere(
+    content,
+    (_, i) => matches[i]?.[2] && !TOML_VALUE_RE.test(matches[i][2])
+  );
+  const semicolons = text
+    .split(/\r\n?|\n/)
+    .flatMap((l, i) => (/^[ \t]*;/.test(l) ? [i + 1] : []));
+
+  const tally = createTally({});
+  tally.add('section_headers', sections.length > 0, {
+    value: sections.length,
+    threshold: '>= 1',
+    weight: 0.25,
+    lines: sections,
+  });
+  tally.add(
+    'key_value_lines',
+    assigns.length >= 2 &&
+      (sections.length + assigns.length) / lines.length >= 0.7,
+    {
+      value: (sections.length + assigns.length) / lines.length,
+      threshold: '>= 0.7, with 2 assignments',
+      weight: 0.3,
+      lines: assigns,
+    }
+  );
+  tally.add(
+    'bare_values',
+    assigns.length > 0 && bare.length / assigns.length >= 0.3,
+    {
+      value: assigns.length ? bare.length / assigns.length : 0,
+      threshold: '>= 0.3',
+      weight: 0.1,
+      lines: bare,
+    }
+  );
+  tally.add('semicolon_comments', semicolons.length > 0, {
+    value: semicolons.length,
+    threshold: '>= 1',
+    weight: 0.1,
+    lines: semicolons,
+  });
+
+  return result(tally);
+}
+
+/**
+ * Calculate .env score from upper-case NAME=value assignments
+ * @param {string} text - The text to analyze
+ * @returns {Object} Score, reasons and the checks behind them
+ */
+export function dotenvScore(text) {
+  const content = contentLines(text);
+  const { lines } = content;
+  if (lines.length < 2) return tooFewLines(lines.length, 2);
+
+  const env = linesWhere(content, (l) => ENV_RE.test(l.trim()));
+  const spaced = linesWhere(
+    content,
+    (l) => ENV_RE.test(l.trim()) && /\s=|=\s/.test(l)
+  );
+  const exported = linesWhere(
+    content,
+    (l) => ENV_RE.test(l.trim()) && /^\s*export\s/.test(l)
+  );
+  const sections = linesWhere(content, (l) => SECTION_RE.test(l));
+
+  const tally = createTally({});
+  tally.add('env_assignments', env.length / lines.length >= 0.7, {
+    value: env.length / lines.length,
+    threshold: '>= 0.7',
+    weight: 0.5,
+    lines: env,
+  });
+  tally.add('no_spaces_around_equals', env.length > 0 && !spaced.length, {
+    value: spaced.length,
+    threshold: '0, with an assignment',
+    weight: 0.1,
+    lines: spaced,
+  });
+  tally.add('export_prefix', exported.length > 0, {
+    value: exported.length,
+    threshold: '>= 1',
+    weight: 0.05,
+    lines: exported,
+  });
+  tally.add('section_headers', sections.length > 0, {
+    value: sections.length,
+    threshold: '>= 1',
+    weight: -0.3,
+    lines: sections,
+  });
+
+  return result(tally);
+}
+
+/**
+ * Score every configuration format and pick the strongest
+ * @param {string} text - The text to analyze
+ * @returns {Object} Best format and score, plus per-format scores and reasons
+ */
+export function configScores(text) {
+  const results = {
+    yaml: yamlScore(text),
+    toml: tomlScore(text),
+    ini: iniScore(text),
+    dotenv: dotenvScore(text),
+  };
+
+  let best = null;
+  for (const [format, { score }] of Object.entries(results)) {
+    if (!best || score > best.score) best = { format, score };
+  }
+
+  return { ...best, results };
+}
+
+/**
+ * Report the front matter block at the top of a document
+ * @param {string} text - The text to analyze
+ * @returns {Object|null} Front matter format ('yaml' or 'toml') and its
+ *   1-based inclusive line range, or null when there is none
+ */
+export function detectFrontMatter(text) {
+  const raw = text.replace(/\r\n?/g, '\n');
+  const match = MD.frontMatter.exec(raw);
+  if (!match || raw.slice(0, match.index).trim()) {
+    return null;
+  }
+
+  const startLine = raw.slice(0, match.index).split('\n').length;
+  return {
+    format: match[1] === '+++' ? 'toml' : 'yaml',
+    startLine,
+    endLine: startLine + match[0].trimEnd().split('\n').length - 1,
+  };
+}
@@ -0,0 +1,261 @@
+import { MD } from './heuristics.js';
+import { createTally } from './tally.js';
+
+// Minimum score for delimited data to win classification
+export const CSV_TH = 0.5;
+
+// Candidate delimiters and the variant each one reports, in tie-break order
+const DELIMITERS = [
+  [',', 'csv'],
+  ['\t', 'tsv'],
+  [';', 'semicolon'],
+  ['|', 'pipe'],
+];
+
+const NUMERIC_RE =
+  /^\s*[-+]?(?:\d[\d,_]*(?:\.\d+)?|\.\d+)(?:[eE][-+]?\d+)?%?\s*$/;
+
+/**
+ * Split delimited text into records, honoring double-quoted fields that may
+ * contain delimiters, escaped quotes ("") and line breaks
+ * @param {string} text - The text to parse
+ * @param {string} delimiter - Field delimiter
+ * @returns {Object} Records as arrays of fields, the 1-based line each
+ *   record starts on, and whether quotes were seen
+ */
+function parseRecords(text, delimiter) {
+  const records = [];
+  const starts = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let sawQuotes = false;
+  let line = 1;
+  let start = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && !field.trim()) {
+      quoted = true;
+      sawQuotes = true;
+      field = '';
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      starts.push(start);
+      record = [];
+      field = '';
+      start = ++line;
+    } else {
+      field += ch;
+    }
+  }
+
+  record.push(field);
+  records.push(record);
+  starts.push(start);
+
+  const kept = (r) => r.length > 1 || r[0].trim();
+  return {
+    records: records.filter(kept),
+    starts: starts.filter((_, i) => kept(records[i])),
+    sawQuotes,
+  };
+}
+
+/**
+ * Drop the empty edge fields produced by lines like "| a | b |"
+ * @param {Array<string[]>} records - Parsed records
+ * @returns {Array<string[]>} Records without the outer pipe fields
+ */
+function stripOuterPipes(records) {
+  const framed = records.every(
+    (r) => r.length > 2 && !r[0].trim() && !r.at(-1).trim()
+  );
+  return framed ? records.map((r) => r.slice(1, -1)) : records;
+}
+
+/**
+ * Split delimited text into records of fields
+ * @param {string} text - The text to parse
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<string[]>} Records, without the outer fields of framed
+ *   pipe-delimited lines
+ */
+export function parseDelimited(text, delimiter) {
+  const { records } = parseRecords(text, delimiter);
+  return delimiter === '|' ? stripOuterPipes(records) : records;
+}
+
+/**
+ * Check whether the first record looks like a header over the rest
+ * @param {Array<string[]>} records - Parsed records
+ * @returns {boolean} True when the first row names the columns
+ */
+function looksLikeHeader(records) {
+  const [first, ...rest] = records;
+  const names = first.map((f) => f.trim());
+
+  if (names.some((n) => !n || NUMERIC_RE.test(n))) return false;
+  if (new Set(names).size !== names.length) return false;
+
+  // A header stands out when some column is numeric below it
+  return names.some((_, col) =>
+    rest.every((r) => NUMERIC_RE.test(r[col] ?? ''))
+  );
+}
+
+/**
+ * Score the text as data split by one delimiter
+ * @param {string} text - The text to analyze
+ * @param {string} delimiter - Field delimiter
+ * @returns {Object|null} Score, reasons and the checks behind them, and
+ *   table shape, or null when the field count is not consistent
+ */
+function scoreDelimiter(text, delimiter) {
+  const parsed = parseRecords(text, delimiter);
+  const records =
+    delimiter === '|' ? stripOuterPipes(parsed.records) : parsed.records;
+
+  if (records.length < 2) return null;
+
+  const columns = records[0].length;
+  if (columns < 2 || records.some((r) => r.length !== columns)) return null;
+
+  // A column that is empty on every line comes from a trailing or doubled
+  // delimiter (e.g. statements ending in ';'), not from the data
+  const emptyColumn = records[0].some((_, col) =>
+    records.every((r) => !r[col].trim())
+  );
+  if (emptyColumn) return null;
+
+  const fields = records.flat();
+  const prose = fields.filter((f) => f.trim().split(/\s+/).length >= 5).length;
+  const sentences = records.filter((r) =>
+    /[A-Za-z][.!?]$/.test(r.at(-1).trim())
+  ).length;
+  const hasHeader = looksLikeHeader(records);
+  const body = hasHeader ? records.slice(1) : records;
+  const numericColumn = records[0].some((_, col) =>
+    body.every((r) => NUMERIC_RE.test(r[col]))
+  );
+  // 1-based lines where the records that pass a test start
+  const linesWhere = (test) =>
+    records.flatMap((r, i) => (test(r) ? [parsed.starts[i]] : []));
+  const statements = linesWhere((r) => /[;{)]$/.test(r.at(-1).trim()));
+  const quoteLines = text
+    .split(/\r\n?|\n/)
+    .flatMap((line, i) => (line.includes('"') ? [i + 1] : []));
+
+  const tally = createTally({});
+  tally.add('consistent_field_count', true, {
+    value: columns,
+    threshold: 'the same on every line, >= 2',
+    weight: 0.4,
+    lines: parsed.starts,
+  });
+  tally.add('many_rows', records.length >= 3, {
+    value: records.length,
+    threshold: '>= 3',
+    weight: 0.1,
+  });
+  tally.add('many_columns', columns >= 3, {
+    value: columns,
+    threshold: '>= 3',
+    weight: 0.1,
+  });
+  tally.add('tab_delimited', delimiter === '\t', {
+    value: delimiter,
+    threshold: 'tab',
+    weight: 0.1,
+  });
+  tally.add('quoted_fields', parsed.sawQuotes, {
+    value: parsed.sawQuotes,
+    threshold: 'present',
+    weight: 0.05,
+    lines: parsed.sawQuotes ? quoteLines : [],
+  });
+  tally.add('numeric_columns', numericColumn, {
+    value: numericColumn,
+    threshold: 'a column of numbers',
+    weight: 0.1,
+    lines: numericColumn ? parsed.starts.slice(hasHeader ? 1 : 0) : [],
+  });
+  tally.add('header_row', hasHeader, {
+    value: hasHeader,
+    threshold: 'names over a numeric column',
+    weight: 0.05,
+    lines: hasHeader ? [parsed.starts[0]] : [],
+  });
+  tally.add(
+    'prose_fields',
+    prose / fields.length >= 0.3 || sentences / records.length >= 0.5,
+    {
+      value: {
+        fields: prose / fields.length,
+        sentences: sentences / records.length,
+      },
+      threshold: 'fields >= 0.3 or sentences >= 0.5',
+      weight: -0.4,
+      lines: linesWhere(
+        (r) =>
+          /[A-Za-z][.!?]$/.test(r.at(-1).trim()) ||
+          r.some((f) => f.trim().split(/\s+/).length >= 5)
+      ),
+    }
+  );
+  tally.add('code_syntax', statements.length / records.length >= 0.5, {
+    value: statements.length / records.length,
+    threshold: '>= 0.5',
+    weight: -0.3,
+    lines: statements,
+  });
+
+  return {
+    score: Number(Math.max(0, Math.min(1, tally.score)).toFixed(3)),
+    reasons: tally.reasons,
+    checks: tally.checks,
+    delimiter,
+    hasHeader,
+    rows: records.length - (hasHeader ? 1 : 0),
+    columns,
+  };
+}
+
+/**
+ * Detect delimited tabular data (CSV, TSV, semicolon- or pipe-separated)
+ * @param {string} text - The text to analyze
+ * @returns {Object|null} Best-scoring delimiter with its variant, header
+ *   flag, row and column counts, or null when no delimiter fits
+ */
+export function analyzeDelimited(text) {
+  // A GFM alignment row makes pipes a markdown table rather than data
+  const gfmTable = MD.tableAlign.test(text);
+  let best = null;
+
+  for (const [delimiter, variant] of DELIMITERS) {
+    if (!text.includes(delimiter) || (delimiter === '|' && gfmTable)) continue;
+
+    const result = scoreDelimiter(text, delimiter);
+    if (result && (!best || result.score > best.score)) {
+      best = { ...result, variant };
+    }
+  }
+
+  return best;
+}
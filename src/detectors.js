@@ -0,0 +1,528 @@
+import {
+  ASCII_MARGIN,
+  ASCII_TH,
+  ASCII_WEIGHTS,
+  CODE_TH,
+  MD,
+  MD_FLAVORS,
+  MD_TH,
+  MD_WEIGHTS,
+  asciiArtScore,
+  blankCodeBlocks,
+  codeLikeLines,
+  codeScore,
+  markdownFlavor,
+  markdownScore,
+} from './heuristics.js';
+import { TERMINAL_TH, analyzeTerminal } from './ansi.js';
+import { asciiKind } from './art.js';
+import { CONFIG_TH, configScores, detectFrontMatter } from './config.js';
+import { CSV_TH, analyzeDelimited } from './csv.js';
+import { DIFF_TH, analyzeDiff } from './diff.js';
+import { matchRanges } from './explain.js';
+import { extractCodeBlocks } from './fences.js';
+import { analyzeJson } from './json.js';
+import { LOG_TH, analyzeLog } from './log.js';
+import { MARKUP_TH, analyzeMarkup } from './markup.js';
+import { detectLanguage } from './languages.js';
+
+/**
+ * Check whether fenced blocks make up the whole text, allowing at most a
+ * one-line caption without markdown of its own (e.g. "Here is the fix:")
+ * @param {string[]} lines - Lines of the text
+ * @param {Array<Object>} codeBlocks - Blocks from extractCodeBlocks
+ * @returns {boolean} True when the text is only code
+ */
+function isCodeOnly(lines, codeBlocks) {
+  // Mark the block lines once rather than searching the blocks per line
+  const inBlock = new Uint8Array(lines.length);
+  for (const b of codeBlocks) inBlock.fill(1, b.startLine - 1, b.endLine);
+  const outside = lines.filter((line, i) => line.trim() && !inBlock[i]);
+
+  return (
+    outside.length === 0 ||
+    (outside.length === 1 && markdownScore(outside[0]).score === 0)
+  );
+}
+
+/**
+ * Check whether a document has content after its front matter block
+ * @param {string[]} lines - Lines of the text
+ * @param {Object|null} frontMatter - Result of detectFrontMatter
+ * @returns {boolean} True for front matter followed by a body
+ */
+function hasBodyAfter(lines, frontMatter) {
+  return Boolean(
+    frontMatter && lines.slice(frontMatter.endLine).some((l) => l.trim())
+  );
+}
+
+/**
+ * Best score among the general-purpose ascii, markdown and code detectors,
+ * which the more specific formats have to beat
+ * @param {Object} context - Detection context
+ * @returns {number} Highest of the three scores
+ */
+function generalScore(context) {
+  return Math.max(
+    ...['ascii', 'markdown', 'code'].map(
+      (name) => context.result(name)?.score ?? 0
+    )
+  );
+}
+
+/**
+ * Copy an analysis for the detection result, leaving out the checks that
+ * only explain reports
+ * @param {Object} analysis - Result of an analyzer
+ * @returns {Object} The analysis without its checks
+ */
+function withoutChecks(analysis) {
+  return Object.fromEntries(
+    Object.entries(analysis).filter(([key]) => key !== 'checks')
+  );
+}
+
+/**
+ * The one failed check of an analyzer that found nothing to score
+ * @param {string} name - Name of the check
+ * @param {string} threshold - What the text lacked
+ * @param {number|null} [weight] - Weight the check has when it passes
+ * @returns {Object} Failed check
+ */
+function failedCheck(name, threshold, weight = null) {
+  return {
+    name,
+    passed: false,
+    value: null,
+    threshold,
+    weight,
+    contribution: weight === null ? null : 0,
+  };
+}
+
+/**
+ * Round a score for the detection result. Scores are also compared rounded,
+ * so that sums of weights that differ only in their last bits tie.
+ * @param {number} score - Score to round
+ * @returns {number} Score with three decimals
+ */
+function round(score) {
+  return Number(score.toFixed(3));
+}
+
+// Diffs come before everything else: their +/- lines read as markdown lists
+// and their context lines may contain fences or log output
+const diff = {
+  name: 'diff',
+  priority: 100,
+  threshold: DIFF_TH,
+  score: (text) => analyzeDiff(text),
+  decorate(output, result) {
+    if (result.score > 0) output.diff = withoutChecks(result);
+    if (output.text_format === 'diff') output.subformat = result.subformat;
+  },
+};
+
+// Closed fenced blocks make the text code, or markdown with code in it
+const fences = {
+  name: 'fences',
+  priority: 90,
+  threshold: 1,
+  formats: ['code', 'markdown'],
+  score(text, context) {
+    // Only closed fences (as matched by MD.fenced) count as code blocks
+    const fenced = context.result('markdown')?.reasons.includes('fenced');
+    const codeBlocks = fenced
+      ? extractCodeBlocks(context.lines).filter((b) => b.closed)
+      : [];
+    const blockLines = codeBlocks.flatMap((b) =>
+      Array.from(
+        { length: b.endLine - b.startLine + 1 },
+        (_, i) => b.startLine + i
+      )
+    );
+    const closedFences = {
+      name: 'closed_fences',
+      passed: codeBlocks.length > 0,
+      value: codeBlocks.length,
+      threshold: '>= 1',
+      weight: 1,
+      contribution: codeBlocks.length ? 1 : 0,
+      lines: blockLines,
+    };
+    if (!codeBlocks.length) {
+      return {
+        score: 0,
+        reasons: [],
+        formats: {},
+        codeBlocks,
+        checks: [closedFences],
+      };
+    }
+
+    const codeOnly = isCodeOnly(context.lines, codeBlocks);
+    const format = codeOnly ? 'code' : 'markdown';
+    return {
+      score: 1,
+      reasons: [codeOnly ? 'code_only' : 'code_in_prose'],
+      format,
+      formats: { [format]: 1 },
+      codeBlocks,
+      checks: [
+        closedFences,
+        {
+          name: 'code_only',
+          passed: codeOnly,
+          value: codeOnly,
+          threshold: 'no other text but a one-line caption',
+          weight: null,
+          contribution: null,
+          lines: codeOnly ? blockLines : [],
+        },
+      ],
+    };
+  },
+  decorate(output, result) {
+    output.codeBlocks = result.codeBlocks;
+  },
+};
+
+const log = {
+  name: 'log',
+  priority: 80,
+  threshold: LOG_TH,
+  score: (text) => analyzeLog(text),
+  accept: (result, context) => result.score > generalScore(context),
+  decorate(output, result) {
+    if (result.score > 0) output.log = withoutChecks(result);
+    if (output.text_format === 'log' && result.subformat) {
+      output.subformat = result.subformat;
+    }
+  },
+};
+
+// Tags that balance and an HTML, SVG or other XML vocabulary make markup,
+// unless the prose around them is markdown with some inline HTML
+const markup = {
+  name: 'markup',
+  priority: 70,
+  threshold: MARKUP_TH,
+  formats: ['html', 'xml', 'svg', 'jsx', 'template'],
+  score(text) {
+    const analysis = analyzeMarkup(text);
+    if (!analysis) {
+      return {
+        score: 0,
+        reasons: [],
+        formats: {},
+        analysis,
+        checks: [failedCheck('markup_tokens', 'a tag or declaration')],
+      };
+    }
+    return {
+      score: analysis.score,
+      reasons: analysis.reasons,
+      checks: analysis.checks,
+      format: analysis.format,
+      formats: { [analysis.format]: analysis.score },
+      analysis,
+    };
+  },
+  accept: (result) => Boolean(result.analysis) && !result.analysis.embedded,
+  decorate(output, result) {
+    if (result.score > 0) output.markup = withoutChecks(result.analysis);
+    if (output.text_format === result.format) {
+      output.subformat = result.analysis.subformat;
+    }
+  },
+};
+
+// Only text that parses as one of the JSON subformats is JSON. A sampled
+// input is checked up to where its first window ends.
+const json = {
+  name: 'json',
+  priority: 50,
+  score(text, context) {
+    const head = context.sampled?.windows[0];
+    const analysis = analyzeJson(
+      text,
+      head && { headLength: head.end - head.start }
+    );
+    return {
+      score: analysis?.valid ? 1 : 0,
+      reasons: analysis ? analysis.features : [],
+      checks: analysis?.checks ?? [
+        failedCheck('json_start', 'starts with { or ['),
+      ],
+      analysis,
+    };
+  },
+  decorate(output, result) {
+    if (result.analysis) output.json = withoutChecks(result.analysis);
+    if (output.text_format === 'json') {
+      output.subformat = result.analysis.subformat;
+    }
+  },
+};
+
+const csv = {
+  name: 'csv',
+  priority: 40,
+  threshold: CSV_TH,
+  score(text) {
+    const analysis = analyzeDelimited(text);
+    return {
+      score: analysis ? analysis.score : 0,
+      reasons: analysis ? analysis.reasons : [],
+      checks: analysis?.checks ?? [
+        failedCheck(
+          'consistent_field_count',
+          'the same on every line, >= 2',
+          0.4
+        ),
+      ],
+      analysis,
+    };
+  },
+  accept: (result, context) =>
+    result.score >
+    Math.max(generalScore(context), context.result('config')?.score ?? 0),
+  decorate(output, result) {
+    if (result.analysis) output.csv = withoutChecks(result.analysis);
+    if (output.text_format === 'csv') {
+      output.subformat = result.analysis.variant;
+    }
+  },
+};
+
+// Reports the best of yaml, toml, ini and dotenv as its format
+const config = {
+  name: 'config',
+  priority: 30,
+  threshold: CONFIG_TH,
+  formats: ['yaml', 'toml', 'ini', 'dotenv'],
+  score(text) {
+    const { format, score, results } = configScores(text);
+    return {
+      score,
+      reasons: results[format].reasons,
+      format,
+      formats: Object.fromEntries(
+        Object.entries(results).map(([k, r]) => [k, r.score])
+      ),
+      results,
+      frontMatter: detectFrontMatter(text),
+    };
+  },
+  // Front matter followed by a body is a markdown document, not config
+  accept: (result, context) =>
+    result.score > generalScore(context) &&
+    !hasBodyAfter(context.lines, result.frontMatter),
+  decorate(output, result) {
+    output.config = Object.fromEntries(
+      Object.entries(result.results).map(([k, r]) => [k, round(r.score)])
+    );
+    output.reasons.config = Object.fromEntries(
+      Object.entries(result.results).map(([k, r]) => [k, r.reasons])
+    );
+    if (result.frontMatter) output.frontMatter = result.frontMatter;
+  },
+  // List the checks of every config format, not only the best one
+  explain: (result) =>
+    Object.entries(result.results).flatMap(([format, r]) =>
+      r.checks.map((check) => ({ ...check, name: `${format}.${check.name}` }))
+    ),
+};
+
+const code = {
+  name: 'code',
+  priority: 20,
+  threshold: CODE_TH,
+  score: (text) => codeScore(text),
+  accept: (result, context) =>
+    round(result.score) > round(context.result('markdown')?.score ?? 0) &&
+    round(result.score) > round(context.result('ascii')?.score ?? 0),
+  decorate(output, result, context) {
+    output.code = round(result.score);
+    output.reasons.code = result.reasons;
+    if (output.text_format === 'code') {
+      const codeBlocks = context.result('fences')?.codeBlocks ?? [];
+      output.language = codeBlocks.length
+        ? codeBlocks[0].language
+        : detectLanguage(context.text);
+    }
+  },
+};
+
+// Escape sequences around plain text, or a redrawn ASCII progress bar,
+// leave nothing more specific to report than terminal output
+const terminal = {
+  name: 'terminal',
+  priority: 15,
+  threshold: TERMINAL_TH,
+  score: (text, context) => analyzeTerminal(context.raw),
+  accept(result, context) {
+    const { cursor, erase, carriageReturns } = result.sequences;
+    if (context.accepts('ascii')) return cursor + erase + carriageReturns > 0;
+    return !context.accepts('markdown');
+  },
+  decorate(output, result) {
+    if (result.score > 0) output.terminal = withoutChecks(result);
+  },
+};
+
+// Scored on the raw input so that ANSI color codes still count as a signal
+const ascii = {
+  name: 'ascii',
+  priority: 10,
+  threshold: ASCII_TH,
+  // How far ahead of markdown the score has to be
+  margin: ASCII_MARGIN,
+  weights: ASCII_WEIGHTS,
+  score(text, context) {
+    if (!text.trim()) {
+      return {
+        score: 0,
+        reasons: ['empty'],
+        codePenaltyApplied: false,
+        checks: [],
+      };
+    }
+
+    const weights = context.options.weights.ascii;
+    const a = asciiArtScore(context.raw, weights);
+    const codeLike = codeLikeLines(text);
+    const applied = codeLike.lines.length >= codeLike.minimum;
+    const penalty = applied ? -weights.code_like_penalty : 0;
+    return {
+      score: Math.max(0, a.score - penalty),
+      reasons: a.reasons,
+      stats: a.stats,
+      codePenaltyApplied: penalty > 0,
+      checks: [
+        ...a.checks,
+        {
+          name: 'code_like_penalty',
+          passed: applied,
+          value: codeLike.lines.length,
+          threshold: `>= ${codeLike.minimum}`,
+          weight: weights.code_like_penalty,
+          contribution: applied ? weights.code_like_penalty : 0,
+          lines: codeLike.lines,
+        },
+      ],
+    };
+  },
+  // Point at the box drawing, block, geometric and Braille characters,
+  // then list the features of each kind of art
+  explain: (result, context) => [
+    ...result.checks.map((check) =>
+      check.name === 'unicode_art_chars' && check.passed
+        ? {
+            ...check,
+            ranges: matchRanges(
+              context.text.replace(/\r\n?/g, '\n'),
+              /[\u2500-\u25FF\u2800-\u28FF]+/
+            ),
+          }
+        : check
+    ),
+    ...Object.entries(asciiKind(context.raw).reasons).flatMap(
+      ([kind, reasons]) =>
+        reasons.map((reason) => ({
+          name: `${kind}.${reason}`,
+          passed: true,
+          weight: null,
+          contribution: null,
+        }))
+    ),
+  ],
+  accept: (result, context) =>
+    round(result.score) >
+    round(
+      (context.result('markdown')?.score ?? 0) + context.options.margins.ascii
+    ),
+  decorate(output, result, context) {
+    output.asciiArt = round(result.score);
+    output.reasons.ascii = result.reasons;
+    output.reasons.codePenaltyApplied = result.codePenaltyApplied;
+    if (result.stats) output.stats = result.stats;
+    // Only art is worth telling apart, so the kind is found after detection
+    if (output.text_format === 'ascii') {
+      const kind = asciiKind(context.raw);
+      output.asciiKind = kind.name;
+      output.reasons.asciiKind = kind.reasons;
+    }
+  },
+};
+
+// Also claims reStructuredText, AsciiDoc and Org documents, which score by
+// their own features; the flavor tells them apart from markdown
+const markdown = {
+  name: 'markdown',
+  priority: 0,
+  threshold: MD_TH,
+  weights: MD_WEIGHTS,
+  score(text, context) {
+    const result = markdownScore(text, context.options.weights.markdown);
+    const flavor = markdownFlavor(text);
+    return {
+      ...result,
+      score: Math.max(result.score, flavor.score),
+      flavor,
+    };
+  },
+  // Count and point at the matches of every pattern, then list the
+  // features of each dialect
+  explain(result, context) {
+    const text = context.text.replace(/\r\n?/g, '\n');
+    const checks = result.checks.map((check) => {
+      if (!Object.hasOwn(MD, check.name)) return check;
+      const ranges = check.passed ? matchRanges(text, MD[check.name]) : [];
+      return { ...check, value: ranges.length, threshold: '>= 1', ranges };
+    });
+    const prose = blankCodeBlocks(context.text);
+    const dialects = Object.entries(result.flavor.reasons).flatMap(
+      ([dialect, reasons]) =>
+        reasons.map((name) => ({
+          name: `${dialect}.${name}`,
+          passed: true,
+          weight: null,
+          contribution: null,
+          ranges: matchRanges(prose, MD_FLAVORS[dialect][name]),
+        }))
+    );
+    return [...checks, ...dialects];
+  },
+  accept: (result, context) =>
+    round(result.score) >= round(context.result('ascii')?.score ?? 0),
+  decorate(output, result) {
+    output.markdown = round(result.score);
+    output.reasons.markdown = result.reasons;
+    if (output.text_format === 'markdown') {
+      output.flavor = result.flavor.name;
+      output.reasons.flavor = result.flavor.reasons;
+    }
+  },
+};
+
+/**
+ * The formats detectTextFormat knows about, as detector plugins in priority
+ * order. Spread them into createDetector to extend or replace some of them.
+ */
+export const builtinDetectors = Object.freeze(
+  [
+    diff,
+    fences,
+    log,
+    markup,
+    json,
+    csv,
+    config,
+    code,
+    terminal,
+    ascii,
+    markdown,
+  ].map((detector) => Object.freeze(detector))
+);
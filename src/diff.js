@@ -0,0 +1,235 @@
+import { createTally } from './tally.js';
+
+// Minimum score for a diff to win classification
+export const DIFF_TH = 0.5;
+
+const GIT_HEADER_RE = /^diff --git a\/(.+) b\/(.+)$/;
+const UNIFIED_OLD_RE = /^--- (.+?)(?:\t.*)?$/;
+const UNIFIED_NEW_RE = /^\+\+\+ (.+?)(?:\t.*)?$/;
+const HUNK_RE = /^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/;
+const CONTEXT_OLD_RE = /^\*\*\* (.+?)(?:\t.*)?$/;
+const CONTEXT_HUNK_RE = /^\*{15}$/;
+const CONTEXT_RANGE_RE = /^(\*\*\*|---) (\d+)(?:,(\d+))? (?:\*\*\*\*|----)$/;
+const MAIL_FROM_RE = /^From [0-9a-f]{7,40} /;
+
+/**
+ * Strip the a/ and b/ prefixes git puts on diff paths
+ * @param {string} path - Path from a file header
+ * @returns {string} Path without the prefix
+ */
+function cleanPath(path) {
+  return path === '/dev/null' ? path : path.replace(/^[ab]\//, '');
+}
+
+/**
+ * Read the mail headers that git format-patch writes before the diff
+ * @param {string[]} lines - Lines of the text
+ * @returns {Object|null} From, date and subject, or null when absent
+ */
+function mailHeaders(lines) {
+  if (!MAIL_FROM_RE.test(lines[0] ?? '')) return null;
+
+  // Mail headers end at the first blank line
+  const end = lines.indexOf('');
+  const headers = lines.slice(1, end === -1 ? lines.length : end);
+  const header = (name) => {
+    const line = headers.find((l) => l.startsWith(`${name}: `));
+    return line ? line.slice(name.length + 2) : null;
+  };
+
+  return {
+    from: header('From'),
+    date: header('Date'),
+    subject: header('Subject'),
+  };
+}
+
+/**
+ * Walk unified and context diffs, collecting per-file hunk and line counts
+ * @param {string[]} lines - Lines of the text
+ * @returns {Object} Files, and the 1-based numbers of the lines with each
+ *   header style, of the hunk headers and of the added and removed lines
+ */
+function parseFiles(lines) {
+  const files = [];
+  const seen = { git: [], unified: [], context: [], hunks: [], changes: [] };
+  let file = null;
+  // A "diff --git" line whose ---/+++ headers have not been read yet
+  let gitOpen = false;
+  // Lines still expected on each side of the current unified hunk
+  let oldLeft = 0;
+  let newLeft = 0;
+  // Which side ('old' or 'new') of the current context hunk is being read
+  let contextSide = null;
+
+  const startFile = (oldPath, newPath) => {
+    file = { oldPath, newPath, hunks: 0, added: 0, removed: 0 };
+    files.push(file);
+    contextSide = null;
+  };
+
+  lines.forEach((line, i) => {
+    if (oldLeft > 0 || newLeft > 0) {
+      const mark = line[0];
+      if (mark === '+' && newLeft) {
+        file.added++;
+        seen.changes.push(i + 1);
+        newLeft--;
+        return;
+      }
+      if (mark === '-' && oldLeft) {
+        file.removed++;
+        seen.changes.push(i + 1);
+        oldLeft--;
+        return;
+      }
+      if ((mark === ' ' || line === '') && oldLeft && newLeft) {
+        oldLeft--;
+        newLeft--;
+        return;
+      }
+      if (mark === '\\') return;
+      // The hunk is shorter than its header claims
+      oldLeft = newLeft = 0;
+    }
+    // "\ No newline at end of file" may also follow a hunk's last line
+    if (line.startsWith('\\ ')) return;
+
+    const git = GIT_HEADER_RE.exec(line);
+    if (git) {
+      seen.git.push(i + 1);
+      startFile(git[1], git[2]);
+      gitOpen = true;
+      return;
+    }
+
+    const oldPath = UNIFIED_OLD_RE.exec(line);
+    const newPath = UNIFIED_NEW_RE.exec(lines[i + 1] ?? '');
+    if (oldPath && newPath) {
+      seen.unified.push(i + 1, i + 2);
+      if (gitOpen) {
+        // Keep git's paths but note /dev/null for added or deleted files
+        file.oldPath = cleanPath(oldPath[1]);
+        file.newPath = cleanPath(newPath[1]);
+        gitOpen = false;
+      } else {
+        startFile(cleanPath(oldPath[1]), cleanPath(newPath[1]));
+      }
+      return;
+    }
+    if (UNIFIED_NEW_RE.test(line) && UNIFIED_OLD_RE.test(lines[i - 1] ?? '')) {
+      return;
+    }
+
+    const hunk = HUNK_RE.exec(line);
+    if (hunk) {
+      // Bare hunks (e.g. pasted without file headers) get an unnamed file
+      if (!file) startFile(null, null);
+      file.hunks++;
+      seen.hunks.push(i + 1);
+      oldLeft = hunk[1] === undefined ? 1 : +hunk[1];
+      newLeft = hunk[2] === undefined ? 1 : +hunk[2];
+      gitOpen = false;
+      return;
+    }
+
+    const contextOld = CONTEXT_OLD_RE.exec(line);
+    const contextNew = UNIFIED_OLD_RE.exec(lines[i + 1] ?? '');
+    if (
+      contextOld &&
+      contextNew &&
+      !CONTEXT_RANGE_RE.test(line) &&
+      !CONTEXT_RANGE_RE.test(lines[i + 1])
+    ) {
+      seen.context.push(i + 1, i + 2);
+      startFile(contextOld[1], contextNew[1]);
+      return;
+    }
+
+    if (CONTEXT_HUNK_RE.test(line) && file) {
+      file.hunks++;
+      seen.hunks.push(i + 1);
+      contextSide = null;
+      return;
+    }
+
+    const range = CONTEXT_RANGE_RE.exec(line);
+    if (range && file) {
+      contextSide = range[1] === '***' ? 'old' : 'new';
+      return;
+    }
+
+    // "!" marks a changed line, shown once on each side
+    if (contextSide && /^[+\-!] /.test(line)) {
+      if (line[0] === '+' || (line[0] === '!' && contextSide === 'new')) {
+        file.added++;
+      } else {
+        file.removed++;
+      }
+      seen.changes.push(i + 1);
+    }
+  });
+
+  return { files, seen };
+}
+
+/**
+ * Analyze unified diffs, context diffs and git format-patch output
+ * @param {string} text - The text to analyze
+ * @returns {Object} Score, reasons and the checks behind them, subformat,
+ *   mail headers and a per-file summary of hunks and added/removed lines
+ */
+export function analyzeDiff(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const email = mailHeaders(lines);
+  const { files, seen } = parseFiles(lines);
+  const hunks = files.reduce((acc, f) => acc + f.hunks, 0);
+  const tally = createTally({});
+
+  tally.add('hunk_headers', hunks > 0, {
+    value: hunks,
+    threshold: '>= 1',
+    weight: 0.5,
+    lines: seen.hunks,
+  });
+  tally.add('file_headers', seen.unified.length + seen.context.length > 0, {
+    value: (seen.unified.length + seen.context.length) / 2,
+    threshold: '>= 1',
+    weight: 0.2,
+    lines: [...seen.unified, ...seen.context].sort((a, b) => a - b),
+  });
+  tally.add('git_headers', seen.git.length > 0, {
+    value: seen.git.length,
+    threshold: '>= 1',
+    weight: 0.2,
+    lines: seen.git,
+  });
+  tally.add('mail_headers', Boolean(email), {
+    value: Boolean(email),
+    threshold: 'present',
+    weight: 0.1,
+    lines: email ? [1] : [],
+  });
+  // Every file with hunks adds or removes lines
+  tally.add(
+    'changed_lines',
+    hunks > 0 && files.every((f) => !f.hunks || f.added + f.removed > 0),
+    {
+      value: seen.changes.length,
+      threshold: '>= 1 in every file with hunks',
+      weight: 0.1,
+      lines: seen.changes,
+    }
+  );
+
+  return {
+    score: Number(Math.min(1, tally.score).toFixed(3)),
+    reasons: tally.reasons,
+    checks: tally.checks,
+    subformat:
+      seen.context.length > seen.unified.length ? 'context' : 'unified',
+    git: seen.git.length > 0,
+    email,
+    files,
+  };
+}
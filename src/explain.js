@@ -0,0 +1,192 @@
+// Lines quoted per check in the report before the rest are summarized
+const MAX_LINES = 3;
+
+/**
+ * Turn line numbers into ranges covering the content of each line
+ * @param {string[]} lines - Lines of the text
+ * @param {number[]} numbers - 1-based line numbers
+ * @returns {Array<Object>} Ranges with 1-based, inclusive startLine,
+ *   startColumn, endLine and endColumn
+ */
+export function lineRanges(lines, numbers) {
+  return numbers.map((number) => {
+    const line = lines[number - 1] ?? '';
+    const start = line.length - line.trimStart().length;
+    const end = Math.max(start + 1, line.trimEnd().length);
+    return {
+      startLine: number,
+      startColumn: start + 1,
+      endLine: number,
+      endColumn: end,
+    };
+  });
+}
+
+/**
+ * Find where a pattern matches. A leading `(^|...)` group only guards the
+ * match, so it is left out of the range, as is surrounding whitespace.
+ * @param {string} text - The text to search
+ * @param {RegExp} re - Pattern to find; it is run globally
+ * @returns {Array<Object>} Ranges of the matches, as for lineRanges
+ */
+export function matchRanges(text, re) {
+  const flags = re.flags.includes('g') ? re.flags : `${re.flags}g`;
+  const guarded = re.source.startsWith('(^|');
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+
+  /**
+   * Convert an offset into a 1-based line and column
+   * @param {number} offset - Character offset
+   * @returns {Array<number>} Line and column
+   */
+  const position = (offset) => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return [low + 1, offset - starts[low] + 1];
+  };
+
+  const ranges = [];
+  for (const match of text.matchAll(new RegExp(re.source, flags))) {
+    // Leave out the whitespace and line breaks a match may start or end with
+    const body = text.slice(
+      match.index + (guarded ? match[1].length : 0),
+      match.index + match[0].length
+    );
+    const start = match.index + match[0].length - body.trimStart().length;
+    const length = body.trim().length;
+    if (!length) continue;
+
+    const [startLine, startColumn] = position(start);
+    const [endLine, endColumn] = position(start + length - 1);
+    ranges.push({ startLine, startColumn, endLine, endColumn });
+  }
+
+  return ranges;
+}
+
+/**
+ * Format a measured value for the report
+ * @param {*} value - Number, boolean or object of numbers
+ * @returns {string} Readable value
+ */
+function formatValue(value) {
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (value && typeof value === 'object') {
+    return Object.entries(value)
+      .map(([k, v]) => `${k}=${formatValue(v)}`)
+      .join(' ');
+  }
+  return String(value);
+}
+
+/**
+ * Format a score or weight with three decimals and, optionally, its sign
+ * @param {number} n - Number to format
+ * @param {boolean} [signed] - Whether to prefix positive numbers with +
+ * @returns {string} Formatted number
+ */
+function formatNumber(n, signed = false) {
+  const text = n.toFixed(3);
+  return signed && n > 0 ? `+${text}` : text;
+}
+
+/**
+ * Quote a line with markers under the ranges that start on it
+ * @param {string[]} lines - Lines of the text
+ * @param {Array<Object>} ranges - Ranges from the explanation, all starting
+ *   on the same line
+ * @param {number} width - Width of the line number column
+ * @returns {string[]} Report lines
+ */
+function excerpt(lines, ranges, width) {
+  const number = ranges[0].startLine;
+  const line = lines[number - 1] ?? '';
+  let marks = '';
+  let more = '';
+
+  for (const range of ranges) {
+    const end = range.endLine === number ? range.endColumn : line.length;
+    // Keep tabs in the padding so the markers line up with the text
+    marks += line
+      .slice(marks.length, range.startColumn - 1)
+      .replace(/[^\t]/g, ' ');
+    marks += '^'.repeat(Math.max(1, end - range.startColumn + 1));
+    if (range.endLine > number) {
+      more = ` (to line ${range.endLine}, column ${range.endColumn})`;
+    }
+  }
+
+  return [
+    `${String(number).padStart(width)} | ${line}`,
+    `${' '.repeat(width)} | ${marks}${more}`,
+  ];
+}
+
+/**
+ * Format the result of explainTextFormat as an annotated text report that
+ * lists every detector with its checks and quotes the lines that triggered
+ * them
+ * @param {Object} explanation - Result of explainTextFormat
+ * @param {Object} [options] - Report options
+ * @param {number} [options.maxLines] - Lines quoted per check (default 3)
+ * @returns {string} The report
+ */
+export function formatExplanation(explanation, { maxLines = MAX_LINES } = {}) {
+  const { text_format, result, detectors } = explanation;
+  const lines = explanation.text.split(/\r\n?|\n/);
+  const width = String(lines.length).length;
+  const out = [
+    `Detected: ${text_format} (probability ${formatNumber(result.probabilities[text_format] ?? 0)})`,
+  ];
+
+  for (const d of detectors) {
+    const notes = [d.accepted && 'accepted', d.winner && 'detected'];
+    out.push(
+      '',
+      [
+        `${d.name}: score ${formatNumber(d.score)}, threshold ${formatNumber(d.threshold)}`,
+        ...notes.filter(Boolean),
+      ].join(', ')
+    );
+
+    const nameWidth = Math.max(...d.checks.map((c) => c.name.length), 0);
+    for (const check of d.checks) {
+      const weight =
+        check.weight === null
+          ? ''
+          : `  ${formatNumber(check.contribution, true).padStart(6)}`;
+      const measured =
+        check.value === undefined
+          ? ''
+          : `  ${formatValue(check.value)} (${check.threshold})`;
+      out.push(
+        `  ${check.passed ? '✓' : '✗'} ${check.name.padEnd(nameWidth)}${weight}${measured}`.trimEnd()
+      );
+
+      if (!check.passed) continue;
+      const byLine = new Map();
+      for (const range of check.ranges ?? []) {
+        byLine.set(range.startLine, [
+          ...(byLine.get(range.startLine) ?? []),
+          range,
+        ]);
+      }
+      for (const ranges of [...byLine.values()].slice(0, maxLines)) {
+        out.push(...excerpt(lines, ranges, width).map((l) => `      ${l}`));
+      }
+      if (byLine.size > maxLines) {
+        out.push(`      ... and ${byLine.size - maxLines} more lines`);
+      }
+    }
+  }
+
+  return `${out.join('\n')}\n`;
+}
@@ -0,0 +1,77 @@
+import { detectLanguage } from './languages.js';
+
+const FENCE_OPEN_RE = /^ {0,3}(`{3,}|~{3,})(.*)$/;
+const FENCE_CLOSE_RE = /^ {0,3}(`{3,}|~{3,})\s*$/;
+
+/**
+ * Check how a line affects fenced code blocks
+ * @param {string} line - The line to check
+ * @param {Object|null} open - The fence open before the line, if any
+ * @returns {Object|null} `{ close: true }` when the line closes `open`,
+ *   `{ marker, info }` when it opens a fence, else null
+ */
+export function matchFence(line, open) {
+  if (open) {
+    const close = FENCE_CLOSE_RE.exec(line);
+    return close &&
+      close[1][0] === open.marker[0] &&
+      close[1].length >= open.marker.length
+      ? { close: true }
+      : null;
+  }
+
+  const match = FENCE_OPEN_RE.exec(line);
+  // Backtick fences may not carry backticks in their info string
+  if (!match || (match[1][0] === '`' && match[2].includes('`'))) return null;
+  return { marker: match[1], info: match[2].trim() };
+}
+
+/**
+ * Locate fenced code blocks (``` or ~~~) line by line
+ * @param {string[]} lines - The lines to scan
+ * @returns {Array<Object>} Fences with marker, info string, 0-based open and
+ *   close line indexes, and whether the fence was closed
+ */
+export function findFences(lines) {
+  const fences = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    const match = matchFence(line, current);
+    if (!match) return;
+
+    if (current) {
+      current.close = i;
+      current.closed = true;
+      current = null;
+      return;
+    }
+
+    current = { ...match, open: i, close: null, closed: false };
+    fences.push(current);
+  });
+
+  return fences;
+}
+
+/**
+ * List fenced code blocks with their language, line range and content
+ * @param {string[]} lines - The lines to scan
+ * @returns {Array<Object>} Code blocks with language, info string, 1-based
+ *   inclusive line range (fence lines included), content and closed flag
+ */
+export function extractCodeBlocks(lines) {
+  return findFences(lines).map((fence) => {
+    const end = fence.closed ? fence.close : lines.length;
+    const content = lines.slice(fence.open + 1, end).join('\n');
+
+    return {
+      language: detectLanguage(content, { info: fence.info }),
+      info: fence.info,
+      startLine: fence.open + 1,
+      endLine: fence.closed ? fence.close + 1 : lines.length,
+      content,
+      closed: fence.closed,
+    };
+  });
+}
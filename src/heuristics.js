@@ -0,0 +1,806 @@
+import { stripAnsi } from './ansi.js';
+import { findFences } from './fences.js';
+import { createTally, tooFewLines } from './tally.js';
+import { displayWidth } from './width.js';
+
+// Regular expressions for Unicode character detection
+export const BOX_DRAWING_RE = /[\u2500-\u257F]/;
+export const BLOCK_ELEMS_RE = /[\u2580-\u259F]/;
+export const BRAILLE_RE = /[\u2800-\u28FF]/;
+export const GEOM_RE = /[\u25A0-\u25FF]/;
+export const ANSI_RE = /\x1B\[[0-9;]*m/;
+// Branches of a tree listing: "├── src", "└─ a", "|-- b", "`-- c", "+-- d"
+export const BRANCH_RE = /^([ \t│|]*)[├└|`+](?:──?|--)[ \t]+[^\s─-]/;
+// Shift-JIS text art as drawn on 2channel: kaomoji faces such as (´∀｀) or
+// (ﾟДﾟ), and lines with the strokes and runs of fullwidth spaces it is
+// drawn with, which prose rarely uses
+export const KAOMOJI_RE =
+  /[(（][^()（）\n]{0,3}[´｀ﾟ°＾・◕≧≦][^()（）\n]{0,3}[∀Ддωεｰー▽∇‿_＿口o][^()（）\n]{0,3}[´｀ﾟ°＾・◕≧≦][^()（）\n]{0,3}[)）]/;
+export const SJIS_ART_RE = /[´｀ヽ彡￣＿／＼｜ﾟ゜]|\u3000\u3000/;
+
+// Character sets for ASCII art detection
+export const BORDER_CHARS = new Set(Array.from('+|-_=/#\\*<>'));
+export const LINE_SYMBOL_CHARS = new Set(
+  Array.from('`~!@#$%^&*()-_=+[]{}|\\;:\'",.<>/?')
+);
+
+// Letters and digits of any script
+const LETTER_RE = /[\p{L}\p{N}]/u;
+
+// Flags per ASCII character code, for scanning lines one code at a time
+const ALNUM = 1;
+const SYMBOL = 2;
+const BORDER = 4;
+const CHAR_FLAGS = new Uint8Array(128);
+for (let c = 0; c < 128; c++) {
+  const ch = String.fromCharCode(c);
+  if (/[A-Za-z0-9]/.test(ch)) CHAR_FLAGS[c] |= ALNUM;
+  if (LINE_SYMBOL_CHARS.has(ch)) CHAR_FLAGS[c] |= SYMBOL;
+  if (BORDER_CHARS.has(ch)) CHAR_FLAGS[c] |= BORDER;
+}
+
+// Decision thresholds shared by whole-text and per-region classification
+export const ASCII_TH = 0.35;
+export const MD_TH = 0.08;
+export const ASCII_MARGIN = 0.1;
+export const CODE_TH = 0.5;
+
+// Tokens that are far more common in source code than in prose
+const CODE_KEYWORDS = new Set([
+  'function',
+  'return',
+  'const',
+  'let',
+  'var',
+  'def',
+  'elif',
+  'lambda',
+  'import',
+  'export',
+  'class',
+  'struct',
+  'enum',
+  'interface',
+  'impl',
+  'fn',
+  'func',
+  'package',
+  'public',
+  'private',
+  'protected',
+  'static',
+  'void',
+  'int',
+  'async',
+  'await',
+  'yield',
+  'null',
+  'nil',
+  'None',
+  'true',
+  'false',
+  'True',
+  'False',
+  'self',
+  'this',
+  'new',
+  'else',
+  'while',
+  'switch',
+  'case',
+  'break',
+  'continue',
+  'catch',
+  'except',
+  'throw',
+  'raise',
+  'typeof',
+  'instanceof',
+  'echo',
+  'fi',
+  'esac',
+  'done',
+  'sudo',
+  'npm',
+  'npx',
+  'chmod',
+  'mkdir',
+  'curl',
+  'wget',
+  'elsif',
+  'end',
+  'require',
+  'require_relative',
+  'puts',
+  'attr_accessor',
+  'attr_reader',
+  'attr_writer',
+  // SQL keywords count in upper case only, the way queries are written
+  'SELECT',
+  'FROM',
+  'WHERE',
+  'INSERT',
+  'INTO',
+  'UPDATE',
+  'SET',
+  'DELETE',
+  'CREATE',
+  'TABLE',
+  'JOIN',
+  'GROUP',
+  'ORDER',
+  'BY',
+]);
+
+const OPERATOR_RE =
+  /===?|!==?|=>|->|&&|\|\||[+\-*/%]=|::|:=|<=|>=|\+\+|--(?=\w)|<<|>>|\s[=+*/%<>]\s/g;
+
+/**
+ * Heuristic markdown patterns. They run over whole texts, so none may
+ * backtrack across lines: per-line parts use [ \t] rather than \s, and
+ * repeated parts stop at the characters that could start another match.
+ * The lazy fences are linear too, as only the last opener can fail.
+ */
+export const MD = {
+  heading: /^(#{1,6})\s+\S+/m,
+  setext: /^(.+)\n(=+|-+)[ \t]*$/m,
+  list: /^(?:\s{0,3}[-*+]\s+|\s{0,3}\d+\.\s+)/m,
+  blockquote: /^>\s+/m,
+  fenced: /```[\s\S]*?```|~~~[\s\S]*?~~~/m,
+  inlineCode: /(^|[^`])`[^`]+`/m,
+  link: /\[[^[\]]+\]\([^()]+\)/m,
+  image: /!\[[^[\]]*\]\([^()]+\)/m,
+  tableRow: /^\|?[^|\r\n\u2028\u2029]+\|[^|\r\n\u2028\u2029]+/m,
+  tableAlign:
+    /^[ \t]*(?:\|[ \t]*)?:?-{3,}:?[ \t]*(?:\|[ \t]*:?-{3,}:?[ \t]*)+(?:\|[ \t]*)?$/m,
+  hr: /^(?:-\s?){3,}$|^(?:\*\s?){3,}$|^(?:_\s?){3,}$/m,
+  emphasis: /(^|[^\w*])\*{1,2}[^*\n]+\*{1,2}(?!\*)/m,
+  html: /<\/?(?:div|span|br|img|a|p|h[1-6]|ul|ol|li|code|pre)[^<>]*>/i,
+  frontMatter: /(?:^|(?<=\n))(---|\+\+\+)\n[\s\S]*?\n\1\n/,
+};
+
+/**
+ * Patterns of the markdown flavors (extensions of CommonMark) and of the
+ * related lightweight markups that are often mistaken for markdown, by
+ * dialect. Like MD, they must match in linear time.
+ */
+export const MD_FLAVORS = {
+  gfm: {
+    taskList: /^[ \t]*(?:[-*+]|\d+\.)[ \t]+\[[ xX]\](?=[ \t])/m,
+    strikethrough: /~~[^~\s](?:[^~\n]*[^~\s])?~~/,
+    autolink: /(?:^|[ \t])(?:https?:\/\/|www\.)\w/m,
+    tableAlign: MD.tableAlign,
+    footnote: /\[\^[^\]\s]+\]/,
+  },
+  obsidian: {
+    wikiLink: /(?<!!)\[\[[^[\]|\n]+(?:\|[^[\]\n]+)?\]\](?!\[)/,
+    embed: /!\[\[[^[\]\n]+\]\]/,
+    callout: /^>[ \t]*\[![\w-]+\]/m,
+  },
+  mdx: {
+    imports: /^import[ \t][^\n]*\bfrom[ \t]*['"]/m,
+    exports: /^export[ \t]+(?:default|const|let|function)\b/m,
+    components: /^[ \t]*<[A-Z][\w.]*(?=[ \t/>]|$)/m,
+    expressions: /<[A-Za-z][\w.]*[ \t][^<>\n]*=\{/,
+  },
+  rst: {
+    directive: /^\.\.[ \t]+[\w-]+::/m,
+    role: /:[\w-]+:`[^`\n]+`/,
+    literalBlock: /::[ \t]*\n[ \t]*\n[ \t]+\S/,
+    hyperlink: /`[^`\n]+`__?(?![\w`])/,
+    fieldList: /^:[\w -]+:(?:[ \t]|$)/m,
+    underline: /^.+\n([~^"'`+])\1{2,}[ \t]*$/m,
+  },
+  asciidoc: {
+    title: /^={1,5}[ \t]+\S/m,
+    attribute: /^:[\w-]+:(?:[ \t]|$)/m,
+    blockAttribute:
+      /^\[(?:source|quote|verse|listing|literal|example|sidebar|NOTE|TIP|IMPORTANT|WARNING|CAUTION)(?:,[^\]\n]*)?\][ \t]*$/m,
+    admonition: /^(?:NOTE|TIP|IMPORTANT|WARNING|CAUTION):[ \t]/m,
+    macro: /\b(?:link|image|include|xref|kbd|footnote):[^\s[\]]*\[[^\]\n]*\]/,
+    crossReference: /<<[\w-]+(?:,[^>\n]*)?>>/,
+  },
+  org: {
+    heading: /^\*{2,}[ \t]+\S/m,
+    todo: /^\*+[ \t]+(?:TODO|DONE)[ \t]/m,
+    keyword: /^#\+[A-Za-z_]+:/m,
+    block: /^#\+begin_\w+/im,
+    link: /\[\[[^[\]\n]+\]\[[^[\]\n]+\]\]/,
+    drawer: /^[ \t]*:(?:PROPERTIES|LOGBOOK|END):[ \t]*$/m,
+    timestamp: /<\d{4}-\d{2}-\d{2} [A-Za-z]{2,3}\.?[^>\n]*>/,
+  },
+};
+
+// Dialects that are not markdown at all, and the markdown syntax (as named
+// in MD) that they never use
+const RELATED_MARKUPS = ['rst', 'asciidoc', 'org'];
+const MARKDOWN_ONLY = ['heading', 'link', 'image', 'fenced'];
+// Score per feature of a related markup, which needs two of them
+const FLAVOR_FEATURE_SCORE = 0.12;
+
+/** Score each markdown pattern adds when it matches, and the penalties */
+export const MD_WEIGHTS = {
+  fenced: 0.18,
+  heading: 0.18,
+  list: 0.18,
+  link: 0.18,
+  tableRow: 0.18,
+  image: 0.12,
+  blockquote: 0.12,
+  setext: 0.12,
+  frontMatter: 0.12,
+  tableAlign: 0.12,
+  inlineCode: 0.08,
+  hr: 0.08,
+  emphasis: 0.08,
+  html: 0.05,
+  // Penalties for two or more lines over 140 characters, and for box
+  // drawing, block or Braille characters
+  longLines: -0.1,
+  unicodeArt: -0.12,
+};
+
+/** Score each ASCII art indicator adds (or, when negative, removes) */
+export const ASCII_WEIGHTS = {
+  many_wide_lines: 0.15,
+  consistent_width: 0.2,
+  symbol_heavy_low_alpha: 0.2,
+  long_same_char_runs: 0.15,
+  border_like_lines: 0.1,
+  trailing_spaces: 0.07,
+  ansi_sequences: 0.12,
+  unicode_art_chars: 0.28,
+  sjis_art_chars: 0.2,
+  tree_branches: 0.15,
+  very_text_heavy: -0.1,
+  // Applied by the detector when codeLikePenalty finds code-like lines
+  code_like_penalty: -0.15,
+};
+
+/**
+ * Check whether a UTF-16 code unit is whitespace, as matched by \s and
+ * removed by String.prototype.trim
+ * @param {number} c - Character code
+ * @returns {boolean} True for whitespace
+ */
+function isSpace(c) {
+  if (c < 128) return c === 32 || (c >= 9 && c <= 13);
+  return (
+    c === 0xa0 ||
+    c === 0x1680 ||
+    (c >= 0x2000 && c <= 0x200a) ||
+    c === 0x2028 ||
+    c === 0x2029 ||
+    c === 0x202f ||
+    c === 0x205f ||
+    c === 0x3000 ||
+    c === 0xfeff
+  );
+}
+
+/**
+ * Measure a line for the ASCII art indicators in a single pass over its
+ * character codes
+ * @param {string} line - Line without its line break
+ * @returns {Object} Counts of alphanumeric, symbol and border characters,
+ *   the trimmed length, whether the trimmed line is one repeated character
+ *   and starts and ends with border characters, and whether the line has a
+ *   run of five equal characters or trailing whitespace
+ */
+export function measureLine(line) {
+  let alnum = 0;
+  let sym = 0;
+  let border = 0;
+  let first = -1;
+  let last = -1;
+  let same = 0;
+  let run = 0;
+  let longRun = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const c = line.charCodeAt(i);
+    // Fullwidth forms, as in Shift-JIS art, count as their ASCII characters
+    const ascii = c >= 0xff01 && c <= 0xff5e ? c - 0xfee0 : c;
+    const flags = ascii < 128 ? CHAR_FLAGS[ascii] : 0;
+    // Letters and digits of other scripts, such as kana and kanji, too
+    if (flags & ALNUM || (ascii >= 128 && LETTER_RE.test(line[i]))) alnum++;
+    if (flags & SYMBOL) sym++;
+    if (flags & BORDER) border++;
+
+    if (!isSpace(c)) {
+      if (first === -1) first = i;
+      last = i;
+    }
+    if (first !== -1 && c === line.charCodeAt(first)) same++;
+
+    // Like /(.)\1{4,}/, where "." does not match line separators
+    run = i > 0 && c === line.charCodeAt(i - 1) ? run + 1 : 1;
+    if (run >= 5 && c !== 0x2028 && c !== 0x2029) longRun = true;
+  }
+
+  const trimmed = first === -1 ? 0 : last - first + 1;
+  const isBorder = (index) => {
+    const c = line.charCodeAt(index);
+    return c < 128 && (CHAR_FLAGS[c] & BORDER) !== 0;
+  };
+  return {
+    alnum,
+    sym,
+    trimmed,
+    // Border characters are never whitespace, so the whole-line count is
+    // the count within the trimmed line
+    bordered:
+      trimmed >= 3 &&
+      isBorder(first) &&
+      isBorder(last) &&
+      (border / trimmed >= 0.8 || same === trimmed),
+    longRun,
+    trailing: trimmed > 0 && isSpace(line.charCodeAt(line.length - 1)),
+  };
+}
+
+/**
+ * Calculate ASCII art score based on various heuristics
+ * @param {string} text - The text to analyze
+ * @param {Object} [weights] - Score per indicator, see ASCII_WEIGHTS
+ * @returns {Object} Score and reasons for the score, line statistics, and
+ *   the checks behind them with measured values and matching line numbers
+ */
+export function asciiArtScore(text, weights = ASCII_WEIGHTS) {
+  // Measure what the terminal shows, not the escape sequences around it
+  const raw = stripAnsi(text).replace(/\r\n?/g, '\n');
+  const lines = raw.split('\n');
+
+  if (lines.length < 3) {
+    return tooFewLines(lines.length, 3);
+  }
+
+  // Widths in terminal columns, so CJK text and emoji line up as shown
+  const widths = lines.map(displayWidth);
+  const mean = widths.reduce((a, b) => a + b, 0) / widths.length || 0;
+  const std =
+    Math.sqrt(
+      widths.reduce((a, w) => a + Math.pow(w - mean, 2), 0) /
+        (widths.length || 1)
+    ) || 0;
+
+  let total = 0,
+    alnum = 0,
+    sym = 0;
+  // 1-based numbers of the lines behind each line-based indicator
+  const wide = [],
+    borders = [],
+    runs = [],
+    trailing = [],
+    sjis = [],
+    branches = [];
+  let content = 0;
+
+  lines.forEach((line, i) => {
+    total += line.length;
+    if (widths[i] >= 20) wide.push(i + 1);
+    if (KAOMOJI_RE.test(line) || SJIS_ART_RE.test(line)) sjis.push(i + 1);
+    if (BRANCH_RE.test(line)) branches.push(i + 1);
+    if (line.trim()) content++;
+
+    const m = measureLine(line);
+    alnum += m.alnum;
+    sym += m.sym;
+    if (m.bordered) borders.push(i + 1);
+    if (m.longRun) runs.push(i + 1);
+    if (m.trailing) trailing.push(i + 1);
+  });
+
+  const symD = total ? sym / total : 0;
+  const alpha = total ? alnum / total : 0;
+
+  const hasUnicodeArt =
+    BOX_DRAWING_RE.test(raw) ||
+    BLOCK_ELEMS_RE.test(raw) ||
+    BRAILLE_RE.test(raw) ||
+    GEOM_RE.test(raw);
+  const hasAnsi = ANSI_RE.test(text);
+
+  const tally = createTally(weights);
+  const minRuns = Math.max(2, Math.floor(lines.length * 0.05));
+  const spread = std / Math.max(1, mean);
+
+  tally.add('many_wide_lines', wide.length / lines.length >= 0.7, {
+    value: wide.length / lines.length,
+    threshold: '>= 0.7',
+    lines: wide,
+  });
+  tally.add('consistent_width', mean >= 20 && spread <= 0.22, {
+    value: { mean, spread },
+    threshold: 'mean >= 20 and spread <= 0.22',
+  });
+  tally.add('symbol_heavy_low_alpha', symD >= 0.18 && alpha <= 0.55, {
+    value: { symD, alpha },
+    threshold: 'symD >= 0.18 and alpha <= 0.55',
+  });
+  tally.add('long_same_char_runs', runs.length >= minRuns, {
+    value: runs.length,
+    threshold: `>= ${minRuns}`,
+    lines: runs,
+  });
+  tally.add('border_like_lines', borders.length / lines.length >= 0.08, {
+    value: borders.length / lines.length,
+    threshold: '>= 0.08',
+    lines: borders,
+  });
+  tally.add('trailing_spaces', trailing.length / lines.length >= 0.1, {
+    value: trailing.length / lines.length,
+    threshold: '>= 0.1',
+    lines: trailing,
+  });
+  tally.add('ansi_sequences', hasAnsi, {
+    value: hasAnsi,
+    threshold: 'present',
+  });
+  tally.add('unicode_art_chars', hasUnicodeArt, {
+    value: hasUnicodeArt,
+    threshold: 'present',
+  });
+  tally.add(
+    'sjis_art_chars',
+    sjis.length >= 2 && sjis.length / lines.length >= 0.3,
+    {
+      value: sjis.length / lines.length,
+      threshold: '>= 0.3 and 2 lines',
+      lines: sjis,
+    }
+  );
+  // Box drawing trees are short and narrow, so little else adds up for them
+  tally.add(
+    'tree_branches',
+    branches.length >= 2 && branches.length / Math.max(1, content) >= 0.6,
+    {
+      value: branches.length / Math.max(1, content),
+      threshold: '>= 0.6 and 2 lines',
+      lines: branches,
+    }
+  );
+  tally.add('very_text_heavy', alpha > 0.75, {
+    value: alpha,
+    threshold: '> 0.75',
+  });
+
+  return {
+    score: Math.max(0, Math.min(1, tally.score)),
+    reasons: tally.reasons,
+    stats: { lines: lines.length, mean, std, symD, alpha },
+    checks: tally.checks,
+  };
+}
+
+/**
+ * Calculate markdown score based on markdown patterns
+ * @param {string} text - The text to analyze
+ * @param {Object} [weights] - Score per pattern and penalty, see MD_WEIGHTS
+ * @returns {Object} Score and reasons for the score, and the checks behind
+ *   them
+ */
+export function markdownScore(text, weights = MD_WEIGHTS) {
+  const raw = text.replace(/\r\n?/g, '\n');
+  const tally = createTally(weights);
+
+  for (const [name, re] of Object.entries(MD)) {
+    const found = re.test(raw);
+    tally.add(name, found, { value: found, threshold: 'matches' });
+  }
+
+  const longLines = [];
+  raw.split('\n').forEach((l, i) => {
+    if (l.length > 140) longLines.push(i + 1);
+  });
+  tally.add('longLines', longLines.length >= 2, {
+    value: longLines.length,
+    threshold: '>= 2',
+    lines: longLines,
+  });
+
+  const unicodeArt =
+    BOX_DRAWING_RE.test(raw) ||
+    BLOCK_ELEMS_RE.test(raw) ||
+    BRAILLE_RE.test(raw);
+  tally.add('unicodeArt', unicodeArt, {
+    value: unicodeArt,
+    threshold: 'present',
+  });
+
+  // Penalties are applied but not listed as reasons
+  return {
+    score: Math.max(0, Math.min(1, tally.score)),
+    reasons: tally.reasons.filter((name) => Object.hasOwn(MD, name)),
+    checks: tally.checks,
+  };
+}
+
+/**
+ * Blank out the lines of fenced code blocks, so that code samples do not
+ * count as the syntax of the text around them
+ * @param {string} text - The text to clean
+ * @returns {string} The text with LF line endings and empty lines in place
+ *   of its fenced blocks, fences included
+ */
+export function blankCodeBlocks(text) {
+  const lines = text.split(/\r\n?|\n/);
+  for (const fence of findFences(lines)) {
+    lines.fill('', fence.open, fence.closed ? fence.close + 1 : lines.length);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Identify the markdown flavor of a text, or the related lightweight markup
+ * it is written in. Markdown is CommonMark unless it uses the extensions of
+ * MDX, Obsidian or GFM, taken in that order. reStructuredText, AsciiDoc and
+ * Org need two features of their own, and more of them than the text has
+ * markdown-only syntax.
+ * @param {string} text - The text to analyze
+ * @returns {Object} Flavor `name`, the features found per dialect as
+ *   `reasons`, and a `score` for text in a related markup (else 0)
+ */
+export function markdownFlavor(text) {
+  const raw = blankCodeBlocks(text);
+  const reasons = {};
+  for (const [dialect, patterns] of Object.entries(MD_FLAVORS)) {
+    const found = Object.keys(patterns).filter((name) =>
+      patterns[name].test(raw)
+    );
+    if (found.length) reasons[dialect] = found;
+  }
+  const count = (dialect) => reasons[dialect]?.length ?? 0;
+
+  const normalized = text.replace(/\r\n?/g, '\n');
+  const markdownOnly = MARKDOWN_ONLY.filter((name) =>
+    MD[name].test(normalized)
+  ).length;
+  let related = null;
+  for (const dialect of RELATED_MARKUPS) {
+    if (
+      count(dialect) >= 2 &&
+      count(dialect) > markdownOnly &&
+      count(dialect) > count(related)
+    ) {
+      related = dialect;
+    }
+  }
+  if (related) {
+    return {
+      name: related,
+      score: Math.min(1, count(related) * FLAVOR_FEATURE_SCORE),
+      reasons,
+    };
+  }
+
+  const name = ['mdx', 'obsidian', 'gfm'].find(count) ?? 'commonmark';
+  return { name, score: 0, reasons };
+}
+
+/**
+ * Find the lines that look like code: indented, terminated by a semicolon,
+ * using a keyword, braces or backticks, or part of a stack trace
+ * @param {string} text - The text to analyze
+ * @returns {Object} 1-based numbers of the code-like `lines`, and the
+ *   `minimum` count of them that makes ASCII art unlikely
+ */
+export function codeLikeLines(text) {
+  const codeHints = [
+    /^(?:\s{2,}|\t)/,
+    /;\s*$/,
+    /\b(function|class|import|export|const|let|var|def|if|for|while)\b/,
+    /[{}`]/,
+    /\bException:|\bat\s+[\w.]+ \([\w/.:-]+\)/,
+  ];
+  const all = text.split(/\r?\n/);
+  const lines = [];
+
+  all.forEach((l, i) => {
+    if (codeHints.some((re) => re.test(l))) lines.push(i + 1);
+  });
+
+  return { lines, minimum: Math.max(3, Math.floor(all.length * 0.08)) };
+}
+
+/**
+ * Calculate penalty for code-like content
+ * @param {string} text - The text to analyze
+ * @returns {number} Penalty value
+ */
+export function codeLikePenalty(text) {
+  const { lines, minimum } = codeLikeLines(text);
+  return lines.length >= minimum ? 0.15 : 0;
+}
+
+/**
+ * Calculate source code score for text that may not be fenced
+ * @param {string} text - The text to analyze
+ * @returns {Object} Score and reasons for the score, and the checks behind
+ *   them with measured values and matching line numbers
+ */
+export function codeScore(text) {
+  const lines = [];
+  text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .forEach((line, i) => {
+      if (line.trim()) lines.push({ line, number: i + 1 });
+    });
+
+  if (lines.length < 2) {
+    return tooFewLines(lines.length, 2);
+  }
+
+  let indented = 0,
+    operators = 0,
+    keywords = 0,
+    words = 0;
+  // 1-based numbers of the lines behind each line-based signal
+  const indentSteps = [],
+    terminated = [],
+    sentences = [],
+    calls = [],
+    comments = [],
+    hashComments = [],
+    operatorLines = [],
+    keywordLines = [],
+    keywordLed = [];
+  const counts = {};
+
+  lines.forEach(({ line, number }, i) => {
+    const t = line.trim();
+    const indent = /^\s*/.exec(line)[0].replace(/\t/g, '  ').length;
+    const prev = lines[i - 1]?.line;
+
+    if (indent >= 2) indented++;
+    // A line that opens a block followed by a deeper-indented line
+    if (
+      i > 0 &&
+      /[{([:]\s*$|\b(?:do|then)\s*$|^\s*(?:def|class|module)\s/.test(prev)
+    ) {
+      const prevIndent = /^\s*/.exec(prev)[0].replace(/\t/g, '  ');
+      if (indent > prevIndent.length) indentSteps.push(number);
+    }
+    if (/[;{}()[\],:]$/.test(t)) terminated.push(number);
+    if (/[A-Za-z][.?!]$/.test(t) && /\s\w+\s/.test(t)) sentences.push(number);
+    if (/[\w$]\(/.test(t)) calls.push(number);
+    if (/^(?:\/\/|\/\*|\*\s|--\s|#!)/.test(t)) comments.push(number);
+    else if (/^#\s/.test(t)) hashComments.push(number);
+
+    const ops = (t.match(OPERATOR_RE) || []).length;
+    operators += ops;
+    if (ops) operatorLines.push(number);
+
+    const lineWords = line.match(/[A-Za-z_$][\w$]*/g) || [];
+    const lineKeywords = lineWords.filter((w) => CODE_KEYWORDS.has(w)).length;
+    words += lineWords.length;
+    keywords += lineKeywords;
+    if (lineKeywords) keywordLines.push(number);
+    // Statements, clauses and commands start with one; sentences rarely do
+    if (CODE_KEYWORDS.has(lineWords[0]) && t.startsWith(lineWords[0])) {
+      keywordLed.push(number);
+    }
+
+    for (const ch of line) {
+      if ('(){}[]'.includes(ch)) counts[ch] = (counts[ch] || 0) + 1;
+    }
+  });
+
+  const kwD = words ? keywords / words : 0;
+  const pairs = (counts['('] || 0) + (counts['{'] || 0) + (counts['['] || 0);
+  const balanced =
+    (pairs >= 2 || counts['{'] >= 1) &&
+    counts['('] === counts[')'] &&
+    counts['{'] === counts['}'] &&
+    counts['['] === counts[']'];
+
+  const tally = createTally({});
+  const n = lines.length;
+  // A script says what runs it on its first line
+  const shebang = lines[0].line.startsWith('#!');
+  // `# ` lines are comments only in text that is code otherwise; alone they
+  // are markdown headings
+  if (shebang || indentSteps.length || keywordLines.length >= 2) {
+    comments.push(...hashComments);
+    comments.sort((a, b) => a - b);
+  }
+  // Several nested blocks are the main signal for brace-less languages
+  const nested = indentSteps.length >= 2 && indented / n >= 0.4;
+  // Nearly every line ending in a terminator is rarer still in prose
+  const mostlyTerminated = terminated.length / n >= 0.75;
+
+  tally.add(
+    'indentation_structure',
+    indentSteps.length >= 1 && indented / n >= 0.2,
+    {
+      value: { steps: indentSteps.length, indented: indented / n },
+      threshold: 'steps >= 1 and indented >= 0.2',
+      weight: nested ? 0.2 : 0.15,
+      lines: indentSteps,
+    }
+  );
+  tally.add('balanced_brackets', balanced, {
+    value: pairs,
+    threshold: 'balanced, with 2 pairs or a brace',
+    weight: 0.1,
+  });
+  tally.add('statement_terminators', terminated.length / n >= 0.4, {
+    value: terminated.length / n,
+    threshold: '>= 0.4',
+    weight: mostlyTerminated ? 0.3 : 0.2,
+    lines: terminated,
+  });
+  tally.add('keyword_density', kwD >= 0.08 && keywords >= 2, {
+    value: { density: kwD, keywords },
+    threshold: 'density >= 0.08 and keywords >= 2',
+    weight: kwD >= 0.2 ? 0.3 : 0.2,
+    lines: keywordLines,
+  });
+  tally.add('keyword_lines', keywordLed.length / n >= 0.5, {
+    value: keywordLed.length / n,
+    threshold: '>= 0.5',
+    weight: 0.1,
+    lines: keywordLed,
+  });
+  tally.add('operator_frequency', operators / n >= 0.25, {
+    value: operators / n,
+    threshold: '>= 0.25',
+    weight: 0.15,
+    lines: operatorLines,
+  });
+  tally.add('call_syntax', calls.length / n >= 0.25, {
+    value: calls.length / n,
+    threshold: '>= 0.25',
+    weight: 0.1,
+    lines: calls,
+  });
+  tally.add('code_comments', comments.length > 0, {
+    value: comments.length,
+    threshold: '>= 1',
+    weight: 0.05,
+    lines: comments,
+  });
+  tally.add('shebang', shebang, {
+    value: shebang,
+    threshold: 'a #! first line',
+    weight: 0.6,
+    lines: shebang ? [lines[0].number] : [],
+  });
+  tally.add('prose_sentences', sentences.length / n >= 0.4, {
+    value: sentences.length / n,
+    threshold: '>= 0.4',
+    weight: -0.25,
+    lines: sentences,
+  });
+
+  return {
+    score: Math.max(0, Math.min(1, tally.score)),
+    reasons: tally.reasons,
+    checks: tally.checks,
+  };
+}
+
+/**
+ * Pick between code, ascii, markdown and plain from the final heuristic
+ * scores, compared to three decimals as detectTextFormat reports them
+ * @param {number} asciiArt - ASCII art score after the code penalty
+ * @param {number} markdown - Markdown score
+ * @param {number} [code] - Unfenced source code score
+ * @returns {string} 'code', 'ascii', 'markdown' or 'plain'
+ */
+export function classifyScores(asciiArt, markdown, code = 0) {
+  const [asciiFinal, mdFinal, codeFinal] = [asciiArt, markdown, code].map(
+    (score) => Number(score.toFixed(3))
+  );
+  if (codeFinal >= CODE_TH && codeFinal > mdFinal && codeFinal > asciiFinal) {
+    return 'code';
+  }
+  if (asciiFinal >= ASCII_TH && asciiFinal > mdFinal + ASCII_MARGIN) {
+    return 'ascii';
+  }
+  if (mdFinal >= MD_TH && mdFinal >= asciiFinal) {
+    return 'markdown';
+  }
+  return 'plain';
+}
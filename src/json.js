@@ -0,0 +1,389 @@
+import { positionAt } from './lines.js';
+import { createTally } from './tally.js';
+
+// Extensions that JSONC tolerates; anything else beyond strict JSON is JSON5
+const JSONC_FEATURES = new Set(['comments', 'trailing_commas']);
+
+const STRICT_ESCAPES = new Set(Array.from('"\\/bfnrtu'));
+const JSON5_WHITESPACE_RE = /[\v\f\u00A0\uFEFF\u2028\u2029]/;
+const IDENT_START_RE = /[A-Za-z_$]/;
+const IDENT_PART_RE = /[\w$]/;
+
+// Deeper nesting is reported as an error rather than overflowing the stack
+const MAX_DEPTH = 512;
+
+// Characters before the end of a sample's first window where a parse error
+// may still come from the cut rather than from the text
+const CUT_SLACK = 6;
+
+/**
+ * Throw a syntax error pointing at the current position
+ * @param {Object} state - Parser state
+ * @param {string} message - What went wrong
+ */
+function fail(state, message) {
+  const err = new SyntaxError(message);
+  err.offset = state.pos;
+  throw err;
+}
+
+/**
+ * Skip whitespace and comments, recording any non-strict ones
+ * @param {Object} state - Parser state
+ */
+function skipSpace(state) {
+  const { text } = state;
+
+  while (state.pos < text.length) {
+    const ch = text[state.pos];
+
+    if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+      state.pos++;
+    } else if (JSON5_WHITESPACE_RE.test(ch)) {
+      state.features.add('extra_whitespace');
+      state.pos++;
+    } else if (ch === '/' && text[state.pos + 1] === '/') {
+      state.features.add('comments');
+      while (state.pos < text.length && !/[\r\n]/.test(text[state.pos])) {
+        state.pos++;
+      }
+    } else if (ch === '/' && text[state.pos + 1] === '*') {
+      state.features.add('comments');
+      const close = text.indexOf('*/', state.pos + 2);
+      if (close === -1) fail(state, 'Unterminated block comment');
+      state.pos = close + 2;
+    } else {
+      break;
+    }
+  }
+}
+
+/**
+ * Parse a single- or double-quoted string
+ * @param {Object} state - Parser state
+ */
+function parseString(state) {
+  const { text } = state;
+  const quote = text[state.pos];
+  if (quote === "'") state.features.add('single_quotes');
+  state.pos++;
+
+  while (state.pos < text.length) {
+    const ch = text[state.pos];
+
+    if (ch === quote) {
+      state.pos++;
+      return;
+    }
+    if (ch === '\\') {
+      const next = text[state.pos + 1];
+      if (
+        next === 'u' &&
+        !/^[0-9A-Fa-f]{4}$/.test(text.substr(state.pos + 2, 4))
+      ) {
+        state.pos++;
+        fail(state, 'Invalid unicode escape');
+      }
+      if (next === undefined) break;
+      if (!STRICT_ESCAPES.has(next)) state.features.add('extra_escapes');
+      // A JSON5 line continuation may span a CRLF pair
+      state.pos += next === '\r' && text[state.pos + 2] === '\n' ? 3 : 2;
+      continue;
+    }
+    if (ch === '\n' || ch === '\r') {
+      fail(state, 'Unterminated string');
+    }
+    if (ch < ' ') {
+      fail(state, 'Control character in string');
+    }
+    state.pos++;
+  }
+
+  fail(state, 'Unterminated string');
+}
+
+/**
+ * Parse a number, accepting the JSON5 forms as extensions
+ * @param {Object} state - Parser state
+ */
+function parseNumber(state) {
+  const rest = state.text.slice(state.pos);
+  const strict = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(rest);
+  const loose =
+    /^[+-]?(?:0[xX][0-9A-Fa-f]+|Infinity|NaN|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(
+      rest
+    );
+
+  if (!loose) fail(state, 'Invalid number');
+
+  if (!strict || strict[0].length !== loose[0].length) {
+    state.features.add('extended_numbers');
+  }
+  state.pos += loose[0].length;
+}
+
+/**
+ * Parse an object key, which JSON5 allows to be a bare identifier
+ * @param {Object} state - Parser state
+ */
+function parseKey(state) {
+  const ch = state.text[state.pos];
+
+  if (ch === '"' || ch === "'") {
+    parseString(state);
+    return;
+  }
+  if (!IDENT_START_RE.test(ch || '')) {
+    fail(state, 'Expected property name');
+  }
+
+  state.features.add('unquoted_keys');
+  while (IDENT_PART_RE.test(state.text[state.pos] || '')) state.pos++;
+}
+
+/**
+ * Parse the members of an object or the items of an array
+ * @param {Object} state - Parser state
+ * @param {string} close - The closing bracket
+ * @param {Function} parseItem - Parses a single member or item
+ */
+function parseContainer(state, close, parseItem) {
+  if (++state.depth > MAX_DEPTH) fail(state, 'Nesting too deep');
+  state.pos++;
+  skipSpace(state);
+
+  if (state.text[state.pos] === close) {
+    state.pos++;
+    state.depth--;
+    return;
+  }
+
+  for (;;) {
+    parseItem(state);
+    skipSpace(state);
+
+    const ch = state.text[state.pos];
+    if (ch === close) {
+      state.pos++;
+      state.depth--;
+      return;
+    }
+    if (ch !== ',') {
+      fail(state, `Expected ',' or '${close}'`);
+    }
+
+    state.pos++;
+    skipSpace(state);
+    if (state.text[state.pos] === close) {
+      state.features.add('trailing_commas');
+      state.pos++;
+      state.depth--;
+      return;
+    }
+  }
+}
+
+/**
+ * Parse any JSON value at the current position
+ * @param {Object} state - Parser state
+ */
+function parseValue(state) {
+  skipSpace(state);
+  const ch = state.text[state.pos];
+
+  if (ch === '{') {
+    parseContainer(state, '}', (s) => {
+      parseKey(s);
+      skipSpace(s);
+      if (s.text[s.pos] !== ':') fail(s, "Expected ':'");
+      s.pos++;
+      parseValue(s);
+    });
+  } else if (ch === '[') {
+    parseContainer(state, ']', parseValue);
+  } else if (ch === '"' || ch === "'") {
+    parseString(state);
+  } else if (/^(?:true|false|null)\b/.test(state.text.slice(state.pos))) {
+    state.pos += state.text[state.pos] === 'f' ? 5 : 4;
+  } else if (ch !== undefined && /[-+.\dIN]/.test(ch)) {
+    parseNumber(state);
+  } else {
+    fail(
+      state,
+      ch === undefined ? 'Unexpected end of input' : 'Unexpected token'
+    );
+  }
+}
+
+/**
+ * Run the tolerant parser over a whole document
+ * @param {string} text - The text to parse
+ * @returns {Object} Extensions used, or the error that stopped parsing
+ */
+function tolerantParse(text) {
+  const state = { text, pos: 0, depth: 0, features: new Set() };
+
+  try {
+    parseValue(state);
+    skipSpace(state);
+    if (state.pos < text.length) fail(state, 'Unexpected content after value');
+    return { features: [...state.features], error: null };
+  } catch (err) {
+    if (!(err instanceof SyntaxError) || err.offset === undefined) throw err;
+    return { features: [...state.features], error: err };
+  }
+}
+
+/**
+ * Check whether every non-empty line is a strict JSON value on its own
+ * @param {string} text - The text to check
+ * @returns {boolean} True for newline-delimited JSON / JSON Lines
+ */
+function isNdjson(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim());
+  if (lines.length < 2) return false;
+
+  return lines.every((line) => {
+    if (!/^\s*[{[]/.test(line)) return false;
+    try {
+      JSON.parse(line);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Check that brackets outside of strings open and close in order
+ * @param {string} text - The text to check
+ * @returns {boolean} True when every bracket is matched
+ */
+function bracketsBalanced(text) {
+  const stack = [];
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if ((ch === '}' || ch === ']') && stack.pop() !== ch) {
+      return false;
+    }
+  }
+
+  return stack.length === 0 && !quote;
+}
+
+/**
+ * Validate bracket-led text as JSON and identify its JSON-family subformat
+ * @param {string} text - The text to analyze
+ * @param {Object} [sample] - Set when the text is a sample of a longer input
+ * @param {number} [sample.headLength] - Length of the first window of the
+ *   sample; JSON that parses up to its end and closes at the end of the
+ *   text is taken to be valid
+ * @returns {Object|null} Validation result with the parse attempts behind
+ *   it as checks, or null when the text does not start like JSON at all
+ */
+export function analyzeJson(text, sample) {
+  const trimmed = text.trim();
+  if (!/^[{[]/.test(trimmed)) {
+    return null;
+  }
+
+  // Each parse is tried in turn, and the first that succeeds decides
+  const tally = createTally({});
+  const attempt = (name, passed, value, threshold, lines) =>
+    tally.add(name, passed, { value, threshold, weight: 1, lines });
+
+  let strict = true;
+  try {
+    JSON.parse(trimmed);
+  } catch {
+    // Fall through to the tolerant parser for extensions and error position
+    strict = false;
+  }
+  attempt('strict_json', strict, strict, 'parses');
+  if (strict) {
+    return {
+      valid: true,
+      subformat: 'json',
+      features: [],
+      error: null,
+      checks: tally.checks,
+    };
+  }
+
+  const { features, error } = tolerantParse(text);
+  const position = error && positionAt(text, error.offset);
+  attempt(
+    'json_extensions',
+    !error,
+    features,
+    'parses with comments, trailing commas or JSON5 syntax',
+    error ? [position.line] : []
+  );
+
+  if (!error) {
+    const jsonc = features.every((f) => JSONC_FEATURES.has(f));
+    return {
+      valid: true,
+      subformat: jsonc ? 'jsonc' : 'json5',
+      features,
+      error: null,
+      checks: tally.checks,
+    };
+  }
+
+  const ndjson = isNdjson(text);
+  attempt('json_lines', ndjson, ndjson, 'every line parses, >= 2 lines');
+  if (ndjson) {
+    return {
+      valid: true,
+      subformat: 'ndjson',
+      features: [],
+      error: null,
+      checks: tally.checks,
+    };
+  }
+
+  if (sample && /[}\]]$/.test(trimmed)) {
+    // Only the head is one piece of the document, so it alone is parsed.
+    // A value cut by its end fails a few characters early, as in "fal".
+    const head = tolerantParse(text.slice(0, sample.headLength));
+    const cut = head.error?.offset >= sample.headLength - CUT_SLACK;
+    attempt(
+      'sampled_head',
+      cut,
+      head.error?.offset ?? null,
+      `fails only at its end, >= ${sample.headLength - CUT_SLACK}`
+    );
+    if (cut) {
+      const jsonc = head.features.every((f) => JSONC_FEATURES.has(f));
+      return {
+        valid: true,
+        subformat: !head.features.length ? 'json' : jsonc ? 'jsonc' : 'json5',
+        features: head.features,
+        error: null,
+        checks: tally.checks,
+      };
+    }
+  }
+
+  const { line, column } = position;
+
+  return {
+    valid: false,
+    subformat:
+      /[}\]]$/.test(trimmed) && bracketsBalanced(trimmed) ? 'json-like' : null,
+    features,
+    error: { message: error.message, offset: error.offset, line, column },
+    checks: tally.checks,
+  };
+}
@@ -0,0 +1,296 @@
+/**
+ * Language fingerprints used to identify code without a fence info string.
+ *
+ * Each entry lists the info-string aliases that map to it and weighted
+ * patterns; a language's score is the sum of the weights of the patterns that
+ * match. An entry may `extend` an earlier one to inherit its fingerprints
+ * (TypeScript extends JavaScript), in which case the parent wins ties.
+ * To add a language, append an entry here.
+ */
+export const LANGUAGES = [
+  {
+    name: 'javascript',
+    aliases: ['js', 'javascript', 'jsx', 'mjs', 'cjs', 'node'],
+    fingerprints: [
+      [/^#!.*\bnode\b/m, 4],
+      [/\b(?:const|let|var)\s+[\w$]+\s*=/, 1.5],
+      [/=>/, 1.5],
+      [/\bfunction\s*[\w$]*\s*\(/, 1.5],
+      [/\bconsole\.\w+\(/, 2],
+      [/\brequire\(\s*['"]/, 2],
+      [/^[ \t]*import\s+.+\s+from\s+['"]/m, 2],
+      [/^[ \t]*export\s+(?:default|const|function|class)\b/m, 1.5],
+      [/===|!==/, 1.5],
+      [/\bundefined\b|\bdocument\.|\bwindow\./, 1],
+      [/^[ \t]*\/\/ /m, 0.5],
+    ],
+  },
+  {
+    name: 'typescript',
+    aliases: ['ts', 'typescript', 'tsx', 'mts', 'cts'],
+    extends: 'javascript',
+    fingerprints: [
+      [/\binterface\s+\w+\s*(?:extends\s+[\w, ]+)?\{/, 2],
+      [/[\w)]\s*:\s*(?:string|number|boolean|any|void|unknown|never)\b/, 2.5],
+      [/^[ \t]*(?:export\s+)?type\s+\w+(?:<[^>]*>)?\s*=/m, 2],
+      [/\b(?:public|private|protected|readonly)\s+\w+\s*[:(]/, 1.5],
+      [/\bas\s+(?:const|string|number|any|unknown)\b/, 2],
+      [/^[ \t]*import\s+type\b/m, 2],
+      [/\benum\s+\w+\s*\{/, 1],
+    ],
+  },
+  {
+    name: 'python',
+    aliases: ['py', 'python', 'python3', 'py3', 'pyw'],
+    fingerprints: [
+      [/^#!.*\bpython/m, 4],
+      [/^[ \t]*def\s+\w+\s*\(.*\)\s*(?:->\s*[\w[\], .]+)?:[ \t]*$/m, 3],
+      [/^[ \t]*class\s+\w+(?:\(.*\))?:[ \t]*$/m, 2],
+      [
+        /^[ \t]*(?:from\s+[\w.]+\s+)?import\s+[\w.]+(?:\s+as\s+\w+)?[ \t]*$/m,
+        1.5,
+      ],
+      [/\bself\.\w+/, 2],
+      [/^[ \t]*(?:elif|except|finally)\b.*:[ \t]*$/m, 2],
+      [/^[ \t]*(?:if|for|while|with|try)\b.*:[ \t]*$/m, 1.5],
+      [/\b(?:None|True|False)\b/, 1],
+      [/\bprint\(/, 0.5],
+      [/__\w+__/, 1],
+      [/^[ \t]*#(?!!|include|define|\[)/m, 0.5],
+    ],
+  },
+  {
+    name: 'go',
+    aliases: ['go', 'golang'],
+    fingerprints: [
+      [/^[ \t]*package\s+\w+[ \t]*$/m, 3],
+      [/^[ \t]*func\s+(?:\(\w+\s+\*?\w+\)\s*)?\w+\s*\(/m, 2.5],
+      [/:=/, 1.5],
+      [/\bfmt\.\w+\(/, 2.5],
+      [/^[ \t]*import\s+\(/m, 2],
+      [/\berr\s*!=\s*nil\b/, 3],
+      [/\bgo\s+func\b|\bchan\s+\w+|\bdefer\s+/, 2],
+    ],
+  },
+  {
+    name: 'rust',
+    aliases: ['rs', 'rust'],
+    fingerprints: [
+      [/^[ \t]*(?:pub\s+)?fn\s+\w+\s*(?:<[^>]*>)?\s*\(/m, 2.5],
+      [/\blet\s+mut\s+\w+/, 3],
+      [/^[ \t]*impl\b/m, 2.5],
+      [/^[ \t]*use\s+\w+(?:::\w+)+/m, 2.5],
+      [/\b(?:println|format|vec|panic)!\(/, 3],
+      [/#\[derive\(/, 3],
+      [/&(?:mut\s+|'\w+\s+)?(?:str|self)\b/, 2],
+      [/\b(?:Option|Result)<|\bSome\(|\bOk\(/, 1.5],
+      [/\)\s*->\s*[\w<>&]+\s*\{/, 1],
+    ],
+  },
+  {
+    name: 'java',
+    aliases: ['java'],
+    fingerprints: [
+      [/\bpublic\s+(?:final\s+)?class\s+\w+/, 2.5],
+      [/\bpublic\s+static\s+void\s+main\s*\(/, 3],
+      [/\bSystem\.(?:out|err)\.print/, 3],
+      [/^[ \t]*import\s+java(?:x)?\.[\w.]+;/m, 3],
+      [/^[ \t]*package\s+[\w.]+;/m, 2],
+      [/@Override\b/, 2],
+      [
+        /\b(?:private|protected|public)\s+(?:static\s+)?(?:final\s+)?\w+(?:<[^>]*>)?\s+\w+\s*[;=(]/,
+        1.5,
+      ],
+      [/\bString\[\]/, 1.5],
+    ],
+  },
+  {
+    name: 'c',
+    aliases: ['c', 'h'],
+    fingerprints: [
+      [/^[ \t]*#include\s*[<"]/m, 3],
+      [/^[ \t]*#define\s+\w+/m, 2],
+      [/\bint\s+main\s*\(/, 2],
+      [/\b(?:printf|fprintf|malloc|free|sizeof)\s*\(/, 2],
+      [/\bstruct\s+\w+\s*[{*]/, 1.5],
+      [/\w->\w/, 1],
+      [/\bNULL\b/, 1],
+    ],
+  },
+  {
+    name: 'cpp',
+    aliases: ['cpp', 'c++', 'cc', 'cxx', 'hpp', 'hxx'],
+    extends: 'c',
+    fingerprints: [
+      [/\bstd::/, 3],
+      [/#include\s*<(?:iostream|vector|string|map|memory)>/, 2],
+      [/\b(?:cout|cin|cerr)\s*(?:<<|>>)/, 2],
+      [/\btemplate\s*</, 2],
+      [/^[ \t]*namespace\s+\w+|\busing\s+namespace\b/m, 2],
+      [/\bnullptr\b/, 2],
+      [/^[ \t]*class\s+\w+\s*(?::\s*(?:public|private)\s+\w+\s*)?\{/m, 1],
+    ],
+  },
+  {
+    name: 'ruby',
+    aliases: ['rb', 'ruby'],
+    fingerprints: [
+      [/^#!.*\bruby/m, 4],
+      [/^[ \t]*def\s+\w+[?!]?(?:\(.*\))?[ \t]*$/m, 2],
+      [/^[ \t]*end[ \t]*$/m, 2],
+      [/^[ \t]*require(?:_relative)?\s+['"]/m, 2],
+      [/\bputs\s/, 1.5],
+      [/\.each(?:_with_index)?\s+do\s*\|/, 3],
+      [/\battr_(?:accessor|reader|writer)\b/, 3],
+      [/^[ \t]*(?:module|class)\s+[A-Z]\w*(?:\s*<\s*[\w:]+)?[ \t]*$/m, 1.5],
+      [/\belsif\b/, 2],
+      [/:\w+\s*=>/, 1.5],
+    ],
+  },
+  {
+    name: 'php',
+    aliases: ['php'],
+    fingerprints: [
+      [/<\?php/, 5],
+      [/\$\w+\s*=/, 1.5],
+      [/\$this->/, 3],
+      [/\bfunction\s+\w+\s*\(\s*\$/, 2.5],
+      [/^[ \t]*namespace\s+[\w\\]+;/m, 2],
+      [/\becho\s+['"$]/, 1],
+      [/\$\w+->\w+/, 1.5],
+    ],
+  },
+  {
+    name: 'shell',
+    aliases: ['sh', 'bash', 'shell', 'zsh', 'ksh', 'console', 'shellsession'],
+    fingerprints: [
+      [/^#!.*\b(?:ba|z|k|da)?sh\b/m, 4],
+      [/^[ \t]*\$ \w/m, 2],
+      [
+        /^[ \t]*(?:sudo|echo|export|cd|ls|mkdir|rm|cp|mv|chmod|grep|curl|wget|apt(?:-get)?|brew|npm|npx|pnpm|yarn|git|docker|pip)\s/m,
+        2,
+      ],
+      [/^[ \t]*(?:if|while|for)\s.*;\s*(?:then|do)[ \t]*$/m, 2.5],
+      [/^[ \t]*(?:fi|done|esac)[ \t]*$/m, 2.5],
+      [/\$\{\w+(?:[:#%][^}]*)?\}|\$\(\w/, 1.5],
+      [/\s(?:&&|\|\|)\s|\s\|\s\w/, 0.5],
+      [/\s-{1,2}[a-z][\w-]*/, 0.5],
+    ],
+  },
+  {
+    name: 'sql',
+    aliases: [
+      'sql',
+      'mysql',
+      'postgresql',
+      'postgres',
+      'psql',
+      'sqlite',
+      'plsql',
+    ],
+    fingerprints: [
+      [/\bSELECT\b[\s\S]+?\bFROM\b/i, 3],
+      [/\bINSERT\s+INTO\b/i, 3],
+      [/\bUPDATE\s+\w+\s+SET\b/i, 3],
+      [/\bDELETE\s+FROM\b/i, 3],
+      [/\bCREATE\s+(?:TABLE|INDEX|VIEW|DATABASE)\b/i, 3],
+      [/\b(?:WHERE|GROUP\s+BY|ORDER\s+BY|INNER\s+JOIN|LEFT\s+JOIN)\b/i, 1.5],
+      [/^[ \t]*--\s/m, 1],
+    ],
+  },
+  {
+    name: 'css',
+    aliases: ['css', 'scss', 'less', 'sass'],
+    fingerprints: [
+      [/^[ \t]*[.#]?[\w-]+(?:[ \t,>+~:]+[.#]?[\w-]+)*[ \t]*\{[ \t]*$/m, 2],
+      [/^[ \t]*[a-z-]+[ \t]*:[ \t]*[^;{}\r\n]+;[ \t]*$/m, 2],
+      [/@(?:media|import|keyframes|font-face)\b/, 2.5],
+      [/#[0-9a-fA-F]{3,8}\b\s*;/, 1.5],
+      [/\b\d+(?:px|em|rem|vh|vw)\b/, 1.5],
+      [/!important\b/, 2],
+    ],
+  },
+];
+
+// Minimum fingerprint score before a language is reported at all
+const MIN_SCORE = 2;
+// Score at which fingerprint evidence counts as conclusive
+const FULL_SCORE = 8;
+
+/**
+ * Normalize a fence info string to a language name
+ * @param {string} info - The info string after the opening fence
+ * @returns {string|null} Language name, or null when there is none
+ */
+function languageFromInfo(info) {
+  const word = info
+    .trim()
+    .split(/\s+/)[0]
+    .replace(/^\{?\.?|\}$/g, '')
+    .toLowerCase();
+  if (!word) return null;
+
+  const known = LANGUAGES.find((lang) => lang.aliases.includes(word));
+  return known ? known.name : word;
+}
+
+/**
+ * Sum the fingerprint weights of a language and the ones it extends
+ * @param {Object} lang - Entry from the LANGUAGES table
+ * @param {string} code - The code to score
+ * @returns {number} Fingerprint score
+ */
+function fingerprintScore(lang, code) {
+  const own = lang.fingerprints.reduce(
+    (acc, [re, weight]) => acc + (re.test(code) ? weight : 0),
+    0
+  );
+  const parent = lang.extends
+    ? LANGUAGES.find((l) => l.name === lang.extends)
+    : null;
+
+  return own + (parent ? fingerprintScore(parent, code) : 0);
+}
+
+/**
+ * Identify the programming language of a piece of code
+ * @param {string} code - The code to identify
+ * @param {Object} [options] - Identification options
+ * @param {string} [options.info] - Fence info string, preferred when present
+ * @returns {Object|null} Language name, confidence and where it came from,
+ *   or null when no language stands out
+ */
+export function detectLanguage(code, { info = '' } = {}) {
+  const fromInfo = languageFromInfo(info);
+  if (fromInfo) {
+    return { name: fromInfo, confidence: 1, source: 'info_string' };
+  }
+
+  const ranked = LANGUAGES.map((lang) => ({
+    lang,
+    score: fingerprintScore(lang, code),
+  })).sort((x, y) => y.score - x.score);
+
+  const [best] = ranked;
+  if (best.score < MIN_SCORE) {
+    return null;
+  }
+
+  // A language and the one it extends share fingerprints, so the runner-up
+  // is the best score from outside that family
+  const related = (l) =>
+    l === best.lang ||
+    l.extends === best.lang.name ||
+    best.lang.extends === l.name;
+  const second = ranked.find((r) => !related(r.lang))?.score ?? 0;
+
+  // Share of the evidence against the runner-up, scaled by how much there is
+  const margin = best.score / (best.score + second);
+  const strength = Math.min(1, best.score / FULL_SCORE);
+
+  return {
+    name: best.lang.name,
+    confidence: Number((margin * strength).toFixed(3)),
+    source: 'fingerprint',
+  };
+}
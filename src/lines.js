@@ -0,0 +1,50 @@
+/**
+ * Split text into lines while keeping offsets into the original string
+ * @param {string} text - The text to split
+ * @returns {Array<Object>} Lines with their text, start/end offsets and a
+ *   1-based line number
+ */
+export function splitLines(text) {
+  const lines = [];
+  const breakRe = /\r\n?|\n/g;
+  let start = 0;
+  let match;
+
+  while ((match = breakRe.exec(text))) {
+    lines.push({
+      text: text.slice(start, match.index),
+      start,
+      end: match.index,
+      number: lines.length + 1,
+    });
+    start = match.index + match[0].length;
+  }
+
+  lines.push({
+    text: text.slice(start),
+    start,
+    end: text.length,
+    number: lines.length + 1,
+  });
+
+  return lines;
+}
+
+/**
+ * Convert a character offset into a 1-based line and column
+ * @param {string} text - The text the offset points into
+ * @param {number} offset - Character offset
+ * @returns {Object} Line and column of the offset
+ */
+export function positionAt(text, offset) {
+  const before = text.slice(0, offset);
+  const lineStart = Math.max(
+    before.lastIndexOf('\n'),
+    before.lastIndexOf('\r')
+  );
+
+  return {
+    line: before.split(/\r\n?|\n/).length,
+    column: offset - lineStart,
+  };
+}
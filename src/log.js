@@ -0,0 +1,288 @@
+import { createTally } from './tally.js';
+
+// Minimum score for log output to win classification
+export const LOG_TH = 0.5;
+
+// Timestamp styles that open a log line, most specific first
+const TIMESTAMPS = [
+  [
+    'access_log',
+    /^\S+ \S+ \S+ \[\d{2}\/[A-Z][a-z]{2}\/\d{4}:\d{2}:\d{2}:\d{2} [+-]\d{4}\] "[A-Z]+ \S+[^"]*" \d{3} (?:\d+|-)/,
+  ],
+  [
+    'syslog',
+    /^(?:<\d{1,3}>)?[A-Z][a-z]{2} [ \d]\d \d{2}:\d{2}:\d{2} \S+ [\w./-]+(?:\[\d+\])?: /,
+  ],
+  [
+    'iso8601',
+    /^\W{0,2}\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?\b/,
+  ],
+  ['time', /^\W?\d{2}:\d{2}:\d{2}(?:[.,]\d+)?\b/],
+];
+
+// Upper-case level tokens, plus lower-case ones only in "[info]" or
+// "level=info" form so that prose like "an error occurred" does not count
+const LEVEL_RE =
+  /(?:^|[\s[(|])(TRACE|DEBUG|INFO|NOTICE|WARN(?:ING)?|ERROR|ERR|FATAL|CRIT(?:ICAL)?|SEVERE)(?=[\s\]):|]|$)|\[(trace|debug|info|notice|warn(?:ing)?|error|fatal)\]|\blevel=["']?(\w+)/;
+
+/**
+ * Parse frames that fit on one line
+ * @param {RegExp} re - Frame pattern
+ * @param {Function} toFrame - Builds a frame from a match
+ * @returns {Function} Parser from lines to frames
+ */
+function singleLineFrames(re, toFrame) {
+  return (lines) =>
+    lines.flatMap((text, i) => {
+      const match = re.exec(text);
+      return match ? [{ frame: toFrame(match), line: i + 1 }] : [];
+    });
+}
+
+/**
+ * Read the function of a Go frame line such as "main.(*T).run(0x1, 0x2)".
+ * The name may itself contain parentheses, so the call is found with one
+ * scan rather than a pattern that backtracks over every "(" in the line.
+ * @param {string} line - Line of the trace
+ * @returns {string|null} Function name, or null when the line is no call
+ */
+function goFunction(line) {
+  if (!line.endsWith(')')) return null;
+  // The name runs up to the last "(" before the first character that
+  // cannot be part of one
+  const name = /^[\w./*()-]*/.exec(line)[0];
+  const open = line.lastIndexOf('(', name.length);
+  return open > 0 ? line.slice(0, open) : null;
+}
+
+/**
+ * Stack trace formats by runtime. `header` marks the start of a trace and
+ * `frames` turns the lines of the text into { frame, line } entries, each
+ * frame as { function, file, line, column } and its 1-based line number.
+ */
+const TRACES = [
+  {
+    runtime: 'python',
+    header: /^Traceback \(most recent call last\):/m,
+    frames: singleLineFrames(
+      /^\s+File "([^"]+)", line (\d+)(?:, in (.+))?$/,
+      (m) => ({ function: m[3] ?? null, file: m[1], line: +m[2], column: null })
+    ),
+  },
+  {
+    runtime: 'java',
+    header:
+      /^(?:Exception in thread "[^"]*" )?(?:[a-z_]\w*\.)+\w*(?:Exception|Error)\b|^Caused by: /m,
+    frames: singleLineFrames(
+      /^\s+at ((?:[\w$<>]+\.)+[\w$<>]+)\(([^:)]*)(?::(\d+))?\)$/,
+      (m) => ({
+        function: m[1],
+        file: m[2],
+        line: m[3] ? +m[3] : null,
+        column: null,
+      })
+    ),
+  },
+  {
+    runtime: 'javascript',
+    header: /^(?:Uncaught )?\w*(?:Error|Exception)(?::|$)/m,
+    frames: singleLineFrames(
+      /^\s+at (?:(?:async )?(.+?) \()?([^()\s]+?):(\d+):(\d+)\)?$/,
+      (m) => ({
+        function: m[1] ?? null,
+        file: m[2],
+        line: +m[3],
+        column: +m[4],
+      })
+    ),
+  },
+  {
+    runtime: 'go',
+    header: /^panic: |^goroutine \d+ \[[\w ]+\]:$/m,
+    frames: (lines) => {
+      const frames = [];
+      lines.forEach((line, i) => {
+        const fn = goFunction(line);
+        const loc = /^\t(.+\.go):(\d+)(?: \+0x[\da-f]+)?$/.exec(lines[i + 1]);
+        if (fn && loc) {
+          frames.push({
+            frame: { function: fn, file: loc[1], line: +loc[2], column: null },
+            line: i + 1,
+          });
+        }
+      });
+      return frames;
+    },
+  },
+  {
+    runtime: 'rust',
+    header: /^thread '[^']*' panicked at|^stack backtrace:$/m,
+    frames: (lines) => {
+      const frames = [];
+      lines.forEach((line, i) => {
+        const fn = /^\s*\d+: (.+)$/.exec(line);
+        if (!fn) return;
+        const loc = /^\s+at (.+):(\d+):(\d+)$/.exec(lines[i + 1] ?? '');
+        frames.push({
+          frame: {
+            function: fn[1],
+            file: loc ? loc[1] : null,
+            line: loc ? +loc[2] : null,
+            column: loc ? +loc[3] : null,
+          },
+          line: i + 1,
+        });
+      });
+      return frames;
+    },
+  },
+];
+
+/**
+ * Find the stack trace runtime whose header and frames fit best
+ * @param {string} text - The text to analyze
+ * @param {string[]} lines - Lines of the text
+ * @returns {Object|null} Runtime, frames and whether a header was seen,
+ *   with the 1-based numbers of the frame and header lines
+ */
+function findTrace(text, lines) {
+  let best = null;
+
+  for (const trace of TRACES) {
+    const entries = trace.frames(lines);
+    const header = trace.header.test(text);
+    // Rust frame lines ("0: name") are too generic without the header
+    if (!entries.length || (trace.runtime === 'rust' && !header)) continue;
+
+    // A matching header outranks a bigger frame count from another runtime
+    if (
+      !best ||
+      (header && !best.header) ||
+      (header === best.header && entries.length > best.frames.length)
+    ) {
+      best = {
+        runtime: trace.runtime,
+        frames: entries.map((entry) => entry.frame),
+        frameLines: entries.map((entry) => entry.line),
+        header,
+        pattern: trace.header,
+      };
+    }
+  }
+
+  if (best?.header) {
+    best.headerLines = lines.flatMap((line, i) =>
+      best.pattern.test(line) ? [i + 1] : []
+    );
+  }
+  return best;
+}
+
+/**
+ * Analyze log output and stack traces
+ * @param {string} text - The text to analyze
+ * @returns {Object} Score, reasons and the checks behind them, subformat,
+ *   timestamp style, level counts, trace runtime and parsed frames
+ */
+export function analyzeLog(text) {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+  // 1-based numbers of the lines with each timestamp style and with levels
+  const styles = {};
+  const levels = {};
+  const stamped = [];
+  const leveled = [];
+  let content = 0;
+
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    content++;
+
+    const style = TIMESTAMPS.find(([, re]) => re.test(line));
+    if (style) {
+      (styles[style[0]] ??= []).push(i + 1);
+      stamped.push(i + 1);
+    }
+
+    const level = LEVEL_RE.exec(line);
+    if (level) {
+      const name = (level[1] || level[2] || level[3]).toUpperCase();
+      levels[name] = (levels[name] || 0) + 1;
+      leveled.push(i + 1);
+    }
+  });
+
+  const timestampFormat =
+    Object.entries(styles).sort((x, y) => y[1].length - x[1].length)[0]?.[0] ??
+    null;
+  const trace = findTrace(text, lines);
+  const frames = trace ? trace.frames : [];
+  const tally = createTally({});
+
+  const stampShare = content ? stamped.length / content : 0;
+  tally.add(
+    timestampFormat ? `${timestampFormat}_timestamps` : 'timestamps',
+    stampShare >= 0.5 || stamped.length >= 2,
+    {
+      value: { share: stampShare, lines: stamped.length },
+      threshold: 'share >= 0.5, or 2 lines',
+      weight: stampShare >= 0.5 ? 0.4 : 0.2,
+      lines: stamped,
+    }
+  );
+  tally.add('log_levels', content > 0 && leveled.length / content >= 0.3, {
+    value: content ? leveled.length / content : 0,
+    threshold: '>= 0.3',
+    weight: 0.2,
+    lines: leveled,
+  });
+  tally.add(
+    'request_lines',
+    timestampFormat === 'access_log' && stamped.length >= 2,
+    {
+      value: styles.access_log?.length ?? 0,
+      threshold: 'access log timestamps on 2 lines',
+      weight: 0.2,
+      lines: styles.access_log ?? [],
+    }
+  );
+  tally.add(
+    'process_tags',
+    timestampFormat === 'syslog' && stamped.length >= 2,
+    {
+      value: styles.syslog?.length ?? 0,
+      threshold: 'syslog timestamps on 2 lines',
+      weight: 0.2,
+      lines: styles.syslog ?? [],
+    }
+  );
+  // A recognized header makes a single frame a trace of its own
+  const headed = Boolean(trace?.header && frames.length);
+  tally.add('stack_frames', frames.length >= 2 || headed, {
+    value: frames.length,
+    threshold: '>= 2, or 1 under a trace header',
+    weight: frames.length >= 3 ? 0.6 : 0.45,
+    lines: trace ? trace.frameLines : [],
+  });
+  tally.add('trace_header', headed, {
+    value: Boolean(trace?.header),
+    threshold: 'present, with a frame',
+    weight: 0.3,
+    lines: trace?.headerLines ?? [],
+  });
+
+  // Frames making up a big share of the text mean a trace, not a log stream
+  const isTrace =
+    (frames.length >= 2 || headed) && frames.length >= stamped.length;
+
+  return {
+    score: Number(Math.max(0, Math.min(1, tally.score)).toFixed(3)),
+    reasons: tally.reasons,
+    checks: tally.checks,
+    subformat: isTrace ? 'stacktrace' : null,
+    timestampFormat,
+    levels,
+    runtime: trace ? trace.runtime : null,
+    frames,
+  };
+}
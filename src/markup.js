@@ -0,0 +1,648 @@
+import { markdownScore } from './heuristics.js';
+import { createTally } from './tally.js';
+
+// Minimum score for markup to win classification
+export const MARKUP_TH = 0.5;
+
+// Longest start tag the scanner reads before giving up on a "<"
+const MAX_TAG_LENGTH = 2000;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+// Elements of the HTML living standard, plus a few obsolete ones
+const HTML_ELEMENTS = new Set(
+  `a abbr address area article aside audio b base bdi bdo blockquote body br
+  button canvas caption center cite code col colgroup data datalist dd del
+  details dfn dialog div dl dt em embed fieldset figcaption figure font footer
+  form frame frameset h1 h2 h3 h4 h5 h6 head header hgroup hr html i iframe
+  img input ins kbd label legend li link main map mark menu meta meter nav
+  noscript object ol optgroup option output p param picture pre progress q rp
+  rt ruby s samp script search section select slot small source span strong
+  style sub summary sup table tbody td template textarea tfoot th thead time
+  title tr track u ul var video wbr`.split(/\s+/)
+);
+
+// Elements that have no content and so no end tag
+const VOID_ELEMENTS = new Set(
+  'area base br col embed hr img input link meta param source track wbr'.split(
+    ' '
+  )
+);
+
+// Elements whose end tag HTML lets authors leave out
+const OPTIONAL_END = new Set(
+  'body colgroup dd dt head html li optgroup option p rp rt tbody td tfoot th thead tr'.split(
+    ' '
+  )
+);
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT = new Set(['script', 'style']);
+
+// SVG elements that HTML does not share
+const SVG_ELEMENTS = new Set(
+  `svg g path rect circle ellipse line polyline polygon text tspan textPath
+  defs use symbol marker clipPath mask pattern linearGradient radialGradient
+  stop filter foreignObject desc feBlend feColorMatrix feComposite feFlood
+  feGaussianBlur feMerge feMergeNode feOffset animate animateTransform`.split(
+    /\s+/
+  )
+);
+
+// Well-known XML vocabularies by root element
+const XML_VOCABULARIES = {
+  rss: 'rss',
+  feed: 'atom',
+  'rdf:RDF': 'rdf',
+  'xsl:stylesheet': 'xslt',
+  'xsl:transform': 'xslt',
+  plist: 'plist',
+  urlset: 'sitemap',
+  sitemapindex: 'sitemap',
+  'soap:Envelope': 'soap',
+};
+
+// Template syntax by engine, checked in order
+const TEMPLATES = [
+  ['jinja', /\{%-?\s*[a-z]+/],
+  ['handlebars', /\{\{~?[#/^>!]/],
+  ['mustache', /\{\{[^{}\n]{1,200}\}\}/],
+];
+
+const NAME_RE = /[A-Za-z_][\w:.-]*/y;
+const ATTRIBUTE_RE = /[^\s"'<>/={}]+/y;
+const UNQUOTED_RE = /[^\s"'<>=`]+/y;
+const SPACE_RE = /\s*/y;
+
+// Delimited constructs: opener, closer and token type
+const BLOCKS = [
+  ['<!--', '-->', 'comment'],
+  ['<![CDATA[', ']]>', 'cdata'],
+  ['<!', '>', 'doctype'],
+  ['<?', '?>', 'instruction'],
+  ['<%', '%>', 'template'],
+];
+
+/**
+ * Check whether an element name belongs to HTML: a standard element or a
+ * custom element, whose name has a hyphen
+ * @param {string} name - Element name
+ * @returns {boolean} True for HTML elements
+ */
+function htmlName(name) {
+  return HTML_ELEMENTS.has(name.toLowerCase()) || /^[a-z][\w.]*-/.test(name);
+}
+
+/**
+ * Match a sticky pattern at a position
+ * @param {RegExp} re - Sticky pattern
+ * @param {string} text - The text
+ * @param {number} index - Position to match at
+ * @returns {string} The match, or '' when there is none
+ */
+function matchAt(re, text, index) {
+  re.lastIndex = index;
+  return re.exec(text)?.[0] ?? '';
+}
+
+/**
+ * Find a character within a bounded distance, so that a stray quote or
+ * brace cannot make the scan quadratic
+ * @param {string} text - The text
+ * @param {string} char - Character to find
+ * @param {number} from - Position to start at
+ * @param {number} limit - Position to stop before
+ * @returns {number} Index of the character, or -1
+ */
+function findChar(text, char, from, limit) {
+  const end = Math.min(limit, text.length);
+  for (let i = from; i < end; i++) if (text[i] === char) return i;
+  return -1;
+}
+
+/**
+ * Skip a braced JSX expression, including nested braces and strings
+ * @param {string} text - The text
+ * @param {number} start - Index of the opening brace
+ * @param {number} limit - Position to stop before
+ * @returns {number} Index after the closing brace, or -1 when unclosed
+ */
+function skipBraces(text, start, limit) {
+  let depth = 0;
+  for (let i = start; i < Math.min(limit, text.length); i++) {
+    const char = text[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = findChar(text, char, i + 1, limit);
+      if (i === -1) return -1;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Read a start tag, end tag, self-closing tag or JSX fragment
+ * @param {string} text - The text
+ * @param {number} start - Index of the "<"
+ * @returns {Object|null} Token with type, name, attributes, start and end,
+ *   or null when the "<" does not open a tag
+ */
+function readTag(text, start) {
+  const limit = start + MAX_TAG_LENGTH;
+  const closing = text[start + 1] === '/';
+  let i = start + (closing ? 2 : 1);
+  const type = closing ? 'close' : 'open';
+  const attributes = [];
+
+  if (text[i] === '>') return { type, name: '', attributes, start, end: i + 1 };
+  const name = matchAt(NAME_RE, text, i);
+  if (!name) return null;
+  i += name.length;
+
+  while (i < limit) {
+    const space = matchAt(SPACE_RE, text, i).length;
+    i += space;
+    if (text[i] === '>') return { type, name, attributes, start, end: i + 1 };
+    if (text[i] === '/' && text[i + 1] === '>' && !closing) {
+      return { type: 'self', name, attributes, start, end: i + 2 };
+    }
+    // End tags take no attributes, and attributes are space-separated
+    if (closing || !space) return null;
+
+    if (text[i] === '{') {
+      // A JSX spread attribute, {...props}
+      const end = skipBraces(text, i, limit);
+      if (end === -1) return null;
+      attributes.push({
+        name: '...',
+        value: text.slice(i, end),
+        expression: true,
+      });
+      i = end;
+      continue;
+    }
+
+    const attribute = matchAt(ATTRIBUTE_RE, text, i);
+    if (!attribute) return null;
+    i += attribute.length;
+    const afterName = i;
+    i += matchAt(SPACE_RE, text, i).length;
+    if (text[i] !== '=') {
+      attributes.push({ name: attribute, value: null, expression: false });
+      i = afterName;
+      continue;
+    }
+    i += 1 + matchAt(SPACE_RE, text, i + 1).length;
+
+    let end;
+    if (text[i] === '"' || text[i] === "'") {
+      end = findChar(text, text[i], i + 1, limit) + 1;
+    } else if (text[i] === '{') {
+      end = skipBraces(text, i, limit);
+    } else {
+      end = i + matchAt(UNQUOTED_RE, text, i).length;
+    }
+    if (end <= i) return null;
+
+    const quoted = text[i] === '"' || text[i] === "'";
+    attributes.push({
+      name: attribute,
+      value: quoted ? text.slice(i + 1, end - 1) : text.slice(i, end),
+      expression: text[i] === '{',
+    });
+    i = end;
+  }
+
+  return null;
+}
+
+/**
+ * Split text into markup tokens: tags, comments, CDATA sections, doctypes,
+ * processing instructions and <% %> template tags. The content of script
+ * and style elements is skipped.
+ * @param {string} text - The text to scan
+ * @returns {Array<Object>} Tokens in order, each with type, start and end
+ */
+function scanMarkup(text) {
+  const tokens = [];
+  let lower = null;
+
+  for (let i = text.indexOf('<'); i !== -1; i = text.indexOf('<', i)) {
+    const block = BLOCKS.find(([open]) => text.startsWith(open, i));
+    let token;
+    if (block) {
+      // An unterminated comment or declaration runs to the end of the text
+      const [open, close, type] = block;
+      const found = text.indexOf(close, i + open.length);
+      const end = found === -1 ? text.length : found + close.length;
+      token = {
+        type,
+        body: text.slice(
+          i + open.length,
+          end - (found === -1 ? 0 : close.length)
+        ),
+        start: i,
+        end,
+      };
+    } else {
+      token = readTag(text, i);
+    }
+
+    if (!token) {
+      i++;
+      continue;
+    }
+    tokens.push(token);
+    i = token.end;
+
+    if (token.type === 'open' && RAW_TEXT.has(token.name.toLowerCase())) {
+      lower ??= text.toLowerCase();
+      const close = lower.indexOf(`</${token.name.toLowerCase()}`, i);
+      i = close === -1 ? text.length : close;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Pair start and end tags. In HTML, void elements need no end tag, and
+ * elements with an optional end tag are closed by their parent's.
+ * @param {Array<Object>} elements - Open, close and self tokens in order
+ * @param {boolean} html - Whether the HTML rules apply
+ * @returns {Object} Units of tags that are matched out of the total, and
+ *   [start, end] offsets of every closed element
+ */
+function pairTags(elements, html) {
+  const stack = [];
+  // Stack indexes of the open tags per name, so that an end tag finds its
+  // start tag without searching the stack
+  const open = new Map();
+  const spans = [];
+  let matched = 0;
+
+  const closeImplicitly = (token, end) => {
+    if (!html || !OPTIONAL_END.has(token.name.toLowerCase())) return;
+    matched++;
+    spans.push([token.start, end]);
+  };
+
+  for (const token of elements) {
+    if (token.type === 'self') {
+      matched++;
+    } else if (token.type === 'open') {
+      if (html && VOID_ELEMENTS.has(token.name.toLowerCase())) {
+        matched++;
+        continue;
+      }
+      if (!open.has(token.name)) open.set(token.name, []);
+      open.get(token.name).push(stack.length);
+      stack.push(token);
+    } else {
+      const index = open.get(token.name)?.at(-1);
+      if (index === undefined) continue;
+      const [start, ...inner] = stack.splice(index);
+      // Every tag taken off the stack is the last open one of its name
+      open.get(start.name).pop();
+      inner.forEach((t) => {
+        open.get(t.name).pop();
+        closeImplicitly(t, token.start);
+      });
+      matched += 2;
+      spans.push([start.start, token.end]);
+    }
+  }
+
+  const end = elements.at(-1)?.end ?? 0;
+  stack.forEach((t) => closeImplicitly(t, end));
+  return { matched, total: elements.length, spans };
+}
+
+/**
+ * Find the offsets where the lines of a text start
+ * @param {string} text - The text
+ * @returns {number[]} Offset of every line, in order
+ */
+function lineStarts(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+  return starts;
+}
+
+/**
+ * Find the 0-based line of an offset
+ * @param {number[]} starts - Result of lineStarts
+ * @param {number} offset - Offset in the text
+ * @returns {number} Index of the line that holds the offset
+ */
+function lineOf(starts, offset) {
+  let low = 0;
+  let high = starts.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (starts[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+/**
+ * Mark the lines that are markup: lines that start with a token, and lines
+ * inside a closed element
+ * @param {string} text - The text
+ * @param {number[]} starts - Result of lineStarts
+ * @param {Array<Object>} tokens - Tokens from scanMarkup
+ * @param {Array<Array<number>>} spans - Offsets of the closed elements
+ * @returns {Object} Line numbers (1-based) of the markup and the other
+ *   non-blank lines
+ */
+function markupLines(text, starts, tokens, spans) {
+  // +1 where an element's inner lines start and -1 after they end
+  const inside = new Array(starts.length + 1).fill(0);
+  for (const [start, end] of spans) {
+    const first = lineOf(starts, start) + 1;
+    const last = lineOf(starts, end - 1);
+    if (first > last) continue;
+    inside[first]++;
+    inside[last + 1]--;
+  }
+  const tokenStarts = new Set(tokens.map((t) => t.start));
+
+  const markup = [];
+  const prose = [];
+  let depth = 0;
+  starts.forEach((start, n) => {
+    depth += inside[n];
+    const end = n + 1 < starts.length ? starts[n + 1] : text.length;
+    const line = text.slice(start, end);
+    const indent = line.length - line.trimStart().length;
+    if (!line.trim()) return;
+    if (
+      depth > 0 ||
+      tokenStarts.has(start + indent) ||
+      /^\s*\{[{%#]/.test(line)
+    ) {
+      markup.push(n + 1);
+    } else {
+      prose.push(n + 1);
+    }
+  });
+
+  return { markup, prose };
+}
+
+/**
+ * Collect the namespaces declared with xmlns attributes
+ * @param {Array<Object>} elements - Tag tokens
+ * @returns {string[]} Namespace URIs, in order of appearance
+ */
+function namespaces(elements) {
+  const uris = elements.flatMap((t) =>
+    t.attributes
+      .filter((a) => /^xmlns(?::|$)/.test(a.name) && a.value)
+      .map((a) => a.value)
+  );
+  return [...new Set(uris)];
+}
+
+/**
+ * Read the version and encoding of an XML declaration
+ * @param {Object|undefined} token - Instruction token
+ * @returns {Object|null} Declaration, or null for other instructions
+ */
+function readDeclaration(token) {
+  if (!token || !/^xml\s/i.test(token.body)) return null;
+  const pseudo = (name) =>
+    new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`).exec(token.body)?.[1] ??
+    null;
+  return { version: pseudo('version'), encoding: pseudo('encoding') };
+}
+
+/**
+ * Name the template engine whose syntax the text uses
+ * @param {string} text - The text
+ * @param {Array<Object>} tokens - Tokens from scanMarkup
+ * @returns {string|null} 'php', 'erb', 'jinja', 'handlebars', 'mustache'
+ *   or null
+ */
+function templateEngine(text, tokens) {
+  if (
+    tokens.some((t) => t.type === 'instruction' && /^(?:php|=)/i.test(t.body))
+  )
+    return 'php';
+  if (tokens.some((t) => t.type === 'template')) return 'erb';
+  return TEMPLATES.find(([, re]) => re.test(text))?.[0] ?? null;
+}
+
+/**
+ * Analyze HTML, XML, SVG, JSX and HTML templates with a tag scanner that
+ * checks how well tags balance and which vocabulary they come from
+ * @param {string} text - The text to analyze
+ * @returns {Object|null} Score, reasons and the checks behind them, format,
+ *   subformat, root element, doctype, XML declaration, namespaces, element
+ *   and template details, or null when the text has no markup
+ */
+export function analyzeMarkup(text) {
+  const tokens = scanMarkup(text);
+  const elements = tokens.filter((t) =>
+    ['open', 'close', 'self'].includes(t.type)
+  );
+  const template = templateEngine(text, tokens);
+  if (!elements.length && !tokens.some((t) => t.type !== 'comment')) {
+    return null;
+  }
+
+  const root = elements.find((t) => t.type !== 'close') ?? null;
+  const first = tokens[0];
+  const leading = first?.start === text.length - text.trimStart().length;
+  const declarationToken = tokens.find((t) => t.type === 'instruction');
+  const declaration = readDeclaration(declarationToken);
+  const doctypeToken = tokens.find(
+    (t) => t.type === 'doctype' && /^doctype\s/i.test(t.body)
+  );
+  const doctype = doctypeToken?.body.replace(/^doctype\s+/i, '').trim() ?? null;
+
+  const opened = elements.filter((t) => t.type !== 'close');
+  const named = opened.filter((t) => t.name);
+  const names = named.map((t) => t.name);
+  const knownTags = named.filter((t) =>
+    HTML_ELEMENTS.has(t.name.toLowerCase())
+  );
+  const known = knownTags.map((t) => t.name);
+  const uris = namespaces(opened);
+  const prefixed = names.some((n) => n.includes(':'));
+  const expressionTags = opened.filter((t) =>
+    t.attributes.some((a) => a.expression)
+  );
+  const fragmentTags = opened.filter((t) => !t.name);
+  const componentTags = named.filter(
+    (t) => /^[A-Z]|\./.test(t.name) && !HTML_ELEMENTS.has(t.name.toLowerCase())
+  );
+  const expressions = expressionTags.length > 0;
+  const fragments = fragmentTags.length > 0;
+  const components = componentTags.length > 0;
+
+  const svg =
+    root?.name === 'svg' ||
+    uris.includes(SVG_NS) ||
+    (names.length > 0 && names.every((n) => SVG_ELEMENTS.has(n)));
+  const htmlRoot = root?.name.toLowerCase() === 'html';
+  const jsx =
+    expressions ||
+    fragments ||
+    (components && known.length > 0 && !declaration && !uris.length);
+
+  let format;
+  let subformat = null;
+  if (jsx) {
+    format = 'jsx';
+  } else if (template) {
+    format = 'template';
+    subformat = template;
+  } else if (svg) {
+    format = 'svg';
+    subformat = root?.name === 'svg' ? 'document' : 'fragment';
+  } else if (htmlRoot || /^html\b/i.test(doctype ?? '')) {
+    format = 'html';
+    subformat = uris.includes(XHTML_NS) ? 'xhtml' : 'document';
+  } else if (
+    declaration ||
+    uris.length ||
+    prefixed ||
+    // A feed, sitemap or other root that is not an HTML element
+    (root && !htmlName(root.name)) ||
+    known.length < names.length / 2
+  ) {
+    format = 'xml';
+    subformat = XML_VOCABULARIES[root?.name] ?? null;
+  } else {
+    format = 'html';
+    subformat = 'fragment';
+  }
+
+  // Only HTML has void elements and end tags to leave out
+  const { matched, total, spans } = pairTags(
+    elements,
+    format === 'html' || format === 'template'
+  );
+  const starts = lineStarts(text);
+  const { markup, prose } = markupLines(text, starts, tokens, spans);
+  // 1-based numbers of the lines where the given tokens start
+  const linesOf = (list) => [
+    ...new Set(list.map((t) => lineOf(starts, t.start) + 1)),
+  ];
+
+  // Markup lines, discounted by how many tags are left unmatched
+  const coverage = markup.length / (markup.length + prose.length || 1);
+  const balance = total ? matched / total : 1;
+  // A document that opens with its declaration or doctype is markup
+  const prologue = leading && (first === doctypeToken || Boolean(declaration));
+
+  // The score is not a sum of weights, so the checks only report features
+  const tally = createTally({});
+  const feature = (name, passed, value, lines) =>
+    tally.add(name, passed, {
+      value,
+      threshold: 'present',
+      weight: null,
+      lines,
+    });
+  tally.add('markup_lines', markup.length > 0, {
+    value: coverage,
+    threshold: 'score = coverage * (0.4 + 0.6 * balance)',
+    weight: null,
+    lines: markup,
+  });
+  feature(
+    'xml_declaration',
+    Boolean(declaration),
+    Boolean(declaration),
+    declaration ? linesOf([declarationToken]) : []
+  );
+  feature(
+    'doctype',
+    Boolean(doctype),
+    doctype,
+    doctypeToken ? linesOf([doctypeToken]) : []
+  );
+  feature('leading_tag', leading, leading, leading ? linesOf([first]) : []);
+  tally.add('balanced_tags', total > 0 && matched === total, {
+    value: balance,
+    threshold: '= 1',
+    weight: null,
+    lines: linesOf(elements),
+  });
+  feature('html_elements', known.length > 0, known.length, linesOf(knownTags));
+  feature(
+    'unknown_elements',
+    names.length > known.length,
+    names.length - known.length,
+    linesOf(named.filter((t) => !HTML_ELEMENTS.has(t.name.toLowerCase())))
+  );
+  feature(
+    'namespaces',
+    uris.length > 0 || prefixed,
+    uris,
+    linesOf(
+      named.filter(
+        (t) =>
+          t.name.includes(':') ||
+          t.attributes.some((a) => /^xmlns(?::|$)/.test(a.name) && a.value)
+      )
+    )
+  );
+  feature(
+    'jsx_expressions',
+    expressions,
+    expressionTags.length,
+    linesOf(expressionTags)
+  );
+  feature(
+    'jsx_fragments',
+    fragments,
+    fragmentTags.length,
+    linesOf(fragmentTags)
+  );
+  feature(
+    'components',
+    components,
+    componentTags.length,
+    linesOf(componentTags)
+  );
+  feature('template_tags', Boolean(template), template, []);
+  tally.add('document_prologue', prologue, {
+    value: prologue,
+    threshold: 'leading declaration or doctype, scores 1',
+    weight: null,
+    lines: prologue ? linesOf([first]) : [],
+  });
+
+  const score = prologue ? 1 : coverage * (0.4 + 0.6 * balance);
+  const lines = text.split('\n');
+
+  return {
+    score: Number(score.toFixed(3)),
+    reasons: tally.reasons,
+    checks: tally.checks,
+    format,
+    subformat,
+    root: root?.name || null,
+    doctype,
+    declaration,
+    namespaces: uris,
+    elements: names.length,
+    balanced: matched === total,
+    template,
+    // Prose around the markup that reads as markdown makes the text a
+    // markdown document with embedded HTML
+    embedded:
+      prose.length > 0 &&
+      markdownScore(prose.map((n) => lines[n - 1]).join('\n')).score > 0,
+  };
+}
@@ -0,0 +1,161 @@
+// Named option sets; explicit options are applied on top of the preset
+export const presets = Object.freeze({
+  default: Object.freeze({}),
+  // Favor markdown for chat replies, where stray symbols rarely mean art
+  chat: Object.freeze({
+    thresholds: { markdown: 0.05, ascii: 0.45 },
+    margins: { ascii: 0.2 },
+    weights: { markdown: { inlineCode: 0.12, emphasis: 0.12 } },
+  }),
+  // Keep borderline ASCII art, e.g. old text files, from being reflowed
+  archival: Object.freeze({
+    thresholds: { ascii: 0.25 },
+    margins: { ascii: 0 },
+    weights: { ascii: { very_text_heavy: 0, code_like_penalty: -0.05 } },
+  }),
+});
+
+const OPTION_KEYS = ['preset', 'thresholds', 'margins', 'weights', 'limits'];
+
+// Guards against huge or hostile input: texts over maxLength characters are
+// sampled, and no more detectors are started once timeBudget milliseconds
+// have passed. null turns a guard off; both are off unless asked for, so
+// that a long input is read whole.
+const DEFAULT_LIMITS = Object.freeze({
+  maxLength: null,
+  timeBudget: null,
+});
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value to check
+ * @param {string} label - Name used in the error message
+ */
+function checkObject(value, label) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new TypeError(`${label} must be an object`);
+  }
+}
+
+/**
+ * Check that a value is a number within a range
+ * @param {*} value - Value to check
+ * @param {string} label - Name used in the error message
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ */
+function checkNumber(value, label, min, max) {
+  if (!Number.isFinite(value) || value < min || value > max) {
+    throw new TypeError(`${label} must be a number between ${min} and ${max}`);
+  }
+}
+
+/**
+ * Apply one options object (and its preset) to the effective configuration
+ * @param {Object} effective - Configuration being built, changed in place
+ * @param {Object} options - Options passed by the caller
+ */
+function applyOptions(effective, options) {
+  checkObject(options, 'options');
+  for (const key of Object.keys(options)) {
+    if (!OPTION_KEYS.includes(key)) {
+      throw new TypeError(`Unknown option "${key}"`);
+    }
+  }
+
+  const {
+    preset,
+    thresholds = {},
+    margins = {},
+    weights = {},
+    limits = {},
+  } = options;
+
+  if (typeof preset === 'string') {
+    if (!Object.hasOwn(presets, preset)) {
+      throw new TypeError(`Unknown preset "${preset}"`);
+    }
+    applyOptions(effective, presets[preset]);
+    effective.preset = preset;
+  } else if (preset !== undefined) {
+    applyOptions(effective, preset);
+  }
+
+  checkObject(thresholds, 'thresholds');
+  for (const [name, value] of Object.entries(thresholds)) {
+    if (!Object.hasOwn(effective.thresholds, name)) {
+      throw new TypeError(`Unknown detector "${name}" in thresholds`);
+    }
+    checkNumber(value, `Threshold "${name}"`, 0, 1);
+    effective.thresholds[name] = value;
+  }
+
+  checkObject(margins, 'margins');
+  for (const [name, value] of Object.entries(margins)) {
+    if (!Object.hasOwn(effective.margins, name)) {
+      throw new TypeError(`Detector "${name}" has no margin`);
+    }
+    checkNumber(value, `Margin "${name}"`, 0, 1);
+    effective.margins[name] = value;
+  }
+
+  checkObject(weights, 'weights');
+  for (const [name, table] of Object.entries(weights)) {
+    if (!Object.hasOwn(effective.weights, name)) {
+      throw new TypeError(`Detector "${name}" has no weights`);
+    }
+    checkObject(table, `Weights for "${name}"`);
+    for (const [feature, value] of Object.entries(table)) {
+      if (!Object.hasOwn(effective.weights[name], feature)) {
+        throw new TypeError(`Unknown ${name} weight "${feature}"`);
+      }
+      checkNumber(value, `Weight "${name}.${feature}"`, -1, 1);
+      effective.weights[name][feature] = value;
+    }
+  }
+
+  checkObject(limits, 'limits');
+  for (const [name, value] of Object.entries(limits)) {
+    if (!Object.hasOwn(effective.limits, name)) {
+      throw new TypeError(`Unknown limit "${name}"`);
+    }
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      throw new TypeError(`Limit "${name}" must be a positive integer or null`);
+    }
+    effective.limits[name] = value;
+  }
+}
+
+/**
+ * Resolve detection options against the registered detectors
+ * @param {Array<Object>} detectors - Registered plugins
+ * @param {...Object} layers - Options objects, later ones winning; undefined
+ *   entries are skipped
+ * @returns {Object} Effective preset name, thresholds, margins and
+ *   weights for every detector that has them, and the input limits
+ */
+export function resolveOptions(detectors, ...layers) {
+  const effective = {
+    preset: null,
+    thresholds: {},
+    margins: {},
+    weights: {},
+    limits: { ...DEFAULT_LIMITS },
+  };
+
+  for (const detector of detectors) {
+    effective.thresholds[detector.name] = detector.threshold;
+    if (detector.margin !== undefined) {
+      effective.margins[detector.name] = detector.margin;
+    }
+    if (detector.weights !== undefined) {
+      effective.weights[detector.name] = { ...detector.weights };
+    }
+  }
+
+  for (const options of layers) {
+    if (options !== undefined) applyOptions(effective, options);
+  }
+
+  return effective;
+}
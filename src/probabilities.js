@@ -0,0 +1,26 @@
+// Parameters for formats the calibration has not seen (e.g. custom plugins)
+export const FALLBACK = { scale: 4, bias: -2 };
+
+/**
+ * Turn raw per-format scores into a probability distribution: each format
+ * gets the logit scale * score + bias, the detected format a decision bonus
+ * on top, and a softmax makes them sum to 1
+ * @param {Object} scores - Raw score (0 - 1) per format, plain included
+ * @param {string} winner - The detected text_format
+ * @param {Object} calibration - { decision, formats: { [f]: { scale, bias } } }
+ * @returns {Object} Probability per format
+ */
+export function toProbabilities(scores, winner, calibration) {
+  const formats = Object.keys(scores);
+  const logits = formats.map((f) => {
+    const { scale, bias } = calibration.formats[f] ?? FALLBACK;
+    return scale * scores[f] + bias + (f === winner ? calibration.decision : 0);
+  });
+
+  // Subtract the largest logit so exp() cannot overflow
+  const max = Math.max(...logits);
+  const weights = logits.map((z) => Math.exp(z - max));
+  const total = weights.reduce((a, b) => a + b, 0);
+
+  return Object.fromEntries(formats.map((f, i) => [f, weights[i] / total]));
+}
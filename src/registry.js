@@ -0,0 +1,479 @@
+import { stripAnsi } from './ansi.js';
+import { CALIBRATION } from './calibration.js';
+import { builtinDetectors } from './detectors.js';
+import { lineRanges } from './explain.js';
+import { resolveOptions } from './options.js';
+import { toProbabilities } from './probabilities.js';
+
+/**
+ * Check a detector plugin and fill in its defaults
+ * @param {Object} detector - Plugin to check
+ * @returns {Object} The plugin with priority and threshold set
+ */
+function normalizeDetector(detector) {
+  if (!detector || typeof detector !== 'object') {
+    throw new TypeError('Detector must be an object');
+  }
+
+  const { name } = detector;
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('Detector name must be a non-empty string');
+  }
+  if (typeof detector.score !== 'function') {
+    throw new TypeError(
+      `Detector "${name}" must have a score(text, context) function`
+    );
+  }
+  if (
+    detector.formats !== undefined &&
+    (!Array.isArray(detector.formats) ||
+      !detector.formats.every((f) => typeof f === 'string' && f))
+  ) {
+    throw new TypeError(`Detector "${name}" formats must be format names`);
+  }
+  for (const hook of ['accept', 'decorate', 'explain']) {
+    if (detector[hook] !== undefined && typeof detector[hook] !== 'function') {
+      throw new TypeError(`Detector "${name}" ${hook} must be a function`);
+    }
+  }
+
+  const normalized = {
+    priority: 0,
+    threshold: 0.5,
+    formats: [detector.format ?? name],
+    ...detector,
+  };
+  if (!Number.isFinite(normalized.priority)) {
+    throw new TypeError(`Detector "${name}" priority must be a finite number`);
+  }
+  if (
+    !Number.isFinite(normalized.threshold) ||
+    normalized.threshold < 0 ||
+    normalized.threshold > 1
+  ) {
+    throw new TypeError(`Detector "${name}" threshold must be between 0 and 1`);
+  }
+  if (
+    normalized.margin !== undefined &&
+    !(normalized.margin >= 0 && normalized.margin <= 1)
+  ) {
+    throw new TypeError(`Detector "${name}" margin must be between 0 and 1`);
+  }
+  if (
+    normalized.weights !== undefined &&
+    (typeof normalized.weights !== 'object' ||
+      !Object.values(normalized.weights).every(Number.isFinite))
+  ) {
+    throw new TypeError(`Detector "${name}" weights must map names to numbers`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Freeze an effective configuration and the tables inside it
+ * @param {Object} effective - Result of resolveOptions
+ * @returns {Object} The same object, frozen
+ */
+function freezeOptions(effective) {
+  for (const value of Object.values(effective)) {
+    if (value && typeof value === 'object') freezeOptions(value);
+  }
+  return Object.freeze(effective);
+}
+
+/**
+ * Cut a long input down to a head, a middle and a tail window of about a
+ * third of maxLength each, so that the detectors see how the text starts,
+ * goes on and ends without reading all of it. Windows are moved to line
+ * boundaries unless that would leave them empty.
+ * @param {string} input - The input as given
+ * @param {number} maxLength - Most characters to keep
+ * @returns {Object} The windows joined by line breaks as `text`, and their
+ *   `windows` as { start, end } offsets into the input
+ */
+function sampleInput(input, maxLength) {
+  const size = Math.max(1, Math.floor(maxLength / 3));
+  const middle = Math.floor((input.length - size) / 2);
+
+  const windows = [0, middle, input.length - size].map((start) => {
+    let end = start + size;
+    if (start > 0) {
+      const next = input.indexOf('\n', start - 1) + 1;
+      if (next > 0 && next < end) start = next;
+    }
+    if (end < input.length) {
+      const last = input.lastIndexOf('\n', end);
+      if (last > start) end = last;
+    }
+    return { start, end };
+  });
+
+  return {
+    text: windows.map(({ start, end }) => input.slice(start, end)).join('\n'),
+    windows,
+  };
+}
+
+/**
+ * Build the context shared by the detectors during one detection. Results
+ * are computed on first use, so detectors can build on each other.
+ * @param {Map<string, Object>} detectors - Registered plugins by name
+ * @param {string} raw - The input as given
+ * @param {string} text - The input with ANSI escape sequences stripped
+ * @param {Object} options - Effective thresholds, margins, weights and
+ *   limits
+ * @param {number|null} deadline - Time (from Date.now) after which no more
+ *   detectors are scored, or null for no time budget
+ * @param {Object|null} sampled - Input length and window offsets when the
+ *   input was sampled, else null
+ * @returns {Object} Detection context
+ */
+function createContext(detectors, raw, text, options, deadline, sampled) {
+  const results = new Map();
+  const pending = new Set();
+
+  const context = {
+    raw,
+    text,
+    lines: text.split(/\r\n?|\n/),
+    options,
+    sampled,
+    // Detectors left unscored because the time budget ran out
+    skipped: [],
+
+    /**
+     * Score the text with a registered detector
+     * @param {string} name - Detector name
+     * @returns {Object|null} Its { score, reasons, ... } result, or null
+     *   when no such detector is registered
+     */
+    result(name) {
+      if (results.has(name)) return results.get(name);
+      const detector = detectors.get(name);
+      if (!detector) return null;
+      if (pending.has(name)) {
+        throw new Error(`Detector "${name}" depends on its own result`);
+      }
+
+      // A detector that is already running cannot be stopped, so the
+      // budget is checked before each one starts
+      if (deadline !== null && Date.now() > deadline) {
+        const skipped = { score: 0, reasons: [], skipped: true };
+        context.skipped.push(name);
+        results.set(name, skipped);
+        return skipped;
+      }
+
+      pending.add(name);
+      let result;
+      try {
+        result = detector.score(text, context);
+      } finally {
+        pending.delete(name);
+      }
+
+      if (!Number.isFinite(result?.score)) {
+        throw new TypeError(`Detector "${name}" returned an invalid score`);
+      }
+      results.set(name, result);
+      return result;
+    },
+
+    /**
+     * Check whether a detector claims the text: its score reaches the
+     * threshold and its accept hook, if any, agrees
+     * @param {string} name - Detector name
+     * @returns {boolean} True when the detector would win if asked first
+     */
+    accepts(name) {
+      const detector = detectors.get(name);
+      const result = context.result(name);
+      return Boolean(
+        result &&
+          !result.skipped &&
+          result.score >= options.thresholds[name] &&
+          (!detector.accept || detector.accept(result, context))
+      );
+    },
+  };
+
+  return context;
+}
+
+/**
+ * Collect the raw score of every format the plugins can report. A plugin's
+ * score counts for each of its formats unless its result breaks it down per
+ * format in `result.formats`; plain text is the baseline with a score of 0.
+ * @param {Array<Object>} plugins - Registered plugins in priority order
+ * @param {Object} context - Detection context
+ * @returns {Object} Highest raw score per format
+ */
+function formatScores(plugins, context) {
+  const scores = { plain: 0 };
+
+  for (const plugin of plugins) {
+    const result = context.result(plugin.name);
+    for (const format of plugin.formats) {
+      const score = result.formats
+        ? (result.formats[format] ?? 0)
+        : result.score;
+      scores[format] = Math.max(scores[format] ?? 0, score);
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * List the checks behind a plugin's score, from its explain hook, else the
+ * `checks` of its result, else its reasons. Line numbers become ranges.
+ * @param {Object} plugin - Registered plugin
+ * @param {Object} result - The plugin's result
+ * @param {Object} context - Detection context
+ * @returns {Array<Object>} Checks with name, passed, value, threshold,
+ *   weight, contribution and ranges
+ */
+function explainPlugin(plugin, result, context) {
+  if (result.skipped) return [];
+  const checks = plugin.explain
+    ? plugin.explain(result, context)
+    : (result.checks ??
+      (result.reasons ?? []).map((name) => ({
+        name,
+        passed: true,
+        weight: null,
+        contribution: null,
+      })));
+
+  return checks.map(({ lines, ...check }) => ({
+    ...check,
+    ranges: check.ranges ?? (lines ? lineRanges(context.lines, lines) : []),
+  }));
+}
+
+/**
+ * Create a text format detector from a list of detector plugins.
+ *
+ * Each plugin has a `name`, a `score(text, context)` function returning
+ * `{ score, reasons }`, a `priority` (higher runs first, default 0) and a
+ * `threshold` (default 0.5). The first plugin, by priority, whose score
+ * reaches its threshold and whose optional `accept(result, context)` hook
+ * agrees decides the format: `result.format`, else the plugin's `format`,
+ * else its name. Every plugin's optional `decorate(output, result, context)`
+ * hook then adds its details to the result.
+ *
+ * Plugins may also declare a `margin` and a table of feature `weights`,
+ * which, like their thresholds, can be overridden per detector or per call,
+ * the `formats` they can report (by default their format or name), and an
+ * `explain(result, context)` hook listing the checks behind their score.
+ * @param {Object} [config] - Detector configuration
+ * @param {Array<Object>} [config.detectors] - Plugins to start with;
+ *   defaults to the built-in formats
+ * @param {Object} [config.options] - Default options for every detection
+ * @param {Object} [config.calibration] - Parameters from calibrate() that
+ *   turn raw scores into probabilities; defaults to the bundled ones
+ * @returns {Object} Detector with detect, explain, formatScores, register,
+ *   unregister and list
+ */
+export function createDetector({
+  detectors = builtinDetectors,
+  options: baseOptions,
+  calibration = CALIBRATION,
+} = {}) {
+  if (!Array.isArray(detectors)) {
+    throw new TypeError('detectors must be an array');
+  }
+
+  const registry = new Map();
+  let ordered = [];
+  // Effective configuration for calls without options, built on first use
+  let defaults = null;
+
+  const reorder = () => {
+    // Array sort is stable, so equal priorities keep registration order
+    ordered = [...registry.values()].sort((a, b) => b.priority - a.priority);
+    defaults = null;
+  };
+
+  const detector = {
+    /**
+     * Add a detector plugin
+     * @param {Object} plugin - The plugin to add
+     * @returns {Object} This detector, for chaining
+     */
+    register(plugin) {
+      const normalized = normalizeDetector(plugin);
+      if (registry.has(normalized.name)) {
+        throw new Error(`Detector "${normalized.name}" is already registered`);
+      }
+      registry.set(normalized.name, normalized);
+      reorder();
+      return detector;
+    },
+
+    /**
+     * Remove a detector plugin
+     * @param {string} name - Name of the plugin to remove
+     * @returns {boolean} True when a plugin was removed
+     */
+    unregister(name) {
+      const removed = registry.delete(name);
+      if (removed) reorder();
+      return removed;
+    },
+
+    /**
+     * List the registered plugins in the order they are tried
+     * @returns {string[]} Plugin names, highest priority first
+     */
+    list() {
+      return ordered.map((d) => d.name);
+    },
+
+    /** Parameters that turn raw scores into probabilities */
+    calibration,
+
+    /**
+     * Detect the format type of the given text
+     * @param {string} input - The text to analyze
+     * @param {Object} [options] - Preset, thresholds, margins and weights,
+     *   applied on top of the detector's default options
+     * @returns {Object} Detection result with format type, per-detector
+     *   scores, calibrated probabilities per format, the effective options
+     *   and whatever details the plugins add
+     */
+    detect(input, options) {
+      const { context, format } = run(input, options);
+      return describe(context, format);
+    },
+
+    /**
+     * Explain how the format of the given text was detected
+     * @param {string} input - The text to analyze
+     * @param {Object} [options] - Same as for detect
+     * @returns {Object} The detected format, the analyzed text, the full
+     *   detection result, and every detector in the order tried with its
+     *   score, threshold, whether it accepted or decided the text, and its
+     *   checks
+     */
+    explain(input, options) {
+      const { context, format, winner } = run(input, options);
+      return {
+        text_format: format,
+        text: context.text,
+        result: describe(context, format),
+        detectors: ordered.map((plugin) => {
+          const result = context.result(plugin.name);
+          return {
+            name: plugin.name,
+            priority: plugin.priority,
+            score: Number(result.score.toFixed(3)),
+            threshold: context.options.thresholds[plugin.name],
+            accepted: context.accepts(plugin.name),
+            winner: plugin.name === winner,
+            skipped: Boolean(result.skipped),
+            checks: explainPlugin(plugin, result, context),
+          };
+        }),
+      };
+    },
+
+    /**
+     * Score the text per format, before calibration (used by calibrate)
+     * @param {string} input - The text to analyze
+     * @param {Object} [options] - Same as for detect
+     * @returns {Object} Raw `scores` per format and the `winner` format
+     */
+    formatScores(input, options) {
+      const { context, format } = run(input, options);
+      return { scores: formatScores(ordered, context), winner: format };
+    },
+  };
+
+  /**
+   * Pick the format of a text with the registered plugins
+   * @param {string} input - The text to analyze
+   * @param {Object} [options] - Options applied on top of the defaults
+   * @returns {Object} Detection context, the detected format and the name
+   *   of the plugin that decided it, if any
+   */
+  const run = (input, options) => {
+    defaults ??= freezeOptions(resolveOptions(ordered, baseOptions));
+    const effective =
+      options === undefined
+        ? defaults
+        : freezeOptions(resolveOptions(ordered, baseOptions, options));
+
+    const { maxLength, timeBudget } = effective.limits;
+    const deadline = timeBudget === null ? null : Date.now() + timeBudget;
+
+    const given = typeof input === 'string' ? input : '';
+    const sample =
+      maxLength !== null && given.length > maxLength
+        ? sampleInput(given, maxLength)
+        : null;
+    const raw = sample ? sample.text : given;
+    // Terminal output is classified by what it shows, so colored markdown
+    // or code still comes out as markdown or code
+    const context = createContext(
+      registry,
+      raw,
+      stripAnsi(raw),
+      effective,
+      deadline,
+      sample && { length: given.length, windows: sample.windows }
+    );
+
+    const winner = context.text.trim()
+      ? ordered.find((d) => context.accepts(d.name))
+      : null;
+    const format = winner
+      ? (context.result(winner.name).format ?? winner.format ?? winner.name)
+      : 'plain';
+
+    return { context, format, winner: winner?.name ?? null };
+  };
+
+  /**
+   * Build the detection result
+   * @param {Object} context - Detection context
+   * @param {string} format - The detected format
+   * @returns {Object} Detection result
+   */
+  const describe = (context, format) => {
+    const output = {
+      text_format: format,
+      reasons: {},
+      scores: {},
+      probabilities: toProbabilities(
+        formatScores(ordered, context),
+        format,
+        calibration
+      ),
+      options: context.options,
+    };
+    if (context.sampled) output.sampled = context.sampled;
+
+    for (const plugin of ordered) {
+      const result = context.result(plugin.name);
+      output.scores[plugin.name] = Number(result.score.toFixed(3));
+      if (plugin.decorate && !result.skipped) {
+        plugin.decorate(output, result, context);
+      } else {
+        output.reasons[plugin.name] = result.reasons ?? [];
+      }
+    }
+    if (context.skipped.length) {
+      output.truncated = true;
+      output.skipped = [...context.skipped];
+    }
+
+    return output;
+  };
+
+  detectors.forEach((plugin) => detector.register(plugin));
+  // Report invalid default options now rather than on the first detection
+  defaults = freezeOptions(resolveOptions(ordered, baseOptions));
+  return detector;
+}
@@ -0,0 +1,477 @@
+import { ansiToSpans, stripAnsi } from './ansi.js';
+import { parseDelimited } from './csv.js';
+import { matchFence } from './fences.js';
+import { MD } from './heuristics.js';
+import { detectLanguage } from './languages.js';
+import { createDetector } from './registry.js';
+import { segmentTextFormat } from './segment.js';
+
+const HEADING_RE = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT_RE = /^ {0,3}(=+|-+)\s*$/;
+const RULE_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_RE = /^ {0,3}> ?/;
+const LIST_RE = /^(\s*)(?:[-*+]|(\d{1,9})[.)])\s+(.*)$/;
+const TASK_RE = /^\[([ xX])\]\s+/;
+// Blockquotes nest no deeper than this; a `>` past it is read as text, so
+// that a long run of them neither overflows the stack nor copies every line
+// once per level
+const MAX_QUOTE_DEPTH = 100;
+
+// Formats whose text is markup or a patch, shown as code in that language
+const CODE_FORMATS = new Set(['diff', 'html', 'xml', 'svg', 'jsx', 'template']);
+// Formats whose text is structured data
+const DATA_FORMATS = new Set(['json', 'yaml', 'toml', 'ini', 'dotenv']);
+
+let defaultDetector = null;
+
+/**
+ * Join lines back into text
+ * @param {Array<Object>} lines - Lines as { text, number }
+ * @returns {string} The text of the lines
+ */
+function join(lines) {
+  return lines.map((l) => l.text).join('\n');
+}
+
+/**
+ * Position of a run of lines for a node
+ * @param {Array<Object>} lines - Lines as { text, number }, not empty
+ * @returns {Object} 1-based, inclusive startLine and endLine
+ */
+function span(lines) {
+  return { startLine: lines[0].number, endLine: lines.at(-1).number };
+}
+
+/**
+ * Split a markdown table row into its cells
+ * @param {string} line - The row
+ * @returns {string[]} Trimmed cells, with escaped pipes unescaped
+ */
+export function splitRow(line) {
+  const row = line
+    .trim()
+    .replace(/^\|/, '')
+    .replace(/(?<!\\)\|$/, '');
+  return row
+    .split(/(?<!\\)\|/)
+    .map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Read the column alignment from a markdown table's delimiter row
+ * @param {string} line - The delimiter row, e.g. "|:---|---:|"
+ * @returns {Array<string|null>} 'left', 'center', 'right' or null per column
+ */
+function readAlignment(line) {
+  return splitRow(line).map((cell) => {
+    const left = cell.startsWith(':');
+    const right = cell.endsWith(':');
+    if (left && right) return 'center';
+    if (right) return 'right';
+    return left ? 'left' : null;
+  });
+}
+
+/**
+ * Build a code node
+ * @param {Array<Object>} lines - Lines of the node, fences included
+ * @param {Array<Object>} body - Lines of the code itself
+ * @param {string|null} language - Language name, if known
+ * @param {string|null} [info] - Fence info string
+ * @returns {Object} Code node
+ */
+function codeNode(lines, body, language, info = null) {
+  return { type: 'code', language, info, text: join(body), ...span(lines) };
+}
+
+/**
+ * Read a list starting at a list item, with nested items as deeper levels
+ * @param {Array<Object>} lines - Lines as { text, number }
+ * @param {number} from - Index of the first item
+ * @returns {Array} The list node and the index after it
+ */
+function readList(lines, from) {
+  const first = LIST_RE.exec(lines[from].text);
+  const ordered = first[2] !== undefined;
+  const indents = [first[1].length];
+  const items = [];
+  let i = from;
+  let end = from;
+
+  while (i < lines.length) {
+    const { text } = lines[i];
+    const match = LIST_RE.exec(text);
+
+    if (match) {
+      const indent = match[1].length;
+      // Another kind of list at the top level starts a new list
+      if (indent <= indents[0] && (match[2] !== undefined) !== ordered) break;
+      if (indent > indents.at(-1)) indents.push(indent);
+      while (indents.length > 1 && indent < indents.at(-1)) indents.pop();
+
+      const task = TASK_RE.exec(match[3]);
+      items.push({
+        text: task ? match[3].slice(task[0].length) : match[3],
+        depth: indents.length - 1,
+        checked: task ? task[1] !== ' ' : null,
+        line: lines[i].number,
+      });
+      end = i++;
+    } else if (text.trim() && /^\s{2,}/.test(text) && items.length) {
+      // An indented line continues the item before it
+      items.at(-1).text += `\n${text.trim()}`;
+      end = i++;
+    } else if (!text.trim() && LIST_RE.test(lines[i + 1]?.text ?? '')) {
+      // A blank line between items keeps the list going
+      i++;
+    } else {
+      break;
+    }
+  }
+
+  const node = {
+    type: 'list',
+    ordered,
+    start: ordered ? Number(first[2]) : null,
+    items,
+    ...span(lines.slice(from, end + 1)),
+  };
+  return [node, end + 1];
+}
+
+/**
+ * Parse lines into block nodes. Lines that segmentTextFormat labels ascii
+ * or code (outside markdown constructs) become preformatted art or code,
+ * and lines it labels markdown are read as markdown in any document.
+ * @param {Array<Object>} lines - Lines as { text, number }
+ * @param {Object} config - Parser configuration
+ * @param {boolean} config.markdown - Whether to read markdown blocks
+ *   throughout
+ * @param {Map<number, string>} [config.labels] - Region format per line
+ *   number
+ * @param {number} [config.depth] - How many blockquotes the lines are in
+ * @returns {Array<Object>} Block nodes
+ */
+function parseBlocks(lines, { markdown, labels = new Map(), depth = 0 }) {
+  const nodes = [];
+  let paragraph = [];
+
+  const flush = () => {
+    if (!paragraph.length) return;
+    nodes.push({
+      type: 'paragraph',
+      text: paragraph.map((l) => l.text.trim()).join('\n'),
+      ...span(paragraph),
+    });
+    paragraph = [];
+  };
+
+  for (let i = 0; i < lines.length; ) {
+    const { text, number } = lines[i];
+    if (!text.trim()) {
+      flush();
+      i++;
+      continue;
+    }
+
+    if (markdown || labels.get(number) === 'markdown') {
+      const fence = matchFence(text, null);
+      if (fence) {
+        flush();
+        let close = i + 1;
+        while (close < lines.length && !matchFence(lines[close].text, fence)) {
+          close++;
+        }
+        const body = lines.slice(i + 1, close);
+        nodes.push(
+          codeNode(
+            lines.slice(i, close + 1),
+            body,
+            detectLanguage(join(body), { info: fence.info })?.name ?? null,
+            fence.info || null
+          )
+        );
+        i = close + 1;
+        continue;
+      }
+
+      const heading = HEADING_RE.exec(text);
+      if (heading) {
+        flush();
+        nodes.push({
+          type: 'heading',
+          depth: heading[1].length,
+          text: heading[2] ?? '',
+          startLine: number,
+          endLine: number,
+        });
+        i++;
+        continue;
+      }
+
+      // An underline turns the paragraph above it into a heading
+      const setext = paragraph.length ? SETEXT_RE.exec(text) : null;
+      if (setext) {
+        nodes.push({
+          type: 'heading',
+          depth: setext[1][0] === '=' ? 1 : 2,
+          text: paragraph.map((l) => l.text.trim()).join(' '),
+          startLine: paragraph[0].number,
+          endLine: number,
+        });
+        paragraph = [];
+        i++;
+        continue;
+      }
+
+      if (RULE_RE.test(text)) {
+        flush();
+        nodes.push({ type: 'rule', startLine: number, endLine: number });
+        i++;
+        continue;
+      }
+
+      if (text.includes('|') && MD.tableAlign.test(lines[i + 1]?.text ?? '')) {
+        flush();
+        let end = i + 2;
+        while (
+          end < lines.length &&
+          lines[end].text.trim() &&
+          lines[end].text.includes('|')
+        ) {
+          end++;
+        }
+        nodes.push({
+          type: 'table',
+          header: splitRow(text),
+          align: readAlignment(lines[i + 1].text),
+          rows: lines.slice(i + 2, end).map((l) => splitRow(l.text)),
+          ...span(lines.slice(i, end)),
+        });
+        i = end;
+        continue;
+      }
+
+      if (depth < MAX_QUOTE_DEPTH && QUOTE_RE.test(text)) {
+        flush();
+        let end = i;
+        while (end < lines.length && QUOTE_RE.test(lines[end].text)) end++;
+        const quoted = lines.slice(i, end);
+        nodes.push({
+          type: 'quote',
+          children: parseBlocks(
+            quoted.map((l) => ({ ...l, text: l.text.replace(QUOTE_RE, '') })),
+            { markdown, depth: depth + 1 }
+          ),
+          ...span(quoted),
+        });
+        i = end;
+        continue;
+      }
+
+      if (LIST_RE.test(text)) {
+        flush();
+        const [list, next] = readList(lines, i);
+        nodes.push(list);
+        i = next;
+        continue;
+      }
+    }
+
+    const label = labels.get(number);
+    if (label === 'ascii' || label === 'code') {
+      flush();
+      let end = i;
+      while (end < lines.length && labels.get(lines[end].number) === label) {
+        end++;
+      }
+      // Trailing blank lines belong to the region but not to the block
+      while (!lines[end - 1].text.trim()) end--;
+      const block = lines.slice(i, end);
+      nodes.push(
+        label === 'ascii'
+          ? {
+              type: 'preformatted',
+              kind: 'art',
+              text: join(block),
+              ...span(block),
+            }
+          : codeNode(block, block, detectLanguage(join(block))?.name ?? null)
+      );
+      i = end;
+      continue;
+    }
+
+    paragraph.push(lines[i]);
+    i++;
+  }
+
+  flush();
+  return nodes;
+}
+
+/**
+ * Label each line with the format of its segmentTextFormat region
+ * @param {string} text - The text to segment
+ * @returns {Map<number, string>} Region format per 1-based line number
+ */
+function regionLabels(text) {
+  const labels = new Map();
+  for (const region of segmentTextFormat(text)) {
+    for (let n = region.startLine; n <= region.endLine; n++) {
+      labels.set(n, region.text_format);
+    }
+  }
+  return labels;
+}
+
+/**
+ * Parse a JSON document, or each line of NDJSON
+ * @param {string} text - The JSON text
+ * @param {string} subformat - Subformat from the detection result
+ * @returns {*} The parsed value, or null for subformats JSON.parse cannot
+ *   read and for text that does not parse after all, as when only the
+ *   sample of a long input was checked
+ */
+function parseJsonValue(text, subformat) {
+  try {
+    if (subformat === 'json') return JSON.parse(text);
+    if (subformat === 'ndjson') {
+      return text
+        .split(/\r\n?|\n/)
+        .filter((l) => l.trim())
+        .map((l) => JSON.parse(l));
+    }
+  } catch (err) {
+    if (!(err instanceof SyntaxError)) throw err;
+  }
+  return null;
+}
+
+/**
+ * Build the nodes for a whole text of the detected format
+ * @param {Object} result - Detection result
+ * @param {string} raw - The input as given
+ * @param {Array<Object>} lines - Lines of the ANSI-stripped text
+ * @returns {Array<Object>} Block nodes
+ */
+function buildNodes(result, raw, lines) {
+  const format = result.text_format;
+  const text = join(lines);
+  const whole = span(lines);
+
+  if (format === 'markdown' || format === 'plain') {
+    const front = result.frontMatter;
+    const body = front ? lines.slice(front.endLine) : lines;
+    const nodes = front
+      ? [
+          {
+            type: 'data',
+            format: front.format,
+            subformat: 'front-matter',
+            text: join(lines.slice(front.startLine, front.endLine - 1)),
+            value: null,
+            startLine: front.startLine,
+            endLine: front.endLine,
+          },
+        ]
+      : [];
+    return nodes.concat(
+      parseBlocks(body, {
+        markdown: format === 'markdown',
+        labels: regionLabels(text),
+      })
+    );
+  }
+
+  if (format === 'code') {
+    return result.codeBlocks?.length
+      ? parseBlocks(lines, { markdown: true })
+      : [codeNode(lines, lines, result.language?.name ?? null)];
+  }
+  if (format === 'ascii') {
+    // Art with prose or markdown around it is split into its regions
+    const labels = regionLabels(text);
+    return [...labels.values()].every((label) => label === 'ascii')
+      ? [{ type: 'preformatted', kind: 'art', text, ...whole }]
+      : parseBlocks(lines, { markdown: false, labels });
+  }
+  if (format === 'terminal') {
+    return [
+      {
+        type: 'preformatted',
+        kind: 'terminal',
+        text,
+        spans: ansiToSpans(raw),
+        ...whole,
+      },
+    ];
+  }
+  if (CODE_FORMATS.has(format)) {
+    return [codeNode(lines, lines, format)];
+  }
+  if (DATA_FORMATS.has(format)) {
+    const subformat = result.subformat ?? null;
+    return [
+      {
+        type: 'data',
+        format,
+        subformat,
+        text,
+        value:
+          format === 'json' ? parseJsonValue(text.trim(), subformat) : null,
+        ...whole,
+      },
+    ];
+  }
+  if (format === 'csv') {
+    const records = parseDelimited(text, result.csv.delimiter).map((r) =>
+      r.map((cell) => cell.trim())
+    );
+    const header = result.csv.hasHeader ? records.shift() : null;
+    return [
+      {
+        type: 'table',
+        header,
+        align: records[0].map(() => null),
+        rows: records,
+        ...whole,
+      },
+    ];
+  }
+
+  // Logs, and formats of custom detectors, keep their layout
+  return [{ type: 'preformatted', kind: format, text, ...whole }];
+}
+
+/**
+ * Convert text into a normalized render model: a small typed tree of block
+ * nodes built from the detected format, so that chat, email or PDF
+ * renderers can share one representation.
+ *
+ * Node types are `paragraph`, `heading`, `list`, `quote`, `rule`, `code`,
+ * `preformatted` (ASCII art, logs and terminal output, whitespace
+ * preserved), `table` and `data`. Every node has a 1-based, inclusive
+ * startLine and endLine. Inline markdown is left in the node text as is.
+ * @param {string} text - The text to convert
+ * @param {Object} [options] - Detection options, as for detectTextFormat
+ * @returns {Object} Document node with the detected format and subformat,
+ *   and the block nodes as children
+ */
+export function toRenderModel(text, options) {
+  defaultDetector ??= createDetector();
+  const raw = typeof text === 'string' ? text : '';
+  const result = defaultDetector.detect(raw, options);
+  const lines = stripAnsi(raw)
+    .split(/\r\n?|\n/)
+    .map((line, i) => ({ text: line, number: i + 1 }));
+  // Trailing blank lines carry nothing to render
+  while (lines.length > 1 && !lines.at(-1).text.trim()) lines.pop();
+
+  return {
+    type: 'document',
+    format: result.text_format,
+    subformat: result.subformat ?? null,
+    children: raw.trim() ? buildNodes(result, raw, lines) : [],
+  };
+}
@@ -0,0 +1,117 @@
+import {
+  asciiArtScore,
+  classifyScores,
+  codeLikePenalty,
+  codeScore,
+  markdownScore,
+} from './heuristics.js';
+import { findFences } from './fences.js';
+import { splitLines } from './lines.js';
+
+// Lines on each side of the line being classified
+const WINDOW_RADIUS = 2;
+
+/**
+ * Score a chunk of text with the whole-text heuristics
+ * @param {string} text - The text to score
+ * @returns {Object} Final ascii, markdown and code scores
+ */
+function scoreWindow(text) {
+  const a = asciiArtScore(text);
+  const m = markdownScore(text);
+
+  return {
+    asciiArt: Math.max(0, a.score - codeLikePenalty(text)),
+    markdown: m.score,
+    code: codeScore(text).score,
+  };
+}
+
+/**
+ * Label every line of a run of non-blank lines using a sliding window
+ * @param {Array<Object>} lines - All lines of the text
+ * @param {Array<string|null>} labels - Per-line labels, filled in place
+ * @param {number} from - First line index of the run
+ * @param {number} to - Line index just past the run
+ */
+function labelBlock(lines, labels, from, to) {
+  const size = Math.min(WINDOW_RADIUS * 2 + 1, to - from);
+
+  for (let i = from; i < to; i++) {
+    const start = Math.min(Math.max(from, i - WINDOW_RADIUS), to - size);
+    const window = lines
+      .slice(start, start + size)
+      .map((l) => l.text)
+      .join('\n');
+    const { asciiArt, markdown, code } = scoreWindow(window);
+
+    labels[i] = classifyScores(asciiArt, markdown, code);
+  }
+}
+
+/**
+ * Split mixed text into consecutive regions of a single format
+ * @param {string} text - The text to segment
+ * @returns {Array<Object>} Ordered regions with character offsets, 1-based
+ *   line range, format and scores
+ */
+export function segmentTextFormat(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return [];
+  }
+
+  const lines = splitLines(text);
+  const labels = new Array(lines.length).fill(null);
+
+  // Fenced blocks are code regardless of what the window scores say
+  for (const fence of findFences(lines.map((l) => l.text))) {
+    const last = fence.closed ? fence.close : lines.length - 1;
+    labels.fill('code', fence.open, last + 1);
+  }
+
+  const isOpen = (i) => !labels[i] && lines[i].text.trim() !== '';
+
+  for (let i = 0; i < lines.length; ) {
+    if (!isOpen(i)) {
+      i++;
+      continue;
+    }
+    let j = i;
+    while (j < lines.length && isOpen(j)) j++;
+    labelBlock(lines, labels, i, j);
+    i = j;
+  }
+
+  // Blank lines belong to the region before them (or after, at the start)
+  const firstLabel = labels.find(Boolean);
+  for (let i = 0; i < labels.length; i++) {
+    if (!labels[i]) labels[i] = i === 0 ? firstLabel : labels[i - 1];
+  }
+
+  const regions = [];
+  let from = 0;
+
+  for (let i = 1; i <= lines.length; i++) {
+    if (i < lines.length && labels[i] === labels[from]) continue;
+
+    const start = lines[from].start;
+    const end = i < lines.length ? lines[i].start : text.length;
+    const scores = scoreWindow(text.slice(start, end));
+
+    regions.push({
+      start,
+      end,
+      startLine: from + 1,
+      endLine: i,
+      text_format: labels[from],
+      scores: {
+        asciiArt: Number(scores.asciiArt.toFixed(3)),
+        markdown: Number(scores.markdown.toFixed(3)),
+        code: Number(scores.code.toFixed(3)),
+      },
+    });
+    from = i;
+  }
+
+  return regions;
+}
@@ -0,0 +1,291 @@
+import { Transform } from 'node:stream';
+import { matchFence } from './fences.js';
+import { MD } from './heuristics.js';
+import { createDetector } from './registry.js';
+import { displayWidth } from './width.js';
+
+// Markdown features that show on a single line; fences are tracked apart
+const LINE_FEATURES = [
+  'heading',
+  'list',
+  'blockquote',
+  'inlineCode',
+  'link',
+  'image',
+  'tableRow',
+  'tableAlign',
+  'hr',
+  'emphasis',
+  'html',
+];
+
+// Detect again once the text has grown by this factor since the last
+// detection, which keeps the total work linear in the length of the stream
+const GROWTH = 1.25;
+
+// A line break, except a \r at the very end that may be half of a \r\n
+const LINE_BREAK_RE = /\r\n|\r(?!$)|\n/;
+
+let defaultDetector = null;
+
+/**
+ * Create a detector for text that arrives in chunks, such as a streamed LLM
+ * response. Line statistics, fence state and the markdown features seen so
+ * far are kept between chunks; the whole text is only scored again when a
+ * line brings a new markdown feature, closes the first fence or has grown
+ * the text enough, and never while a fence is open. A label is reported
+ * once `stability` detections in a row agree on it, or at once when a fence
+ * closes or the stream ends.
+ * @param {Object} [config] - Stream configuration
+ * @param {Object} [config.detector] - Detector from createDetector; defaults
+ *   to one with the built-in plugins
+ * @param {Object} [config.options] - Options for every detection
+ * @param {number} [config.stability] - Detections in a row that have to
+ *   agree before the label changes (default 2)
+ * @returns {Object} Stream detector with push, end, on, state, result,
+ *   toWebStream and toNodeStream
+ */
+export function createStreamDetector({
+  detector,
+  options,
+  stability = 2,
+} = {}) {
+  if (!Number.isInteger(stability) || stability < 1) {
+    throw new TypeError('stability must be a positive integer');
+  }
+  detector ??= defaultDetector ??= createDetector();
+
+  const listeners = { change: new Set(), end: new Set() };
+  const features = new Set();
+  let text = '';
+  // The last line, until its line break arrives, and whether it ends in a
+  // \r that may be half of a \r\n
+  let partial = '';
+  let pendingReturn = false;
+  let lines = 0;
+  let sum = 0;
+  let sumSquares = 0;
+  let fence = null;
+  let fencesClosed = 0;
+  let detectedAt = 0;
+  let label = 'plain';
+  let candidate = null;
+  let agreeing = 0;
+  let result = null;
+  let ended = false;
+
+  const emit = (event, payload) => {
+    listeners[event].forEach((listener) => listener(payload));
+  };
+
+  /**
+   * Score the text up to the last complete line, or all of it once the
+   * stream has ended, and move the label when the result has settled
+   * @param {boolean} settled - Whether the result can be trusted at once
+   */
+  const detect = (settled) => {
+    result = detector.detect(
+      text.slice(0, text.length - partial.length),
+      options
+    );
+    detectedAt = text.length;
+
+    const format = result.text_format;
+    agreeing = format === candidate ? agreeing + 1 : 1;
+    candidate = format;
+    if (format !== label && (settled || agreeing >= stability)) {
+      const previous = label;
+      label = format;
+      emit('change', { text_format: format, previous, result });
+    }
+  };
+
+  /**
+   * Update the line statistics, fence state and markdown features
+   * @param {string} line - A complete line
+   * @returns {boolean} True when the line makes a detection worthwhile
+   */
+  const readLine = (line) => {
+    lines++;
+    const width = displayWidth(line);
+    sum += width;
+    sumSquares += width * width;
+
+    const match = matchFence(line, fence);
+    if (match?.close) {
+      fence = null;
+      return ++fencesClosed === 1;
+    }
+    if (match) {
+      fence = { ...match, line: lines };
+      return false;
+    }
+    if (fence) return false;
+
+    let found = false;
+    for (const name of LINE_FEATURES) {
+      if (!features.has(name) && MD[name].test(line)) {
+        features.add(name);
+        found = true;
+      }
+    }
+    return found;
+  };
+
+  const stream = {
+    /**
+     * Add the next chunk of text
+     * @param {string} chunk - Text to append
+     * @returns {Object} The stream state after the chunk, see `state`
+     */
+    push(chunk) {
+      if (ended) throw new Error('Stream detector has already ended');
+      if (typeof chunk !== 'string') {
+        throw new TypeError('chunk must be a string');
+      }
+
+      text += chunk;
+      // Only the chunk can complete a line, so a long line streamed token
+      // by token is not searched again for every token
+      if (!pendingReturn && !/[\r\n]/.test(chunk)) {
+        partial += chunk;
+        return stream.state;
+      }
+      const complete = (partial + chunk).split(LINE_BREAK_RE);
+      partial = complete.pop();
+      pendingReturn = partial.endsWith('\r');
+      if (!complete.length) return stream.state;
+
+      const closedBefore = fencesClosed;
+      let worthwhile = false;
+      for (const line of complete) worthwhile = readLine(line) || worthwhile;
+
+      if (!fence && (worthwhile || text.length >= detectedAt * GROWTH)) {
+        // The first closed fence decides between code and markdown
+        detect(closedBefore === 0 && fencesClosed > 0);
+      }
+      return stream.state;
+    },
+
+    /**
+     * Finish the stream, detecting the format of the whole text
+     * @returns {Object} Detection result for the whole text
+     */
+    end() {
+      if (ended) return result;
+      if (partial) readLine(partial.replace(/\r$/, ''));
+      partial = '';
+      detect(true);
+      ended = true;
+      emit('end', result);
+      return result;
+    },
+
+    /**
+     * Listen for label changes or the end of the stream
+     * @param {string} event - `'change'`, called with { text_format,
+     *   previous, result }, or `'end'`, called with the final result
+     * @param {Function} listener - Function to call
+     * @returns {Function} Removes the listener again
+     */
+    on(event, listener) {
+      if (!Object.hasOwn(listeners, event)) {
+        throw new TypeError(`Unknown event "${event}"`);
+      }
+      if (typeof listener !== 'function') {
+        throw new TypeError('listener must be a function');
+      }
+      listeners[event].add(listener);
+      return () => listeners[event].delete(listener);
+    },
+
+    /**
+     * The stable label and what is known about the text so far
+     * @returns {Object} Stream state
+     */
+    get state() {
+      const mean = lines ? sum / lines : 0;
+      return {
+        text_format: label,
+        candidate,
+        ended,
+        openFence: fence && { ...fence },
+        features: [...features],
+        stats: {
+          lines,
+          mean,
+          std: Math.sqrt(Math.max(0, sumSquares / (lines || 1) - mean * mean)),
+        },
+        length: text.length,
+      };
+    },
+
+    /**
+     * Result of the latest detection of the whole text
+     * @returns {Object|null} Detection result, or null before the first one
+     */
+    get result() {
+      return result;
+    },
+
+    /**
+     * Wrap the detector in a WHATWG TransformStream that passes the chunks
+     * through unchanged; bytes are decoded as UTF-8
+     * @returns {TransformStream} Stream that feeds this detector
+     */
+    toWebStream() {
+      const decoder = new TextDecoder();
+      return new TransformStream({
+        transform(chunk, controller) {
+          stream.push(
+            typeof chunk === 'string'
+              ? chunk
+              : decoder.decode(chunk, { stream: true })
+          );
+          controller.enqueue(chunk);
+        },
+        flush() {
+          const rest = decoder.decode();
+          if (rest) stream.push(rest);
+          stream.end();
+        },
+      });
+    },
+
+    /**
+     * Wrap the detector in a Node Transform stream that passes the chunks
+     * through unchanged; buffers are decoded as UTF-8
+     * @returns {Transform} Stream that feeds this detector
+     */
+    toNodeStream() {
+      const decoder = new TextDecoder();
+      return new Transform({
+        decodeStrings: false,
+        transform(chunk, _encoding, callback) {
+          try {
+            stream.push(
+              typeof chunk === 'string'
+                ? chunk
+                : decoder.decode(chunk, { stream: true })
+            );
+            callback(null, chunk);
+          } catch (error) {
+            callback(error);
+          }
+        },
+        flush(callback) {
+          try {
+            const rest = decoder.decode();
+            if (rest) stream.push(rest);
+            stream.end();
+            callback();
+          } catch (error) {
+            callback(error);
+          }
+        },
+      });
+    },
+  };
+
+  return stream;
+}
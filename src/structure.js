@@ -0,0 +1,530 @@
+import { detectFrontMatter } from './config.js';
+import { matchFence } from './fences.js';
+import { MD } from './heuristics.js';
+import { splitRow } from './render.js';
+
+const LIST_RE = /^([ \t]*)([-*+]|\d{1,9}[.)])(?:([ \t]+)|$)/;
+const TASK_RE = /^\[[ xX]\](?=[ \t]|$)/;
+const HEADING_RE = /^ {0,3}#{1,6}(?=[ \t]|$)/;
+const RULE_RE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const QUOTE_RE = /^ {0,3}(?:>[ \t]?)+/;
+const DEFINITION_RE = /^ {0,3}\[([^[\]]+)\]:[ \t]*\S/;
+// Inline HTML tags and <autolinks>, whose content is not markdown
+const TAG_RE = /<(?:[A-Za-z][\w+.-]*:[^\s<>]*|\/?[A-Za-z][^<>\n]*)>/y;
+// Bare URLs, where underscores and brackets are part of the address
+const URL_RE = /(?:https?:\/\/|www\.)[^\s<>]*/y;
+const SPACE_RE = /\s/;
+const PUNCTUATION_RE = /[\p{P}\p{S}]/u;
+
+/**
+ * Width of the indentation of a line, with tabs to the next multiple of 4
+ * @param {string} line - The line
+ * @returns {number} Columns before the first character that is no space
+ */
+function indentOf(line) {
+  let width = 0;
+  for (const char of line) {
+    if (char === ' ') width++;
+    else if (char === '\t') width += 4 - (width % 4);
+    else break;
+  }
+  return width;
+}
+
+/**
+ * Normalize a link label for matching references with definitions
+ * @param {string} label - Label as written
+ * @returns {string} Case-folded label with collapsed whitespace
+ */
+function normalizeLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Read a list item line
+ * @param {string} line - The line
+ * @returns {Object|null} Marker, indent and the column its content starts
+ *   at, or null when the line is no list item
+ */
+function readItem(line) {
+  const match = LIST_RE.exec(line);
+  if (!match || RULE_RE.test(line)) return null;
+  const indent = indentOf(match[1]);
+  const gap = match[3] ? indentOf(match[3]) : 0;
+  // A gap of 5 or more opens indented code, leaving the item 1 space wide
+  const width = gap >= 1 && gap <= 4 ? gap : 1;
+  return {
+    indent,
+    content: indent + match[2].length + width,
+    marker: match[2].length === 1 ? match[2] : match[2].slice(-1),
+    length: match[0].length,
+  };
+}
+
+/**
+ * Check a table: a header, an alignment row under it, and rows with as
+ * many cells as the header
+ * @param {Array<Object>} rows - Lines of the table as { text, number }
+ * @param {Function} report - Records an issue
+ * @returns {boolean} Whether the table is well-formed
+ */
+function checkTable(rows, report) {
+  const [header, align] = rows;
+  const columns = splitRow(header.text).length;
+  let valid = true;
+
+  if (!align || !MD.tableAlign.test(align.text)) {
+    report(
+      'table-alignment',
+      header,
+      1,
+      `table at line ${header.number} has no alignment row`
+    );
+    valid = false;
+  }
+
+  for (const row of rows.slice(1)) {
+    const cells = splitRow(row.text).length;
+    if (cells !== columns) {
+      report(
+        'table-columns',
+        row,
+        1,
+        `table row at line ${row.number} has ${cells} cells, the header has ${columns}`
+      );
+      valid = false;
+    }
+  }
+  return valid;
+}
+
+/**
+ * Pair up the backtick runs of a text the way code spans are read: a run
+ * opens a span that the next run of the same length closes
+ * @param {string} text - The text to scan
+ * @returns {Map<number, number>} End of the span per opening offset, or -1
+ *   for runs that close nothing
+ */
+function codeSpans(text) {
+  const spans = new Map();
+  const open = new Map();
+  const runRe = /`+/g;
+  let match;
+
+  while ((match = runRe.exec(text))) {
+    const { length } = match[0];
+    if (text[match.index - 1] === '\\') continue;
+    if (open.has(length)) {
+      spans.set(open.get(length), match.index + length);
+      spans.set(match.index, match.index + length);
+      open.delete(length);
+    } else {
+      open.set(length, match.index);
+    }
+  }
+  for (const start of open.values()) spans.set(start, -1);
+  return spans;
+}
+
+/**
+ * Pair up parentheses, skipping escaped ones
+ * @param {string} text - The text to scan
+ * @returns {Map<number, number>} Offset of the closing parenthesis per
+ *   opening one
+ */
+function matchParens(text) {
+  const pairs = new Map();
+  const stack = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === '(') stack.push(i);
+    else if (text[i] === ')' && stack.length) pairs.set(stack.pop(), i);
+  }
+  return pairs;
+}
+
+/**
+ * Check the inline syntax of a run of lines that belong together: code
+ * spans, emphasis and strikethrough delimiters, brackets and links
+ * @param {Array<Object>} segments - Lines as { text, number, column }, with
+ *   the 1-based column their text starts at
+ * @param {Object} state - Definitions, references, valid count and report
+ */
+function scanInline(segments, state) {
+  const text = segments.map((s) => s.text).join('\n');
+  const starts = [];
+  segments.reduce((offset, s) => {
+    starts.push(offset);
+    return offset + s.text.length + 1;
+  }, 0);
+
+  // Offset of the group text to the line and column it came from
+  const at = (offset) => {
+    let i = starts.length - 1;
+    while (starts[i] > offset) i--;
+    return [segments[i], segments[i].column + offset - starts[i]];
+  };
+  const report = (rule, offset, message) => {
+    const [segment, column] = at(offset);
+    state.report(rule, segment, column, `${message} at line ${segment.number}`);
+  };
+
+  const spans = codeSpans(text);
+  const parens = matchParens(text);
+  const delimiters = { '*': [], _: [], '~': [] };
+  const brackets = [];
+
+  // Record a full, collapsed or footnote reference
+  const reference = (label, offset) => {
+    const [segment, column] = at(offset);
+    state.references.push({ label, segment, column });
+  };
+
+  // Open or close emphasis with a delimiter run, by the flanking rules
+  const delimit = (char, start, end) => {
+    const before = text[start - 1] ?? '\n';
+    const after = text[end] ?? '\n';
+    const spaceBefore = SPACE_RE.test(before);
+    const spaceAfter = SPACE_RE.test(after);
+    const punctBefore = PUNCTUATION_RE.test(before);
+    const punctAfter = PUNCTUATION_RE.test(after);
+    const left = !spaceAfter && (!punctAfter || spaceBefore || punctBefore);
+    const right = !spaceBefore && (!punctBefore || spaceAfter || punctAfter);
+    // Underscores inside words are no delimiters
+    const opens = char === '_' ? left && (!right || punctBefore) : left;
+    const closes = char === '_' ? right && (!left || punctAfter) : right;
+
+    const stack = delimiters[char];
+    if (closes && stack.length) {
+      stack.pop();
+      state.valid++;
+    } else if (opens) {
+      stack.push({ offset: start, ambiguous: closes });
+    }
+  };
+
+  // Close a bracket, reading the link, reference or footnote it ends, and
+  // return the offset to go on from
+  const closeBracket = (open, close) => {
+    const label = text.slice(open + 1, close);
+    const next = text[close + 1];
+
+    if (next === '(') {
+      if (!parens.has(close + 1)) {
+        report('unclosed-link', open, 'unclosed link destination');
+        return close + 2;
+      }
+      state.valid++;
+      return parens.get(close + 1) + 1;
+    }
+    if (next === '[') {
+      const end = text.indexOf(']', close + 2);
+      const inner = text.slice(close + 2, end);
+      if (end !== -1 && !/[[\n]/.test(inner)) {
+        reference(inner || label, open);
+        return end + 1;
+      }
+    } else if (label.startsWith('^')) {
+      reference(label, open);
+    } else if (state.definitions.has(normalizeLabel(label))) {
+      // A shortcut reference, which is plain text without a definition
+      state.valid++;
+    }
+    return close + 1;
+  };
+
+  for (let i = 0; i < text.length; ) {
+    const char = text[i];
+
+    if (char === '\\') {
+      i += 2;
+    } else if (char === '`') {
+      let end = i;
+      while (text[end] === '`') end++;
+      const close = spans.get(i);
+      if (close === -1) report('unclosed-code', i, 'unclosed code span');
+      if (close > end) state.valid++;
+      i = close > end ? close : end;
+    } else if (char === '<' && ((TAG_RE.lastIndex = i), TAG_RE.test(text))) {
+      i = TAG_RE.lastIndex;
+    } else if (
+      (char === 'h' || char === 'w') &&
+      !/\w/.test(text[i - 1] ?? '') &&
+      ((URL_RE.lastIndex = i), URL_RE.test(text))
+    ) {
+      i = URL_RE.lastIndex;
+    } else if (char === '*' || char === '_' || char === '~') {
+      let end = i;
+      while (text[end] === char) end++;
+      // Only double tildes strike through
+      if (char !== '~' || end - i === 2) {
+        delimit(char, i, end);
+      }
+      i = end;
+    } else if (char === '[') {
+      brackets.push(i++);
+    } else if (char === ']' && brackets.length) {
+      i = closeBracket(brackets.pop(), i);
+    } else {
+      i++;
+    }
+  }
+
+  for (const offset of brackets) {
+    report('unclosed-bracket', offset, 'unclosed "["');
+  }
+  for (const [char, stack] of Object.entries(delimiters)) {
+    const marker = char === '~' ? '~~' : char;
+    for (const { offset, ambiguous } of stack) {
+      // Runs inside words, as in "2*3", may stand for themselves
+      if (!ambiguous)
+        report('unclosed-emphasis', offset, `unclosed "${marker}"`);
+    }
+  }
+}
+
+/**
+ * Place an item in an open list and check its indentation and marker
+ * @param {Object} list - The list, as { stack, valid } with the open item
+ *   of every level in `stack`
+ * @param {Object} item - The item, as read by readItem
+ * @param {Object} line - Its line
+ * @param {Function} report - Records an issue
+ */
+function nestItem(list, item, line, report) {
+  const { stack } = list;
+  const fail = (rule, message) => {
+    report(rule, line, item.indent + 1, message);
+    list.valid = false;
+  };
+
+  while (stack.length > 1 && item.indent < stack.at(-1).indent) stack.pop();
+  const top = stack.at(-1);
+
+  if (item.indent >= top.content) {
+    if (item.indent >= top.content + 4) {
+      fail(
+        'list-indent',
+        `list item at line ${line.number} is indented too far under line ${top.line.number}`
+      );
+    }
+    stack.push({ ...item, line });
+    return;
+  }
+
+  if (item.indent > top.indent) {
+    fail(
+      'list-indent',
+      `list item at line ${line.number} needs ${top.content} spaces of indentation to nest under line ${top.line.number}`
+    );
+  } else if (item.marker !== top.marker) {
+    fail(
+      'list-marker',
+      `list item at line ${line.number} uses "${item.marker}" where line ${top.line.number} uses "${top.marker}"`
+    );
+  }
+  stack[stack.length - 1] = { ...item, line };
+}
+
+/**
+ * Check the structure of a markdown text rather than isolated features:
+ * fences must close, tables need an alignment row and consistent columns,
+ * nested list items must be indented to the content of their parent,
+ * emphasis delimiters and brackets must pair, links must close and
+ * references need definitions.
+ * @param {string} text - The text to check
+ * @returns {Object} `structureScore`, the share of the checked constructs
+ *   that are well-formed (0 when there are none), and the `issues` found
+ *   as { rule, message, line, column }, in document order
+ */
+export function validateMarkdown(text) {
+  const source = typeof text === 'string' ? text : '';
+  const lines = source
+    .split(/\r\n?|\n/)
+    .map((line, i) => ({ text: line, number: i + 1 }));
+  const issues = [];
+  const state = {
+    valid: 0,
+    definitions: new Set(),
+    references: [],
+    report(rule, line, column, message) {
+      issues.push({ rule, message, line: line.number, column });
+    },
+  };
+
+  const front = detectFrontMatter(source);
+  const body = lines.slice(front ? front.endLine : 0);
+  for (const { text: line } of body) {
+    const definition = DEFINITION_RE.exec(line);
+    if (definition) state.definitions.add(normalizeLabel(definition[1]));
+  }
+
+  const groups = [];
+  let group = [];
+  const flush = () => {
+    if (group.length) groups.push(group);
+    group = [];
+  };
+
+  let list = null;
+  const endList = () => {
+    if (list && list.valid) state.valid++;
+    list = null;
+  };
+
+  let table = [];
+  const endTable = () => {
+    if (table.length && checkTable(table, state.report)) state.valid++;
+    table = [];
+  };
+
+  for (let i = 0; i < body.length; i++) {
+    const line = body[i];
+    const previous = body[i - 1];
+    const blankBefore = !previous || !previous.text.trim();
+
+    if (!line.text.trim()) {
+      flush();
+      endTable();
+      continue;
+    }
+
+    const fence = matchFence(line.text, null);
+    if (fence) {
+      flush();
+      endTable();
+      let close = i + 1;
+      while (close < body.length && !matchFence(body[close].text, fence)) {
+        close++;
+      }
+      if (close === body.length) {
+        state.report(
+          'unclosed-fence',
+          line,
+          indentOf(line.text) + 1,
+          `unclosed fence at line ${line.number}`
+        );
+      } else {
+        state.valid++;
+      }
+      i = close;
+      continue;
+    }
+
+    const indent = indentOf(line.text);
+    const item = readItem(line.text);
+
+    // Indented code, unless the indentation continues a list item
+    if (!list && !item && indent >= 4 && blankBefore) {
+      flush();
+      while (
+        i + 1 < body.length &&
+        (!body[i + 1].text.trim() || indentOf(body[i + 1].text) >= 4)
+      ) {
+        i++;
+      }
+      continue;
+    }
+
+    if (item) {
+      flush();
+      endTable();
+      // Another marker at the top level after a blank line starts a new list
+      const first = list?.stack[0];
+      if (
+        first &&
+        blankBefore &&
+        item.indent <= first.indent &&
+        item.marker !== first.marker
+      ) {
+        endList();
+      }
+      if (list) nestItem(list, item, line, state.report);
+      else list = { stack: [{ ...item, line }], valid: true };
+      const rest = line.text.slice(item.length);
+      const task = TASK_RE.exec(rest);
+      const skip = item.length + (task ? task[0].length : 0);
+      group.push({
+        text: line.text.slice(skip),
+        number: line.number,
+        column: skip + 1,
+      });
+      continue;
+    }
+
+    // A line at the margin after a blank line ends the list
+    if (list && indent < 2 && blankBefore) endList();
+
+    if (DEFINITION_RE.test(line.text)) {
+      flush();
+      continue;
+    }
+
+    const heading = HEADING_RE.exec(line.text);
+    if (heading || RULE_RE.test(line.text)) {
+      flush();
+      endTable();
+      endList();
+      if (heading) {
+        groups.push([
+          {
+            text: line.text.slice(heading[0].length),
+            number: line.number,
+            column: heading[0].length + 1,
+          },
+        ]);
+      }
+      continue;
+    }
+
+    const isTableLine =
+      line.text.includes('|') &&
+      !QUOTE_RE.test(line.text) &&
+      (table.length ||
+        MD.tableAlign.test(body[i + 1]?.text ?? '') ||
+        (/^[ \t]*\|/.test(line.text) && body[i + 1]?.text.includes('|')));
+    if (isTableLine) {
+      flush();
+      table.push(line);
+      // Alignment rows hold no inline syntax
+      if (!MD.tableAlign.test(line.text) || table.length !== 2) {
+        groups.push([{ text: line.text, number: line.number, column: 1 }]);
+      }
+      continue;
+    }
+    endTable();
+
+    const quote = QUOTE_RE.exec(line.text);
+    const skip = quote ? quote[0].length : 0;
+    group.push({
+      text: line.text.slice(skip),
+      number: line.number,
+      column: skip + 1,
+    });
+  }
+  flush();
+  endTable();
+  endList();
+
+  for (const segments of groups) scanInline(segments, state);
+
+  for (const { label, segment, column } of state.references) {
+    if (state.definitions.has(normalizeLabel(label))) {
+      state.valid++;
+    } else {
+      state.report(
+        'undefined-reference',
+        segment,
+        column,
+        `reference "[${label}]" at line ${segment.number} has no definition`
+      );
+    }
+  }
+
+  issues.sort((a, b) => a.line - b.line || a.column - b.column);
+  const checked = state.valid + issues.length;
+  return {
+    structureScore: checked ? Number((state.valid / checked).toFixed(3)) : 0,
+    issues,
+  };
+}
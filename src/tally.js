@@ -0,0 +1,74 @@
+/**
+ * Round a measured value, or each value of an object, for reporting
+ * @param {*} value - Number, boolean, list or object of numbers
+ * @returns {*} The value with numbers rounded to three decimals
+ */
+function roundValue(value) {
+  if (typeof value === 'number') return Number(value.toFixed(3));
+  if (Array.isArray(value)) return value.map(roundValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, roundValue(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Collect the heuristic checks of a scorer and the score of those that hold.
+ * A check with a `weight` of null is a feature that is reported but does
+ * not add to the score.
+ * @param {Object} weights - Weight per check name
+ * @returns {Object} Tally with `score`, `reasons` and `checks` so far, and
+ *   add(name, passed, { value, threshold, weight, lines }) to record a check
+ */
+export function createTally(weights) {
+  const tally = {
+    score: 0,
+    reasons: [],
+    checks: [],
+    add(
+      name,
+      passed,
+      { value, threshold, weight = weights[name] ?? 0, lines }
+    ) {
+      tally.checks.push({
+        name,
+        passed,
+        value: roundValue(value),
+        threshold,
+        weight,
+        contribution: weight === null ? null : passed ? weight : 0,
+        ...(lines && { lines }),
+      });
+      if (passed) {
+        tally.score += weight ?? 0;
+        tally.reasons.push(name);
+      }
+    },
+  };
+  return tally;
+}
+
+/**
+ * Result of a scorer for text too short to judge
+ * @param {number} count - Number of lines in the text
+ * @param {number} min - Lines the scorer needs
+ * @returns {Object} Zero score with the failed line count check
+ */
+export function tooFewLines(count, min) {
+  return {
+    score: 0,
+    reasons: ['too_few_lines'],
+    checks: [
+      {
+        name: 'too_few_lines',
+        passed: true,
+        value: count,
+        threshold: `< ${min}`,
+        weight: 0,
+        contribution: 0,
+      },
+    ],
+  };
+}
@@ -0,0 +1,127 @@
+// Code points that East Asian Width rules give two columns (Wide and
+// Fullwidth), as [first, last] ranges in ascending order
+const WIDE_RANGES = [
+  [0x1100, 0x115f], // Hangul Jamo initial consonants
+  [0x231a, 0x231b],
+  [0x2329, 0x232a],
+  [0x2e80, 0x303e], // CJK radicals, symbols and punctuation
+  [0x3041, 0x33ff], // Kana, Bopomofo, Hangul compatibility Jamo, CJK
+  [0x3400, 0x4dbf], // CJK extension A
+  [0x4e00, 0x9fff], // CJK unified ideographs
+  [0xa000, 0xa4cf], // Yi
+  [0xa960, 0xa97f],
+  [0xac00, 0xd7a3], // Hangul syllables
+  [0xf900, 0xfaff], // CJK compatibility ideographs
+  [0xfe10, 0xfe19],
+  [0xfe30, 0xfe6f], // CJK compatibility and small form variants
+  [0xff00, 0xff60], // Fullwidth forms
+  [0xffe0, 0xffe6],
+  [0x16fe0, 0x16fe4],
+  [0x17000, 0x18cff], // Tangut
+  [0x1b000, 0x1b2ff], // Kana supplement and extensions
+  [0x1f200, 0x1f2ff], // Enclosed ideographic supplement
+  [0x20000, 0x3fffd], // CJK extensions B and later
+];
+
+// Emoji drawn as pictures rather than text, and marks that take no column
+const EMOJI_RE = /\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F/u;
+const ZERO_WIDTH_RE = /^[\p{Mn}\p{Me}\p{Cf}]/u;
+// Lines without combining marks or wide characters take one column per
+// code unit
+const NARROW_RE = /^[\t -\u02ff]*$/;
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+// Code units to segment at once, and the most to segment where no grapheme
+// is sure to start, as in a line of emoji
+const CHUNK = 64;
+const MAX_CHUNK = 1024;
+
+/**
+ * Check whether a code point is Wide or Fullwidth
+ * @param {number} cp - Code point
+ * @returns {boolean} True when it takes two columns
+ */
+function isWide(cp) {
+  let lo = 0;
+  let hi = WIDE_RANGES.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const [first, last] = WIDE_RANGES[mid];
+    if (cp < first) hi = mid - 1;
+    else if (cp > last) lo = mid + 1;
+    else return true;
+  }
+  return false;
+}
+
+/**
+ * Check whether a grapheme always starts at a code unit: ASCII and Latin
+ * letters, line separators, kana and CJK ideographs never extend the
+ * character before them
+ * @param {string} line - The line
+ * @param {number} i - Offset of the code unit
+ * @returns {boolean} True when a grapheme starts there
+ */
+function startsGrapheme(line, i) {
+  const c = line.charCodeAt(i);
+  return (
+    c < 0x300 ||
+    c === 0x2028 ||
+    c === 0x2029 ||
+    (c >= 0x3041 && c <= 0x3096) ||
+    (c >= 0x30a1 && c <= 0x30fa) ||
+    (c >= 0x3400 && c <= 0x4dbf) ||
+    (c >= 0x4e00 && c <= 0x9fff)
+  );
+}
+
+/**
+ * Check whether a code unit is the second half of a surrogate pair
+ * @param {number} c - Character code
+ * @returns {boolean} True for a low surrogate
+ */
+function isLowSurrogate(c) {
+  return c >= 0xdc00 && c <= 0xdfff;
+}
+
+/**
+ * Count the columns a grapheme takes in a terminal
+ * @param {string} grapheme - A user-perceived character
+ * @returns {number} 0, 1 or 2
+ */
+function graphemeWidth(grapheme) {
+  if (ZERO_WIDTH_RE.test(grapheme)) return 0;
+  if (isWide(grapheme.codePointAt(0)) || EMOJI_RE.test(grapheme)) return 2;
+  return 1;
+}
+
+/**
+ * Measure a line in terminal columns rather than UTF-16 code units: a
+ * grapheme (a base character with its combining marks, or an emoji
+ * sequence) takes one column, two when it is East Asian Wide or Fullwidth
+ * or an emoji, and none when it is only a zero-width mark. Characters of
+ * ambiguous width take one column, as outside CJK locales.
+ * @param {string} line - Line without its line break
+ * @returns {number} Display columns
+ */
+export function displayWidth(line) {
+  if (NARROW_RE.test(line)) return line.length;
+
+  // V8 segments long strings in quadratic time, so segment pieces of the
+  // line cut where a grapheme cannot continue, or at worst between two
+  // code points
+  let width = 0;
+  let start = 0;
+  for (let i = 1; i <= line.length; i++) {
+    const cut =
+      i === line.length ||
+      (i - start >= CHUNK && startsGrapheme(line, i)) ||
+      (i - start >= MAX_CHUNK && !isLowSurrogate(line.charCodeAt(i)));
+    if (!cut) continue;
+    for (const { segment } of graphemes.segment(line.slice(start, i))) {
+      width += graphemeWidth(segment);
+    }
+    start = i;
+  }
+  return width;
+}
@@ -0,0 +1,14 @@
+import { parentPort, workerData } from 'node:worker_threads';
+import { detectTextFormat } from './index.js';
+
+// Detect each batch of texts detectMany posts, with the options the worker
+// was started with, and post the results back in the same order
+parentPort.on('message', (texts) => {
+  try {
+    parentPort.postMessage({
+      results: texts.map((text) => detectTextFormat(text, workerData.options)),
+    });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
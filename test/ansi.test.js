@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import { ansiToSpans, stripAnsi } from '../src/index.js';
+
+describe('stripAnsi', () => {
+  it('should remove color codes', () => {
+    expect(stripAnsi('\x1B[1;31merror\x1B[0m: failed')).to.equal(
+      'error: failed'
+    );
+  });
+
+  it('should remove cursor, erase and OSC sequences', () => {
+    const text =
+      '\x1B]0;build\x07\x1B[?25l\x1B[2K\x1B[1Gdone\x1B[?25h\n\x1B]8;;https://x.io\x1B\\link\x1B]8;;\x1B\\';
+    expect(stripAnsi(text)).to.equal('done\nlink');
+  });
+
+  it('should resolve carriage-return progress bars to the last frame', () => {
+    const text = 'start\n[==    ] 33%\r[====  ] 66%\r[======] 100%\nend';
+    expect(stripAnsi(text)).to.equal('start\n[======] 100%\nend');
+  });
+
+  it('should keep leftovers unless the line is erased', () => {
+    expect(stripAnsi('working...\rok\n')).to.equal('okrking...\n');
+    expect(stripAnsi('working...\r\x1B[Kok\n')).to.equal('ok\n');
+  });
+
+  it('should keep CRLF and bare CR line breaks', () => {
+    expect(stripAnsi('\x1B[32ma\x1B[0m\r\nb')).to.equal('a\r\nb');
+    expect(stripAnsi('a\rb\rc')).to.equal('a\rb\rc');
+  });
+
+  it('should return an empty string for non-string input', () => {
+    expect(stripAnsi(null)).to.equal('');
+  });
+});
+
+describe('ansiToSpans', () => {
+  it('should split text into styled spans', () => {
+    const spans = ansiToSpans('a\x1B[1;31mb\x1B[22mc\x1B[0md');
+    expect(spans).to.deep.equal([
+      { text: 'a', style: {}, href: null },
+      { text: 'b', style: { bold: true, fg: 'red' }, href: null },
+      { text: 'c', style: { fg: 'red' }, href: null },
+      { text: 'd', style: {}, href: null },
+    ]);
+  });
+
+  it('should read bright, 256-color and truecolor codes', () => {
+    const spans = ansiToSpans(
+      '\x1B[92ma\x1B[38;5;208mb\x1B[48;2;255;0;10mc\x1B[49;39md'
+    );
+    expect(spans.map((s) => s.style)).to.deep.equal([
+      { fg: 'brightGreen' },
+      { fg: 208 },
+      { fg: 208, bg: '#ff000a' },
+      {},
+    ]);
+  });
+
+  it('should attach OSC 8 hyperlinks', () => {
+    const spans = ansiToSpans(
+      'see \x1B]8;;https://example.com\x1B\\docs\x1B]8;;\x1B\\ here'
+    );
+    expect(spans).to.deep.equal([
+      { text: 'see ', style: {}, href: null },
+      { text: 'docs', style: {}, href: 'https://example.com' },
+      { text: ' here', style: {}, href: null },
+    ]);
+  });
+
+  it('should merge text around sequences that change nothing', () => {
+    const spans = ansiToSpans('\x1B[31ma\x1B[2Kb\x1B[31mc');
+    expect(spans).to.deep.equal([
+      { text: 'abc', style: { fg: 'red' }, href: null },
+    ]);
+  });
+});
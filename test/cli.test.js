@@ -0,0 +1,175 @@
+import { expect } from 'chai';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { globToRegExp, main } from '../src/cli.js';
+
+/**
+ * Run the CLI with captured output
+ * @param {string[]} args - Command-line arguments
+ * @param {Object} [io] - Working directory and stdin text
+ * @returns {Promise<Object>} Exit status, stdout and stderr
+ */
+async function run(args, { cwd, input = '' } = {}) {
+  let stdout = '';
+  let stderr = '';
+  const status = await main(args, {
+    cwd,
+    stdin: Readable.from([Buffer.from(input)]),
+    stdout: { write: (s) => (stdout += s) },
+    stderr: { write: (s) => (stderr += s) },
+  });
+  return { status, stdout, stderr };
+}
+
+describe('text-type-detect CLI', () => {
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'text-type-detect-'));
+    await mkdir(join(dir, 'docs', 'nested'), { recursive: true });
+    await mkdir(join(dir, 'node_modules'));
+    await writeFile(join(dir, 'docs', 'guide.md'), '# Guide\n\n- one\n- two\n');
+    await writeFile(
+      join(dir, 'docs', 'nested', 'data.json'),
+      '{"name": "demo", "tags": ["a", "b"]}'
+    );
+    await writeFile(join(dir, 'notes.txt'), 'Just a plain sentence here.\n');
+    await writeFile(join(dir, 'logo.png'), Buffer.from([0x89, 0x50, 0, 0]));
+    await writeFile(join(dir, 'node_modules', 'dep.md'), '# Dependency\n');
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  it('should print a table for files', async () => {
+    const { status, stdout } = await run(['notes.txt', 'docs/guide.md'], {
+      cwd: dir,
+    });
+    const lines = stdout.trim().split('\n');
+
+    expect(status).to.equal(0);
+    expect(lines[0]).to.match(/^FILE\s+FORMAT\s+SUBFORMAT\s+CONFIDENCE$/);
+    expect(lines[1]).to.match(/^notes\.txt\s+plain\s+-\s+0\.\d{3}$/);
+    expect(lines[2]).to.match(/^docs\/guide\.md\s+markdown\b/);
+  });
+
+  it('should read stdin without paths or with -', async () => {
+    for (const args of [
+      ['-o', 'json'],
+      ['-o', 'json', '-'],
+    ]) {
+      const { stdout } = await run(args, { input: '{"a": 1}' });
+      const [record] = JSON.parse(stdout);
+      expect(record).to.include({
+        file: '-',
+        text_format: 'json',
+        subformat: 'json',
+      });
+      expect(record.scores).to.have.property('json', 1);
+    }
+  });
+
+  it('should walk directories, skipping binaries and node_modules', async () => {
+    const { status, stdout } = await run(['-o', 'ndjson', '.'], { cwd: dir });
+    const files = stdout
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line).file);
+
+    expect(status).to.equal(0);
+    expect(files).to.deep.equal([
+      join('docs', 'guide.md'),
+      join('docs', 'nested', 'data.json'),
+      'notes.txt',
+    ]);
+  });
+
+  it('should expand globs', async () => {
+    const { stdout } = await run(['-o', 'ndjson', 'docs/**/*.{md,json}'], {
+      cwd: dir,
+    });
+    const formats = stdout
+      .trim()
+      .split('\n')
+      .map((line) => JSON.parse(line).text_format);
+
+    expect(formats).to.deep.equal(['markdown', 'json']);
+  });
+
+  it('should print the reasons with --explain', async () => {
+    const table = await run(['--explain', 'docs/guide.md'], { cwd: dir });
+    expect(table.stdout).to.match(/\n {4}markdown: heading, list\n/);
+
+    const json = await run(['-e', '-o', 'json', 'docs/guide.md'], { cwd: dir });
+    expect(JSON.parse(json.stdout)[0].reasons.markdown).to.deep.equal([
+      'heading',
+      'list',
+    ]);
+  });
+
+  it('should exit with 1 when --fail-on matches', async () => {
+    const failed = await run(['--fail-on', 'json,csv', '.'], { cwd: dir });
+    expect(failed.status).to.equal(1);
+    expect(failed.stderr).to.include('data.json is json');
+
+    const passed = await run(['--fail-on', 'csv', '.'], { cwd: dir });
+    expect(passed.status).to.equal(0);
+  });
+
+  it('should count formats with --summary', async () => {
+    const { stdout } = await run(['--summary', '-o', 'json', '.'], {
+      cwd: dir,
+    });
+    expect(JSON.parse(stdout)).to.deep.equal({
+      files: 3,
+      formats: { json: 1, markdown: 1, plain: 1 },
+    });
+
+    const table = await run(['-s', '.'], { cwd: dir });
+    expect(table.stdout).to.match(/^total\s+3\s+100\.0%$/m);
+  });
+
+  it('should apply a preset', async () => {
+    const { stdout } = await run(['-p', 'chat', '-o', 'json'], {
+      input: 'Use `npm test` first.',
+    });
+    expect(JSON.parse(stdout)[0].text_format).to.equal('markdown');
+  });
+
+  it('should exit with 2 on errors', async () => {
+    const missing = await run(['missing.txt'], { cwd: dir });
+    expect(missing.status).to.equal(2);
+    expect(missing.stderr).to.include('missing.txt: no such file');
+
+    const binary = await run(['logo.png'], { cwd: dir });
+    expect(binary.status).to.equal(2);
+    expect(binary.stderr).to.include('skipped binary file');
+
+    expect((await run(['--output', 'xml'])).status).to.equal(2);
+    expect((await run(['--preset', 'loud'])).status).to.equal(2);
+    const typo = await run(['--fail-on', 'csv,jsno', '.'], { cwd: dir });
+    expect(typo.status).to.equal(2);
+    expect(typo.stderr).to.include('unknown format "jsno"');
+    expect((await run(['--unknown'])).status).to.equal(2);
+  });
+
+  it('should print the usage with --help', async () => {
+    const { status, stdout } = await run(['--help']);
+    expect(status).to.equal(0);
+    expect(stdout).to.match(/^Usage: text-type-detect/);
+  });
+
+  describe('globToRegExp', () => {
+    it('should match the glob syntax', () => {
+      expect(globToRegExp('*.md').test('a.md')).to.equal(true);
+      expect(globToRegExp('*.md').test('docs/a.md')).to.equal(false);
+      expect(globToRegExp('**/*.md').test('a.md')).to.equal(true);
+      expect(globToRegExp('**/*.md').test('docs/x/a.md')).to.equal(true);
+      expect(globToRegExp('file?.[jt]s').test('file1.ts')).to.equal(true);
+      expect(globToRegExp('[!a]*').test('abc')).to.equal(false);
+      expect(globToRegExp('*.{md,txt}').test('a.txt')).to.equal(true);
+      expect(globToRegExp('a.b').test('axb')).to.equal(false);
+    });
+  });
+});
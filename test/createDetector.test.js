@@ -0,0 +1,217 @@
+import { expect } from 'chai';
+import {
+  builtinDetectors,
+  createDetector,
+  detectTextFormat,
+} from '../src/index.js';
+
+const gcode = {
+  name: 'gcode',
+  priority: 85,
+  threshold: 0.6,
+  score(text, context) {
+    const moves = context.lines.filter((l) => /^G[0-3] [XYZ]/.test(l));
+    return moves.length / context.lines.length >= 0.5
+      ? { score: 0.9, reasons: ['move_commands'] }
+      : { score: 0, reasons: [] };
+  },
+};
+
+const GCODE = `G0 X0 Y0
+G1 X10 Y0 F300
+G1 X10 Y10
+G1 X0 Y10`;
+
+describe('createDetector', () => {
+  describe('built-in detectors', () => {
+    it('should detect the same formats as detectTextFormat', () => {
+      const detector = createDetector();
+      for (const text of ['# Title\n\n- item', '{"a": 1}', 'Just text.']) {
+        expect(detector.detect(text)).to.deep.equal(detectTextFormat(text));
+      }
+    });
+
+    it('should list the built-in detectors by priority', () => {
+      expect(createDetector().list()).to.deep.equal(
+        builtinDetectors.map((d) => d.name)
+      );
+    });
+
+    it('should report every detector score', () => {
+      const result = createDetector().detect('# Title\n\n- item');
+      expect(result.scores).to.have.all.keys(
+        builtinDetectors.map((d) => d.name)
+      );
+      expect(result.scores.markdown).to.equal(result.markdown);
+    });
+  });
+
+  describe('custom detectors', () => {
+    it('should detect a registered format', () => {
+      const detector = createDetector().register(gcode);
+      const result = detector.detect(GCODE);
+      expect(result.text_format).to.equal('gcode');
+      expect(result.scores.gcode).to.equal(0.9);
+      expect(result.reasons.gcode).to.deep.equal(['move_commands']);
+    });
+
+    it('should accept detectors in the factory options', () => {
+      const detector = createDetector({
+        detectors: [...builtinDetectors, gcode],
+      });
+      expect(detector.detect(GCODE).text_format).to.equal('gcode');
+      expect(detector.detect('# Title').text_format).to.equal('markdown');
+    });
+
+    it('should try detectors in priority order', () => {
+      const detector = createDetector({
+        detectors: [
+          { name: 'low', priority: 1, score: () => ({ score: 1 }) },
+          { name: 'high', priority: 2, score: () => ({ score: 1 }) },
+        ],
+      });
+      expect(detector.list()).to.deep.equal(['high', 'low']);
+      expect(detector.detect('anything').text_format).to.equal('high');
+    });
+
+    it('should skip detectors below their threshold', () => {
+      const detector = createDetector({
+        detectors: [{ name: 'weak', score: () => ({ score: 0.4 }) }],
+      });
+      expect(detector.detect('anything').text_format).to.equal('plain');
+    });
+
+    it('should respect the accept hook', () => {
+      const detector = createDetector({
+        detectors: [
+          {
+            name: 'picky',
+            score: () => ({ score: 1 }),
+            accept: (result, context) => context.text.startsWith('!'),
+          },
+        ],
+      });
+      expect(detector.detect('!yes').text_format).to.equal('picky');
+      expect(detector.detect('no').text_format).to.equal('plain');
+    });
+
+    it('should use the format from the result or the detector', () => {
+      const detector = createDetector({
+        detectors: [
+          {
+            name: 'notes',
+            format: 'markdown',
+            score: (text) => ({ score: text.startsWith('>') ? 1 : 0 }),
+          },
+          { name: 'shout', score: () => ({ score: 1, format: 'yell' }) },
+        ],
+      });
+      expect(detector.detect('> quote').text_format).to.equal('markdown');
+      expect(detector.detect('HEY').text_format).to.equal('yell');
+    });
+
+    it('should let detectors build on each other through the context', () => {
+      let calls = 0;
+      const detector = createDetector({
+        detectors: [
+          {
+            name: 'base',
+            priority: 1,
+            score: () => {
+              calls++;
+              return { score: 0.3 };
+            },
+          },
+          {
+            name: 'derived',
+            score: (text, context) => ({
+              score: context.result('base').score * 2,
+            }),
+          },
+        ],
+      });
+      expect(detector.detect('x').text_format).to.equal('derived');
+      expect(calls).to.equal(1);
+    });
+
+    it('should let decorate add fields to the result', () => {
+      const detector = createDetector().register({
+        ...gcode,
+        decorate(output, result) {
+          output.gcode = { moves: result.score > 0 };
+        },
+      });
+      const result = detector.detect(GCODE);
+      expect(result.gcode).to.deep.equal({ moves: true });
+      expect(result.reasons).to.not.have.property('gcode');
+    });
+
+    it('should replace a built-in after unregistering it', () => {
+      const detector = createDetector();
+      expect(detector.unregister('markup')).to.be.true;
+      expect(detector.unregister('markup')).to.be.false;
+      detector.register({
+        name: 'xml',
+        priority: 70,
+        score: (text) => ({ score: text.startsWith('<?xml') ? 1 : 0 }),
+      });
+      expect(detector.detect('<?xml version="1.0"?><a/>').text_format).to.equal(
+        'xml'
+      );
+      expect(detector.detect('<p>Hi</p>').text_format).to.not.equal('html');
+    });
+
+    it('should not affect detectTextFormat', () => {
+      createDetector().register(gcode);
+      expect(detectTextFormat(GCODE).text_format).to.not.equal('gcode');
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject detectors without a name or score function', () => {
+      const detector = createDetector({ detectors: [] });
+      expect(() => detector.register(null)).to.throw(TypeError);
+      expect(() => detector.register({ score: () => ({ score: 1 }) })).to.throw(
+        TypeError,
+        /name/
+      );
+      expect(() => detector.register({ name: 'x' })).to.throw(
+        TypeError,
+        /score/
+      );
+    });
+
+    it('should reject invalid priorities and thresholds', () => {
+      const detector = createDetector({ detectors: [] });
+      const score = () => ({ score: 1 });
+      expect(() =>
+        detector.register({ name: 'x', score, priority: 'high' })
+      ).to.throw(TypeError, /priority/);
+      expect(() =>
+        detector.register({ name: 'x', score, threshold: 2 })
+      ).to.throw(TypeError, /threshold/);
+    });
+
+    it('should reject duplicate names', () => {
+      expect(() =>
+        createDetector().register({ ...gcode, name: 'json' })
+      ).to.throw(/already registered/);
+    });
+
+    it('should reject invalid scores', () => {
+      const detector = createDetector({
+        detectors: [{ name: 'bad', score: () => ({ score: 'high' }) }],
+      });
+      expect(() => detector.detect('x')).to.throw(TypeError, /invalid score/);
+    });
+
+    it('should reject detectors that depend on themselves', () => {
+      const detector = createDetector({
+        detectors: [
+          { name: 'loop', score: (text, context) => context.result('loop') },
+        ],
+      });
+      expect(() => detector.detect('x')).to.throw(/own result/);
+    });
+  });
+});
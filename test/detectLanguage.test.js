@@ -0,0 +1,123 @@
+import { expect } from 'chai';
+import { detectLanguage } from '../src/index.js';
+
+describe('detectLanguage', () => {
+  describe('fence info strings', () => {
+    it('should map aliases to language names', () => {
+      const result = detectLanguage('x = 1', { info: 'py' });
+      expect(result).to.deep.equal({
+        name: 'python',
+        confidence: 1,
+        source: 'info_string',
+      });
+    });
+
+    it('should only use the first word of the info string', () => {
+      const result = detectLanguage('', { info: 'JS title="app.js"' });
+      expect(result.name).to.equal('javascript');
+    });
+
+    it('should accept pandoc-style attribute info strings', () => {
+      expect(detectLanguage('', { info: '{.rust}' }).name).to.equal('rust');
+    });
+
+    it('should pass through unknown info strings', () => {
+      expect(detectLanguage('', { info: 'mermaid' }).name).to.equal('mermaid');
+    });
+  });
+
+  describe('fingerprints', () => {
+    const samples = {
+      javascript: `import fs from 'fs';
+const data = fs.readFileSync('a');
+console.log(data);
+export default () => data === null;`,
+      typescript: `interface User {
+  name: string;
+  age: number;
+}
+export const getName = (u: User): string => u.name;`,
+      python: `import os
+
+def main(args):
+    if args is None:
+        return False
+    print(os.path.join('a', 'b'))`,
+      go: `package main
+
+import "fmt"
+
+func main() {
+	x := 1
+	fmt.Println(x)
+}`,
+      rust: `use std::io;
+
+fn main() {
+    let mut s = String::new();
+    println!("{}", s);
+}`,
+      java: `public class Hello {
+    public static void main(String[] args) {
+        System.out.println("hi");
+    }
+}`,
+      c: `#include <stdio.h>
+
+int main(void) {
+    printf("hi\\n");
+    return 0;
+}`,
+      cpp: `#include <iostream>
+
+int main() {
+    std::cout << "hi" << std::endl;
+    return 0;
+}`,
+      ruby: `require 'json'
+
+class Greeter
+  attr_accessor :name
+  def hello
+    puts "hi"
+  end
+end`,
+      php: `<?php
+function greet($name) {
+    echo "Hello $name";
+}`,
+      shell: `#!/bin/bash
+set -e
+if [ -z "$1" ]; then
+  echo "usage"
+fi`,
+      sql: `SELECT id, name
+FROM users
+WHERE age > 21
+ORDER BY name;`,
+      css: `.container {
+  display: flex;
+  margin: 0 auto;
+  color: #333;
+}`,
+    };
+
+    for (const [name, code] of Object.entries(samples)) {
+      it(`should identify ${name}`, () => {
+        const result = detectLanguage(code);
+        expect(result.name).to.equal(name);
+        expect(result.source).to.equal('fingerprint');
+        expect(result.confidence).to.be.greaterThan(0.5);
+      });
+    }
+
+    it('should return null when nothing looks like code', () => {
+      expect(detectLanguage('Just a friendly sentence.')).to.be.null;
+    });
+
+    it('should keep confidence between 0 and 1', () => {
+      const { confidence } = detectLanguage(samples.go);
+      expect(confidence).to.be.within(0, 1);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import { detectMany, detectTextFormat } from '../src/index.js';
+
+const SAMPLES = [
+  (i) => `# Note ${i}\n\n- one\n- two`,
+  (i) => `{"id": ${i}}`,
+  (i) => `Plain sentence ${i}.`,
+];
+const TEXTS = Array.from({ length: 150 }, (_, i) => SAMPLES[i % 3](i));
+
+describe('detectMany', function () {
+  // Starting worker threads takes a moment on slow machines
+  this.timeout(20000);
+
+  it('should resolve to the results in input order', async () => {
+    const results = await detectMany(TEXTS, { concurrency: 2 });
+
+    expect(results).to.have.length(TEXTS.length);
+    results.forEach((result, i) => {
+      expect(result).to.deep.equal(detectTextFormat(TEXTS[i]));
+    });
+  });
+
+  it('should iterate the results of an async iterable in order', async () => {
+    async function* messages() {
+      for (const text of TEXTS.slice(0, 70)) yield text;
+    }
+
+    const formats = [];
+    for await (const result of detectMany(messages(), { concurrency: 2 })) {
+      formats.push(result.text_format);
+    }
+    expect(formats).to.deep.equal(
+      TEXTS.slice(0, 70).map((text) => detectTextFormat(text).text_format)
+    );
+  });
+
+  it('should stop when iteration ends early', async () => {
+    let read = 0;
+    function* messages() {
+      for (const text of TEXTS) {
+        read++;
+        yield text;
+      }
+    }
+
+    for await (const result of detectMany(messages(), { concurrency: 1 })) {
+      expect(result.text_format).to.equal('markdown');
+      break;
+    }
+    expect(read).to.be.below(TEXTS.length);
+  });
+
+  it('should apply detection options', async () => {
+    const [result] = await detectMany(['Use `npm test` first.'], {
+      concurrency: 1,
+      options: { preset: 'chat' },
+    });
+    expect(result.text_format).to.equal('markdown');
+    expect(result.options.preset).to.equal('chat');
+  });
+
+  it('should treat values that are not strings as empty text', async () => {
+    const [result] = await detectMany([null], { concurrency: 1 });
+    expect(result.text_format).to.equal('plain');
+  });
+
+  it('should resolve to an empty array for empty input', async () => {
+    expect(await detectMany([])).to.deep.equal([]);
+  });
+
+  it('should reject invalid arguments', () => {
+    expect(() => detectMany('text')).to.throw(TypeError, /iterable of texts/);
+    expect(() => detectMany(42)).to.throw(TypeError, /iterable of texts/);
+    expect(() => detectMany([], { concurrency: 0 })).to.throw(
+      TypeError,
+      /concurrency must be a positive integer/
+    );
+    expect(() =>
+      detectMany([], { options: { thresholds: { markdown: 2 } } })
+    ).to.throw(TypeError);
+  });
+});
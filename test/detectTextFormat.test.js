@@ -104,6 +104,14 @@ const x = 42;
       expect(result.reasons.markdown).to.include('tableRow');
     });
 
+    it('should detect a bare table with an alignment row', () => {
+      const text = '| a | b |\n|---|---|\n| 1 | 2 |';
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.markdown).to.equal(result.asciiArt);
+      expect(result.reasons.markdown).to.include('tableAlign');
+    });
+
     it('should detect markdown with horizontal rules', () => {
       const text = `Section 1
 ---
@@ -122,6 +130,133 @@ date: 2024-01-01
       expect(result.text_format).to.equal('markdown');
       expect(result.reasons.markdown).to.include('frontMatter');
     });
+
+    it('should name GitHub Flavored Markdown', () => {
+      const text = `## Release checklist
+
+- [x] Bump the version
+- [ ] ~~Publish the beta~~
+
+| Step | Owner |
+| :--- | ----: |
+| Tag  | Alice |`;
+      const result = detectTextFormat(text);
+      expect(result.flavor).to.equal('gfm');
+      expect(result.reasons.flavor.gfm).to.include.members([
+        'taskList',
+        'strikethrough',
+        'tableAlign',
+      ]);
+    });
+
+    it('should name Obsidian notes', () => {
+      const text = `# Meeting
+
+Attendees: [[Alice]], [[Bob Smith|Bob]]
+
+> [!note] Decisions
+> We move the launch to April.
+
+![[diagram.png]]`;
+      const result = detectTextFormat(text);
+      expect(result.flavor).to.equal('obsidian');
+      expect(result.reasons.flavor.obsidian).to.include.members([
+        'wikiLink',
+        'embed',
+        'callout',
+      ]);
+    });
+
+    it('should name MDX documents', () => {
+      const text = `import { Chart } from '../components/Chart'
+
+# Quarterly sales
+
+Sales grew in every region.
+
+<Chart data={sales} height={300} />`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.flavor).to.equal('mdx');
+    });
+
+    it('should not take fenced code for MDX', () => {
+      const text = `# Usage
+
+\`\`\`js
+import { Chart } from './Chart';
+export const meta = {};
+\`\`\``;
+      const result = detectTextFormat(text);
+      expect(result.flavor).to.equal('commonmark');
+      expect(result.reasons.flavor).to.deep.equal({});
+    });
+
+    it('should default to CommonMark', () => {
+      const result = detectTextFormat('# Title\n\nSome *emphasis* here.');
+      expect(result.flavor).to.equal('commonmark');
+    });
+
+    it('should claim reStructuredText documents', () => {
+      const text = `Installation
+============
+
+Install it with pip::
+
+    pip install example
+
+.. note::
+
+   The configuration file lives in your home directory.
+
+See :ref:\`options\` and \`the project page <https://example.com>\`_.`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.flavor).to.equal('rst');
+      expect(result.reasons.flavor.rst).to.include.members([
+        'directive',
+        'role',
+        'hyperlink',
+      ]);
+    });
+
+    it('should claim AsciiDoc documents', () => {
+      const text = `= User Manual
+:toc:
+
+== Getting Started
+
+NOTE: The first run creates a cache directory.
+
+[source,bash]
+----
+example --init
+----`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.flavor).to.equal('asciidoc');
+    });
+
+    it('should claim Org documents', () => {
+      const text = `#+TITLE: Project Notes
+
+* Tasks
+** TODO Write the parser
+   SCHEDULED: <2024-03-01 Fri>
+
+#+BEGIN_SRC python
+print("hello")
+#+END_SRC`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.flavor).to.equal('org');
+    });
+
+    it('should leave the flavor off other formats', () => {
+      const result = detectTextFormat('{"a": 1}');
+      expect(result).to.not.have.property('flavor');
+      expect(result.reasons).to.not.have.property('flavor');
+    });
   });
 
   describe('ascii art detection', () => {
@@ -206,6 +341,187 @@ But no special formatting or art.`;
       expect(result.text_format).to.equal('plain');
       expect(result.asciiArt).to.be.lessThan(0.4);
     });
+
+    it('should measure line widths in display columns', () => {
+      const text = `+----------+----------+
+| 名前     | 年齢     |
++----------+----------+
+| 山田太郎 | 三十     |
+| 佐藤花子 | 二十五   |
++----------+----------+`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('ascii');
+      expect(result.reasons.ascii).to.include('consistent_width');
+      expect(result.stats).to.include({ mean: 23, std: 0 });
+    });
+
+    it('should count emoji and combining marks as they are shown', () => {
+      const banner = `🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉
+🎉 Café opens at 9 🎉
+🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉🎉`;
+      // The accent is a combining mark, the party popper two columns
+      expect(detectTextFormat(banner.normalize('NFD')).stats).to.include({
+        mean: 23,
+      });
+    });
+
+    it('should detect Shift-JIS art', () => {
+      // Fullwidth spaces, which lint rejects in source, are drawn as dots
+      const mona = `..∧＿∧
+.（.´∀｀）
+.（....）
+.｜.｜.｜
+.（＿_）＿）`.replaceAll('.', '\u3000');
+      const result = detectTextFormat(mona);
+      expect(result.text_format).to.equal('ascii');
+      expect(result.reasons.ascii).to.include('sjis_art_chars');
+    });
+
+    it('should detect lines of kaomoji', () => {
+      const text = `(ﾟДﾟ)ﾊｧ?
+(´・ω・｀)
+(・∀・)ｲｲ!!
+(´；ω；｀)ｳｯ…`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('ascii');
+      expect(result.reasons.ascii).to.include('sjis_art_chars');
+    });
+
+    it('should not detect Japanese prose as ASCII art', () => {
+      const text = `今日はとても良い天気でした。
+公園を散歩して、友達と話しました。
+また明日も行きたいと思います (´∀｀)`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('plain');
+      expect(result.reasons.ascii).to.not.include('sjis_art_chars');
+    });
+
+    describe('art kinds', () => {
+      // Charts without borders score just under the default threshold
+      const lenient = { thresholds: { ascii: 0.25 } };
+
+      it('should tell bordered tables', () => {
+        const text = `+--------+-------+------+
+| Host   | CPU   | Mem  |
++--------+-------+------+
+| web-1  | 42%   | 3.1G |
+| web-2  | 17%   | 2.8G |
++--------+-------+------+`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('ascii');
+        expect(result.asciiKind).to.equal('table');
+        expect(result.reasons.asciiKind.table).to.deep.equal([
+          'column_separators',
+          'row_rules',
+        ]);
+      });
+
+      it('should tell tables with columns aligned by spaces', () => {
+        const text = `CONTAINER ID   IMAGE          COMMAND                  CREATED       STATUS       PORTS                  NAMES
+4c01db0b339c   nginx:latest   "/docker-entrypoint.…"   2 hours ago   Up 2 hours   0.0.0.0:8080->80/tcp   web
+d7886598dbe2   redis:7        "docker-entrypoint.s…"   3 hours ago   Up 3 hours   6379/tcp               cache
+a1b2c3d4e5f6   postgres:16    "docker-entrypoint.s…"   5 hours ago   Up 5 hours   5432/tcp               db`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('ascii');
+        expect(result.asciiKind).to.equal('table');
+        expect(result.reasons.asciiKind.table).to.deep.equal([
+          'aligned_columns',
+          'header_row',
+        ]);
+      });
+
+      it('should tell diagrams of boxes and arrows', () => {
+        const text = `+----------+      +----------+      +----------+
+|  client  | ---> |  server  | ---> | database |
++----------+      +----------+      +----------+`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('ascii');
+        expect(result.asciiKind).to.equal('diagram');
+        expect(result.reasons.asciiKind.diagram).to.include('arrows');
+      });
+
+      it('should tell FIGlet banners', () => {
+        const text = `  _   _      _ _
+ | | | | ___| | | ___
+ | |_| |/ _ \\ | |/ _ \\
+ |  _  |  __/ | | (_) |
+ |_| |_|\\___|_|_|\\___/`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('ascii');
+        expect(result.asciiKind).to.equal('banner');
+        expect(result.reasons.asciiKind.banner).to.include('figlet_strokes');
+      });
+
+      it('should tell Braille plots', () => {
+        const text = ` 10 ┤⠀⠀⠀⠀⠀⠀⠀⠀⢀⡠⠔⠊⠉⠉⠑⠢⢄⡀⠀⠀⠀
+  5 ┤⠀⠀⠀⠀⢀⡠⠔⠊⠁⠀⠀⠀⠀⠀⠀⠀⠀⠈⠑⠢⢄
+  0 ┤⣀⡠⠔⠊⠁⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀⠀
+    └──────────────────────`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('ascii');
+        expect(result.asciiKind).to.equal('plot');
+        expect(result.reasons.asciiKind.plot).to.deep.equal([
+          'braille_cells',
+          'axis_labels',
+        ]);
+      });
+
+      it('should tell tree listings', () => {
+        const text = `.
+├── src
+│   ├── index.js
+│   └── art.js
+└── package.json`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('ascii');
+        expect(result.reasons.ascii).to.include('tree_branches');
+        expect(result.asciiKind).to.equal('tree');
+        expect(result.reasons.asciiKind.tree).to.deep.equal([
+          'branch_lines',
+          'nested_branches',
+          'root_line',
+        ]);
+      });
+
+      it('should tell bar charts and sparklines', () => {
+        const bars = `Requests per region
+  us-east  ████████████████████ 420
+  us-west  ████████████ 251
+  eu-west  ███████▌ 160`;
+        const sparklines = `cpu  ▁▂▃▅▇█▇▅▃▂▁▁▂▃
+mem  ▃▃▃▄▄▄▅▅▅▆▆▆▇▇
+disk ▁▁▁▁▂▂▂▂▃▃▃▃▄▄`;
+
+        const chart = detectTextFormat(bars, lenient);
+        expect(chart.asciiKind).to.equal('chart');
+        expect(chart.reasons.asciiKind.chart).to.deep.equal([
+          'bar_lines',
+          'value_labels',
+        ]);
+        expect(detectTextFormat(sparklines, lenient).asciiKind).to.equal(
+          'chart'
+        );
+      });
+
+      it('should call other art a picture', () => {
+        const text = `==================================
+  BUILD SUMMARY
+==================================
+  passed ........... 120
+  failed ...........   2
+==================================`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('ascii');
+        expect(result.asciiKind).to.equal('picture');
+        expect(result.reasons.asciiKind).to.deep.equal({});
+      });
+
+      it('should leave the kind off other formats', () => {
+        const result = detectTextFormat('# Title\n\n- one\n- two');
+        expect(result).to.not.have.property('asciiKind');
+        expect(result.reasons).to.not.have.property('asciiKind');
+      });
+    });
   });
 
   describe('code detection', () => {
@@ -228,6 +544,156 @@ def hello():
       expect(result.text_format).to.equal('code');
     });
 
+    it('should report the language from the fence info string', () => {
+      const text = `\`\`\`python
+print("hi")
+\`\`\``;
+      const result = detectTextFormat(text);
+      expect(result.language).to.include({ name: 'python', confidence: 1 });
+    });
+
+    it('should identify the language of an untagged fence', () => {
+      const text = `\`\`\`
+package main
+
+func main() {
+	fmt.Println("hi")
+}
+\`\`\``;
+      const result = detectTextFormat(text);
+      expect(result.language.name).to.equal('go');
+      expect(result.language.source).to.equal('fingerprint');
+    });
+
+    it('should detect an unfenced JavaScript function', () => {
+      const text = `function add(a, b) {
+  const sum = a + b;
+  return sum;
+}`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('code');
+      expect(result.code).to.be.at.least(0.5);
+      expect(result.reasons.code).to.include('statement_terminators');
+      expect(result.language.name).to.equal('javascript');
+    });
+
+    it('should detect an unfenced Python script despite # comments', () => {
+      const text = `# Compute totals
+import sys
+
+def total(items):
+    result = 0
+    for item in items:
+        result += item.price
+    return result`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('code');
+      expect(result.reasons.markdown).to.include('heading');
+      expect(result.reasons.code).to.include('indentation_structure');
+      expect(result.language.name).to.equal('python');
+    });
+
+    it('should detect an unfenced shell script despite # comments', () => {
+      const text = `#!/bin/sh
+# Install dependencies
+npm ci
+# Run the tests
+npm test
+`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('code');
+      expect(result.reasons.code).to.include.members([
+        'shebang',
+        'code_comments',
+      ]);
+      expect(result.language.name).to.equal('shell');
+    });
+
+    it('should detect an unfenced Ruby class', () => {
+      const text = `require 'json'
+
+class Greeter
+  attr_reader :name
+
+  def initialize(name)
+    @name = name
+  end
+
+  def greet
+    puts "Hello, #{name}"
+  end
+end`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('code');
+      expect(result.reasons.code).to.include('indentation_structure');
+      expect(result.language.name).to.equal('ruby');
+    });
+
+    it('should detect an unfenced SQL query', () => {
+      const text = `SELECT u.id, u.name, COUNT(o.id) AS orders
+FROM users u
+LEFT JOIN orders o ON o.user_id = u.id
+WHERE u.active = 1
+GROUP BY u.id, u.name
+ORDER BY orders DESC;`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('code');
+      expect(result.reasons.code).to.include('keyword_lines');
+      expect(result.language.name).to.equal('sql');
+    });
+
+    it('should not detect prose with code words as code', () => {
+      const text = `If you want to return the item, contact support while it is open.
+We will create a new label for you, and then the class is chosen.
+Otherwise, the default shipping option is used.`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('plain');
+      expect(result.reasons.code).to.include('prose_sentences');
+    });
+
+    it('should list fenced code blocks with line ranges and content', () => {
+      const text = `\`\`\`js
+const a = 1;
+\`\`\`
+
+\`\`\`python
+b = 2
+\`\`\``;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('code');
+      expect(result.codeBlocks).to.have.length(2);
+      expect(result.codeBlocks[0]).to.include({
+        info: 'js',
+        startLine: 1,
+        endLine: 3,
+        content: 'const a = 1;',
+        closed: true,
+      });
+      expect(result.codeBlocks[1].language.name).to.equal('python');
+      expect(result.codeBlocks[1].startLine).to.equal(5);
+    });
+
+    it('should classify prose around a fenced block as markdown', () => {
+      const text = `Setup takes a couple of steps.
+
+Install the dependencies first:
+
+\`\`\`bash
+npm install
+\`\`\`
+
+Then run the tests and check the output.`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.reasons.markdown).to.include('fenced');
+      expect(result.codeBlocks).to.have.length(1);
+    });
+
+    it('should return an empty codeBlocks array without fences', () => {
+      const result = detectTextFormat('Just a sentence.');
+      expect(result.codeBlocks).to.deep.equal([]);
+    });
+
     it('should apply code penalty to reduce false ASCII art detection', () => {
       const text = `function test() {
   const x = 1;
@@ -260,6 +726,129 @@ def hello():
 </html>`;
       const result = detectTextFormat(text);
       expect(result.text_format).to.equal('html');
+      expect(result.subformat).to.equal('document');
+      expect(result.markup).to.include({ root: 'html', doctype: 'html' });
+    });
+
+    it('should detect HTML after a line of prose', () => {
+      const text = `Here is the page:
+<section class="hero">
+  <h2>Welcome</h2>
+  <p>Start here.</p>
+</section>`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('html');
+      expect(result.subformat).to.equal('fragment');
+    });
+
+    it('should pair void elements written in upper case', () => {
+      const text = '<P>Line one<BR>line two</P>\n<p>Line three<br>four</p>';
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('html');
+      expect(result.markup.balanced).to.equal(true);
+    });
+
+    it('should leave markdown with inline HTML as markdown', () => {
+      const text = `<div align="center">
+<img src="logo.png">
+</div>
+
+# Project
+
+- one
+- two`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.markup.embedded).to.be.true;
+    });
+
+    it('should not read generics or includes as tags', () => {
+      for (const text of [
+        'function first<T>(items: Array<T>): T {\n  return items[0];\n}',
+        '#include <stdio.h>\nint main() {\n  return 0;\n}',
+      ]) {
+        expect(detectTextFormat(text).text_format).to.equal('code');
+      }
+    });
+  });
+
+  describe('SVG detection', () => {
+    it('should detect an SVG document', () => {
+      const text = `<svg viewBox="0 0 24 24" fill="none">
+  <circle cx="12" cy="12" r="10"/>
+  <path d="M12 6v6l4 2"/>
+</svg>`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('svg');
+      expect(result.subformat).to.equal('document');
+    });
+
+    it('should detect an SVG fragment', () => {
+      const text = '<g>\n  <rect width="4" height="4"/>\n</g>';
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('svg');
+      expect(result.subformat).to.equal('fragment');
+    });
+  });
+
+  describe('JSX detection', () => {
+    it('should detect JSX expressions and components', () => {
+      const text = `<Card title={user.name}>
+  <Avatar src={user.avatar} size="lg" />
+  <p className="bio">{user.bio}</p>
+</Card>`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('jsx');
+      expect(result.markup.reasons).to.include.members([
+        'jsx_expressions',
+        'components',
+      ]);
+    });
+
+    it('should detect JSX fragments in a component', () => {
+      const text = `export function Page({ title }) {
+  return (
+    <>
+      <Header title={title} />
+      <main>Content</main>
+    </>
+  );
+}`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('jsx');
+    });
+  });
+
+  describe('template detection', () => {
+    it('should detect Handlebars templates', () => {
+      const text = `<ul class="people">
+  {{#each people}}
+    <li>{{firstName}}</li>
+  {{/each}}
+</ul>`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('template');
+      expect(result.subformat).to.equal('handlebars');
+    });
+
+    it('should detect Jinja templates', () => {
+      const text = `{% extends "layout.html" %}
+{% block body %}
+<h1>{{ page.title }}</h1>
+{% endblock %}`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('template');
+      expect(result.subformat).to.equal('jinja');
+    });
+
+    it('should detect ERB and PHP templates', () => {
+      expect(
+        detectTextFormat('<% if @sale %>\n  <p>On sale!</p>\n<% end %>')
+          .subformat
+      ).to.equal('erb');
+      expect(
+        detectTextFormat('<h1><?php echo $title; ?></h1>').subformat
+      ).to.equal('php');
     });
   });
 
@@ -285,6 +874,74 @@ def hello():
       const result = detectTextFormat(text);
       expect(result.text_format).to.equal('json');
     });
+
+    it('should report strict JSON as the json subformat', () => {
+      const result = detectTextFormat('{"name": "John"}');
+      expect(result.subformat).to.equal('json');
+      expect(result.json.valid).to.be.true;
+      expect(result.json.error).to.be.null;
+    });
+
+    it('should detect JSONC with comments and trailing commas', () => {
+      const text = `{
+  // editor settings
+  "tabSize": 2,
+  "rulers": [80, 120,],
+}`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('json');
+      expect(result.subformat).to.equal('jsonc');
+      expect(result.json.features).to.include.members([
+        'comments',
+        'trailing_commas',
+      ]);
+    });
+
+    it('should detect JSON5 with unquoted keys and single quotes', () => {
+      const text = `{
+  name: 'app',
+  version: 0x10,
+}`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('json');
+      expect(result.subformat).to.equal('json5');
+      expect(result.json.features).to.include('unquoted_keys');
+    });
+
+    it('should detect NDJSON / JSON Lines', () => {
+      const text = `{"id": 1, "event": "open"}
+{"id": 2, "event": "close"}`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('json');
+      expect(result.subformat).to.equal('ndjson');
+    });
+
+    it('should not label brackets spread over prose as JSON', () => {
+      const text = `[1, 2
+and then some prose follows
+end]`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.not.equal('json');
+      expect(result.json.valid).to.be.false;
+      expect(result.json.subformat).to.equal('json-like');
+    });
+
+    it('should report the parse error position', () => {
+      const result = detectTextFormat('{\n  "a": 1\n  "b": 2\n}');
+      expect(result.json.error).to.include({ line: 3, column: 3, offset: 13 });
+    });
+
+    it('should not label a JS object literal as JSON', () => {
+      const result = detectTextFormat('{ handler: run(), id: 1 }');
+      expect(result.text_format).to.not.equal('json');
+      expect(result.json.subformat).to.equal('json-like');
+    });
+
+    it('should not label bracketed task lists as JSON', () => {
+      const result = detectTextFormat('[ ] write docs\n[x] ship it');
+      expect(result.text_format).to.not.equal('json');
+      expect(result.json.subformat).to.be.null;
+    });
   });
 
   describe('XML detection', () => {
@@ -302,6 +959,608 @@ def hello():
 </root>`;
       const result = detectTextFormat(text);
       expect(result.text_format).to.equal('xml');
+      expect(result.markup.declaration).to.deep.equal({
+        version: '1.0',
+        encoding: null,
+      });
+    });
+
+    it('should detect XML without a declaration', () => {
+      const text = `<configuration>
+  <appSettings>
+    <add key="Timeout" value="30" />
+  </appSettings>
+</configuration>`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('xml');
+      expect(result.markup).to.include({
+        root: 'configuration',
+        balanced: true,
+      });
+    });
+
+    it('should name well-known vocabularies', () => {
+      const text =
+        '<feed xmlns="http://www.w3.org/2005/Atom"><title>News</title><entry><id>1</id></entry></feed>';
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('xml');
+      expect(result.subformat).to.equal('atom');
+      expect(result.markup.namespaces).to.deep.equal([
+        'http://www.w3.org/2005/Atom',
+      ]);
+    });
+
+    it('should detect an RSS feed whose elements share HTML names', () => {
+      const text = `<rss version="2.0">
+  <channel>
+    <title>Release notes</title>
+    <link>https://example.com/</link>
+    <description>What changed</description>
+    <item>
+      <title>v2.0</title>
+      <link>https://example.com/v2</link>
+    </item>
+  </channel>
+</rss>`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('xml');
+      expect(result.subformat).to.equal('rss');
+      expect(result.markup.balanced).to.equal(true);
+    });
+
+    it('should detect an Atom feed without its namespace', () => {
+      const text = `<feed>
+  <title>News</title>
+  <link href="https://example.com/"/>
+  <entry>
+    <title>First</title>
+  </entry>
+</feed>`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('xml');
+      expect(result.subformat).to.equal('atom');
+    });
+  });
+
+  describe('log detection', () => {
+    it('should detect ISO-8601 timestamped application logs', () => {
+      const text = `2024-05-01T10:00:00.123Z INFO  Server started on port 3000
+2024-05-01T10:00:01.456Z DEBUG Connected to database
+2024-05-01T10:00:05.789Z ERROR Request failed: timeout`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('log');
+      expect(result.log.timestampFormat).to.equal('iso8601');
+      expect(result.log.levels).to.deep.equal({ INFO: 1, DEBUG: 1, ERROR: 1 });
+    });
+
+    it('should detect syslog lines', () => {
+      const text = `Jan 12 06:25:43 web01 sshd[1234]: Accepted publickey for deploy
+Jan 12 06:25:44 web01 systemd[1]: Started Session 42 of user deploy.`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('log');
+      expect(result.log.reasons).to.include('syslog_timestamps');
+    });
+
+    it('should detect Apache/nginx combined access logs', () => {
+      const text = `127.0.0.1 - - [10/Oct/2023:13:55:36 +0000] "GET /index.html HTTP/1.1" 200 2326 "-" "curl/8.0"
+10.0.0.2 - bob [10/Oct/2023:13:55:40 +0000] "POST /api/login HTTP/1.1" 401 17 "-" "Mozilla/5.0"`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('log');
+      expect(result.log.timestampFormat).to.equal('access_log');
+    });
+
+    it('should parse JavaScript stack frames', () => {
+      const text = `TypeError: Cannot read properties of undefined (reading 'id')
+    at getUser (/app/src/users.js:42:18)
+    at async handler (/app/src/routes.js:10:5)
+    at /app/src/index.js:3:1`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('log');
+      expect(result.subformat).to.equal('stacktrace');
+      expect(result.log.runtime).to.equal('javascript');
+      expect(result.log.frames).to.deep.equal([
+        {
+          function: 'getUser',
+          file: '/app/src/users.js',
+          line: 42,
+          column: 18,
+        },
+        {
+          function: 'handler',
+          file: '/app/src/routes.js',
+          line: 10,
+          column: 5,
+        },
+        { function: null, file: '/app/src/index.js', line: 3, column: 1 },
+      ]);
+    });
+
+    it('should parse Python tracebacks', () => {
+      const text = `Traceback (most recent call last):
+  File "/app/main.py", line 10, in <module>
+    main()
+  File "/app/main.py", line 6, in main
+    return 1 / 0
+ZeroDivisionError: division by zero`;
+      const result = detectTextFormat(text);
+      expect(result.subformat).to.equal('stacktrace');
+      expect(result.log.runtime).to.equal('python');
+      expect(result.log.frames[1]).to.include({ function: 'main', line: 6 });
+    });
+
+    it('should parse Java stack traces', () => {
+      const text = `Exception in thread "main" java.lang.IllegalStateException: boom
+	at com.example.App.run(App.java:25)
+	at com.example.App.main(App.java:10)`;
+      const result = detectTextFormat(text);
+      expect(result.log.runtime).to.equal('java');
+      expect(result.log.frames[0]).to.include({
+        function: 'com.example.App.run',
+        file: 'App.java',
+        line: 25,
+      });
+    });
+
+    it('should parse Go panics', () => {
+      const text = `panic: runtime error: index out of range [3] with length 3
+
+goroutine 1 [running]:
+main.process(...)
+	/home/u/app/main.go:12 +0x1d
+main.main()
+	/home/u/app/main.go:7 +0x25`;
+      const result = detectTextFormat(text);
+      expect(result.subformat).to.equal('stacktrace');
+      expect(result.log.runtime).to.equal('go');
+      expect(result.log.frames).to.have.length(2);
+    });
+
+    it('should parse Rust backtraces', () => {
+      const text = `thread 'main' panicked at src/main.rs:4:5:
+stack backtrace:
+   0: rust_begin_unwind
+             at /rustc/abc/library/std/src/panicking.rs:645:5
+   1: demo::main
+             at ./src/main.rs:4:5`;
+      const result = detectTextFormat(text);
+      expect(result.log.runtime).to.equal('rust');
+      expect(result.log.frames[1]).to.deep.equal({
+        function: 'demo::main',
+        file: './src/main.rs',
+        line: 4,
+        column: 5,
+      });
+    });
+
+    describe('single-frame traces', () => {
+      it('should detect a Python traceback with one frame', () => {
+        const text = `Traceback (most recent call last):
+  File "app.py", line 3, in <module>
+    print(1 / 0)
+ZeroDivisionError: division by zero`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('log');
+        expect(result.subformat).to.equal('stacktrace');
+        expect(result.log.runtime).to.equal('python');
+        expect(result.log.frames).to.have.length(1);
+      });
+
+      it('should detect a Java stack trace with one frame', () => {
+        const text = `Exception in thread "main" java.lang.NullPointerException
+	at com.example.App.main(App.java:5)`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('log');
+        expect(result.log.runtime).to.equal('java');
+        expect(result.log.frames).to.have.length(1);
+      });
+
+      it('should detect a JavaScript error with one frame', () => {
+        const text = `ReferenceError: foo is not defined
+    at Object.<anonymous> (/app/index.js:1:1)`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('log');
+        expect(result.log.runtime).to.equal('javascript');
+        expect(result.log.frames[0]).to.include({ line: 1, column: 1 });
+      });
+
+      it('should detect a Go panic with one frame', () => {
+        const text = `panic: runtime error: index out of range [5] with length 3
+
+goroutine 1 [running]:
+main.main()
+	/tmp/main.go:8 +0x1d
+exit status 2`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('log');
+        expect(result.log.runtime).to.equal('go');
+        expect(result.log.frames).to.deep.equal([
+          {
+            function: 'main.main',
+            file: '/tmp/main.go',
+            line: 8,
+            column: null,
+          },
+        ]);
+      });
+
+      it('should detect a Rust backtrace with one frame', () => {
+        const text = `thread 'main' panicked at src/main.rs:2:5:
+stack backtrace:
+   0: main::main
+             at ./src/main.rs:2:5`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.equal('log');
+        expect(result.log.runtime).to.equal('rust');
+        expect(result.log.frames).to.have.length(1);
+      });
+
+      it('should not take a single frame without its header for a trace', () => {
+        const text = `Running the tests now.
+    at Object.<anonymous> (/app/index.js:1:1)
+All done.`;
+        const result = detectTextFormat(text);
+        expect(result.text_format).to.not.equal('log');
+      });
+    });
+
+    it('should not count lower-case level words in prose', () => {
+      const text = `At 10:00 we met. The error was fixed quickly.
+We will deploy tomorrow at noon.`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('plain');
+      expect(result.log).to.be.undefined;
+    });
+  });
+
+  describe('diff detection', () => {
+    it('should detect a unified diff and summarize its files', () => {
+      const text = `--- old.txt\t2026-01-01 00:00:00
++++ new.txt\t2026-01-02 00:00:00
+@@ -1,3 +1,3 @@
+ one
+-two
++TWO
+ three`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('diff');
+      expect(result.subformat).to.equal('unified');
+      expect(result.diff.files).to.deep.equal([
+        {
+          oldPath: 'old.txt',
+          newPath: 'new.txt',
+          hunks: 1,
+          added: 1,
+          removed: 1,
+        },
+      ]);
+    });
+
+    it('should read git format-patch mail headers and per-file hunks', () => {
+      const text = `From 1a2b3c4d5e6f7a8b9c0d1e2f3a4b5c6d7e8f9a0b Mon Sep 17 00:00:00 2001
+From: Jane Doe <jane@example.com>
+Date: Tue, 3 Oct 2026 10:00:00 +0200
+Subject: [PATCH] Fix off-by-one in parser
+
+---
+ src/parser.js | 3 ++-
+ 1 file changed, 2 insertions(+), 1 deletion(-)
+
+diff --git a/src/parser.js b/src/parser.js
+index 83db48f..bf269f4 100644
+--- a/src/parser.js
++++ b/src/parser.js
+@@ -10,4 +10,5 @@ function parse(input) {
+   const out = [];
+-  for (let i = 0; i <= input.length; i++) {
++  for (let i = 0; i < input.length; i++) {
++    // skip blanks
+     out.push(input[i]);
+diff --git a/new.txt b/new.txt
+new file mode 100644
+--- /dev/null
++++ b/new.txt
+@@ -0,0 +1,2 @@
++hello
++world
+-- 
+2.42.0`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('diff');
+      expect(result.diff.git).to.be.true;
+      expect(result.diff.email).to.deep.equal({
+        from: 'Jane Doe <jane@example.com>',
+        date: 'Tue, 3 Oct 2026 10:00:00 +0200',
+        subject: '[PATCH] Fix off-by-one in parser',
+      });
+      expect(result.diff.files).to.deep.equal([
+        {
+          oldPath: 'src/parser.js',
+          newPath: 'src/parser.js',
+          hunks: 1,
+          added: 2,
+          removed: 1,
+        },
+        {
+          oldPath: '/dev/null',
+          newPath: 'new.txt',
+          hunks: 1,
+          added: 2,
+          removed: 0,
+        },
+      ]);
+    });
+
+    it('should detect context diffs', () => {
+      const text = `*** old.txt\t2026-01-01
+--- new.txt\t2026-01-02
+***************
+*** 1,3 ****
+  one
+! two
+  three
+--- 1,4 ----
+  one
+! TWO
+  three
++ four`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('diff');
+      expect(result.subformat).to.equal('context');
+      expect(result.diff.files[0]).to.include({
+        hunks: 1,
+        added: 2,
+        removed: 1,
+      });
+    });
+
+    it('should not count removed "---" lines as a new file header', () => {
+      const text = `--- a/notes.md
++++ b/notes.md
+@@ -1,3 +1,2 @@
+ # Notes
+--- 
+-+++ x`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('diff');
+      expect(result.diff.files).to.have.length(1);
+      expect(result.diff.files[0].removed).to.equal(2);
+    });
+
+    it('should take priority over markdown lists', () => {
+      const text = `@@ -1,3 +1,3 @@
+ # Shopping
+-- milk
++- oat milk
+ - bread`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('diff');
+      expect(result.diff.files[0].oldPath).to.be.null;
+    });
+
+    it('should leave markdown lists with + and - bullets alone', () => {
+      const text = `# Changes
+
+- removed the old parser
++ added a new one`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result).to.not.have.property('diff');
+    });
+  });
+
+  describe('terminal output detection', () => {
+    it('should detect colored command output', () => {
+      const text = `\x1B[01;34mnode_modules\x1B[0m
+\x1B[01;32mrun.sh\x1B[0m
+package.json`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('terminal');
+      expect(result.terminal.reasons).to.include('color_codes');
+      expect(result.terminal.sequences.sgr).to.equal(4);
+    });
+
+    it('should detect progress bars redrawn with carriage returns', () => {
+      const text = `Downloading packages
+\x1B[?25l[=====     ] 50%\r\x1B[K[==========] 100%
+\x1B[?25hDone in 3.2s`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('terminal');
+      expect(result.terminal.reasons).to.include.members([
+        'cursor_movement',
+        'erase_sequences',
+        'carriage_returns',
+      ]);
+    });
+
+    it('should classify colored markdown by its stripped text', () => {
+      const text = `\x1B[1m# Title\x1B[0m
+
+- \x1B[32mone\x1B[0m
+- two`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.terminal.score).to.be.greaterThan(0);
+    });
+
+    it('should classify syntax-highlighted code by its stripped text', () => {
+      const text = `\x1B[35mfunction\x1B[0m add(a, b) {
+  \x1B[35mreturn\x1B[0m a + b;
+}
+
+\x1B[35mconst\x1B[0m x = add(1, 2);`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('code');
+      expect(result.language.name).to.equal('javascript');
+    });
+
+    it('should classify colored JSON by its stripped text', () => {
+      const text = '{\n  \x1B[34m"a"\x1B[0m: \x1B[32m1\x1B[0m\n}';
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('json');
+    });
+
+    it('should not report terminal output for text without sequences', () => {
+      const result = detectTextFormat('Just a sentence.\r\nAnother one.');
+      expect(result.text_format).to.equal('plain');
+      expect(result).to.not.have.property('terminal');
+    });
+  });
+
+  describe('delimited data detection', () => {
+    it('should detect CSV with a header and quoted fields', () => {
+      const text = `id,name,price
+1,Widget,9.99
+2,"Gadget, large",19.50
+3,Thing,0.5`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('csv');
+      expect(result.subformat).to.equal('csv');
+      expect(result.csv).to.include({
+        delimiter: ',',
+        hasHeader: true,
+        rows: 3,
+        columns: 3,
+      });
+      expect(result.csv.reasons).to.include('quoted_fields');
+    });
+
+    it('should detect TSV', () => {
+      const result = detectTextFormat('name\tage\nAlice\t30\nBob\t25');
+      expect(result.text_format).to.equal('csv');
+      expect(result.subformat).to.equal('tsv');
+    });
+
+    it('should detect semicolon-separated data with decimal commas', () => {
+      const text = `Datum;Betrag;Konto
+2024-01-01;12,50;Giro
+2024-01-02;8,00;Giro`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('csv');
+      expect(result.subformat).to.equal('semicolon');
+      expect(result.csv.columns).to.equal(3);
+    });
+
+    it('should detect a pipe-delimited data dump', () => {
+      const text = `id|name|status
+1|alpha|ok
+2|beta|fail`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('csv');
+      expect(result.subformat).to.equal('pipe');
+    });
+
+    it('should not treat a GFM table with an alignment row as data', () => {
+      const text = `# Status
+
+| Feature | Owner | Status |
+|---------|-------|--------|
+| Auth    | Ana   | Done   |
+| API     | Raj   | WIP    |`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.reasons.markdown).to.include('tableAlign');
+      expect(result.csv).to.be.undefined;
+    });
+
+    it('should not detect comma-separated sentences as CSV', () => {
+      const text = `First, we install.
+Then, we test.
+Finally, we ship.`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('plain');
+    });
+
+    it('should require a consistent field count', () => {
+      const result = detectTextFormat('a,b,c\n1,2\n3,4,5,6');
+      expect(result.text_format).to.not.equal('csv');
+    });
+  });
+
+  describe('configuration format detection', () => {
+    it('should detect YAML with nested mappings and sequences', () => {
+      const text = `name: my-app
+version: 1.0.0
+dependencies:
+  express: ^4.18.0
+scripts:
+  - build
+  - test`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('yaml');
+      expect(result.reasons.config.yaml).to.include.members([
+        'key_value_lines',
+        'nested_mappings',
+        'block_sequences',
+      ]);
+    });
+
+    it('should detect TOML with tables and typed values', () => {
+      const text = `[package]
+name = "demo"
+version = "0.1.0"
+
+[dependencies]
+serde = { version = "1", features = ["derive"] }`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('toml');
+      expect(result.reasons.config.toml).to.include('typed_assignments');
+    });
+
+    it('should detect INI with sections and bare values', () => {
+      const text = `; settings
+[general]
+name = My App
+debug = off
+
+[paths]
+root = /var/www`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('ini');
+      expect(result.reasons.config.ini).to.include('bare_values');
+    });
+
+    it('should detect .env files', () => {
+      const text = `# secrets
+DATABASE_URL=postgres://localhost/db
+API_KEY=abc123
+DEBUG=true`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('dotenv');
+      expect(result.config.dotenv).to.be.greaterThan(result.config.ini);
+    });
+
+    it('should not detect labelled prose as YAML', () => {
+      const text = `Note: this is important and you should read it.
+Warning: do not run this in production please.
+Tip: try again later if it fails.`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('plain');
+    });
+
+    it('should report YAML front matter', () => {
+      const text = `---
+title: My Post
+---
+# Content`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.frontMatter).to.deep.equal({
+        format: 'yaml',
+        startLine: 1,
+        endLine: 3,
+      });
+    });
+
+    it('should report TOML front matter', () => {
+      const text = `+++
+title = "My Post"
++++
+
+Some *text* here.`;
+      const result = detectTextFormat(text);
+      expect(result.text_format).to.equal('markdown');
+      expect(result.reasons.markdown).to.include('frontMatter');
+      expect(result.frontMatter.format).to.equal('toml');
     });
   });
 
@@ -351,6 +1610,7 @@ More content`;
       const result = detectTextFormat(text);
       expect(result.asciiArt).to.be.a('number');
       expect(result.markdown).to.be.a('number');
+      expect(result.code).to.be.within(0, 1);
       expect(result.asciiArt).to.be.at.least(0);
       expect(result.asciiArt).to.be.at.most(1);
       expect(result.markdown).to.be.at.least(0);
@@ -375,7 +1635,9 @@ npm install
 
 [Documentation](https://example.com)`;
       const result = detectTextFormat(text);
-      expect(result.text_format).to.equal('code');
+      expect(result.text_format).to.equal('markdown');
+      expect(result.codeBlocks).to.have.length(1);
+      expect(result.codeBlocks[0].language.name).to.equal('shell');
     });
 
     it('should detect log output with borders', () => {
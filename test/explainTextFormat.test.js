@@ -0,0 +1,300 @@
+import { expect } from 'chai';
+import {
+  createDetector,
+  detectTextFormat,
+  explainTextFormat,
+  formatExplanation,
+} from '../src/index.js';
+
+const GUIDE = `# Guide
+
+Use \`npm test\` before **every** commit.
+
+- one
+- two`;
+
+const BOX = `+----------+
+|  hello   |
++----------+`;
+
+/**
+ * Find a check of a detector in an explanation
+ * @param {Object} explanation - Result of explainTextFormat
+ * @param {string} detector - Detector name
+ * @param {string} name - Check name
+ * @returns {Object} The check
+ */
+function findCheck(explanation, detector, name) {
+  return explanation.detectors
+    .find((d) => d.name === detector)
+    .checks.find((c) => c.name === name);
+}
+
+describe('explainTextFormat', () => {
+  it('should include the detection result', () => {
+    const explanation = explainTextFormat(GUIDE);
+    expect(explanation.text_format).to.equal('markdown');
+    expect(explanation.result).to.deep.equal(detectTextFormat(GUIDE));
+    expect(explanation.text).to.equal(GUIDE);
+  });
+
+  it('should list every detector in the order tried', () => {
+    const { detectors } = explainTextFormat(GUIDE);
+    expect(detectors.map((d) => d.name)).to.deep.equal(createDetector().list());
+
+    const markdown = detectors.find((d) => d.name === 'markdown');
+    expect(markdown).to.include({
+      score: 0.52,
+      threshold: 0.08,
+      accepted: true,
+      winner: true,
+    });
+    expect(detectors.filter((d) => d.winner)).to.have.length(1);
+  });
+
+  it('should locate the markdown patterns that matched', () => {
+    const explanation = explainTextFormat(GUIDE);
+
+    expect(findCheck(explanation, 'markdown', 'heading')).to.deep.equal({
+      name: 'heading',
+      passed: true,
+      value: 1,
+      threshold: '>= 1',
+      weight: 0.18,
+      contribution: 0.18,
+      ranges: [{ startLine: 1, startColumn: 1, endLine: 1, endColumn: 7 }],
+    });
+    expect(
+      findCheck(explanation, 'markdown', 'inlineCode').ranges
+    ).to.deep.equal([
+      { startLine: 3, startColumn: 5, endLine: 3, endColumn: 14 },
+    ]);
+    expect(
+      findCheck(explanation, 'markdown', 'list').ranges.map((r) => r.startLine)
+    ).to.deep.equal([5, 6]);
+    expect(findCheck(explanation, 'markdown', 'link')).to.include({
+      passed: false,
+      value: 0,
+      contribution: 0,
+    });
+  });
+
+  it('should report measured values and thresholds', () => {
+    const explanation = explainTextFormat(BOX);
+    const borders = findCheck(explanation, 'ascii', 'border_like_lines');
+
+    expect(borders).to.include({
+      passed: true,
+      value: 0.667,
+      threshold: '>= 0.08',
+      weight: 0.1,
+      contribution: 0.1,
+    });
+    expect(borders.ranges.map((r) => r.startLine)).to.deep.equal([1, 3]);
+    expect(
+      findCheck(explanation, 'ascii', 'consistent_width').value
+    ).to.have.all.keys('mean', 'spread');
+  });
+
+  it('should explain the code heuristics line by line', () => {
+    const explanation = explainTextFormat(
+      'const a = 1;\nfunction f(x) {\n  return x * a;\n}'
+    );
+    const terminators = findCheck(explanation, 'code', 'statement_terminators');
+
+    expect(terminators.passed).to.equal(true);
+    expect(terminators.contribution).to.equal(0.3);
+    expect(terminators.ranges.map((r) => r.startLine)).to.deep.equal([
+      1, 2, 3, 4,
+    ]);
+    expect(terminators.ranges[2]).to.include({ startColumn: 3 });
+  });
+
+  it('should explain the code-like penalty of the ascii detector', () => {
+    const explanation = explainTextFormat(
+      'const a = 1;\nfunction f(x) {\n  return x * a;\n}'
+    );
+    expect(findCheck(explanation, 'ascii', 'code_like_penalty')).to.include({
+      passed: true,
+      value: 4,
+      threshold: '>= 3',
+      contribution: -0.15,
+    });
+  });
+
+  it('should explain the checks of the other formats, failed ones too', () => {
+    const patch = explainTextFormat(
+      'diff --git a/x.js b/x.js\n--- a/x.js\n+++ b/x.js\n@@ -1 +1 @@\n-a\n+b'
+    );
+    expect(findCheck(patch, 'diff', 'hunk_headers')).to.deep.equal({
+      name: 'hunk_headers',
+      passed: true,
+      value: 1,
+      threshold: '>= 1',
+      weight: 0.5,
+      contribution: 0.5,
+      ranges: [{ startLine: 4, startColumn: 1, endLine: 4, endColumn: 11 }],
+    });
+    expect(findCheck(patch, 'diff', 'mail_headers')).to.include({
+      passed: false,
+      contribution: 0,
+    });
+    expect(findCheck(patch, 'log', 'log_levels')).to.include({
+      passed: false,
+      weight: 0.2,
+    });
+
+    const table = explainTextFormat('a,b,c\n1,2,3\n4,5,6');
+    expect(
+      findCheck(table, 'csv', 'numeric_columns').ranges.map((r) => r.startLine)
+    ).to.deep.equal([2, 3]);
+    expect(findCheck(table, 'json', 'json_start')).to.include({
+      passed: false,
+    });
+
+    const settings = explainTextFormat('name: app\nitems:\n  - one');
+    expect(findCheck(settings, 'config', 'yaml.block_sequences')).to.include({
+      passed: true,
+      weight: 0.1,
+    });
+    expect(findCheck(settings, 'config', 'toml.table_headers')).to.include({
+      passed: false,
+      contribution: 0,
+    });
+
+    const colored = explainTextFormat('\x1b[31mred\x1b[0m\nplain');
+    expect(
+      findCheck(colored, 'terminal', 'color_codes').ranges.map(
+        (r) => r.startLine
+      )
+    ).to.deep.equal([1]);
+  });
+
+  it('should report markup and fence features without weights', () => {
+    const page = explainTextFormat('<div>\n  <p>Hi</p>\n</div>');
+    expect(findCheck(page, 'markup', 'balanced_tags')).to.include({
+      passed: true,
+      value: 1,
+      weight: null,
+      contribution: null,
+    });
+    expect(findCheck(page, 'markup', 'doctype').passed).to.equal(false);
+
+    const snippet = explainTextFormat('```js\nconst a = 1;\n```');
+    expect(
+      findCheck(snippet, 'fences', 'closed_fences').ranges.map(
+        (r) => r.startLine
+      )
+    ).to.deep.equal([1, 2, 3]);
+    expect(findCheck(snippet, 'fences', 'code_only').passed).to.equal(true);
+  });
+
+  it('should leave the checks out of the detection result', () => {
+    const result = detectTextFormat('a,b,c\n1,2,3\n4,5,6');
+    expect(result.csv).to.not.have.property('checks');
+  });
+
+  it('should list the features of markdown flavors and kinds of art', () => {
+    const notes = explainTextFormat('# Todo\n\n- [ ] ~~draft~~ the plan');
+    expect(findCheck(notes, 'markdown', 'gfm.taskList')).to.include({
+      passed: true,
+      weight: null,
+    });
+    expect(
+      findCheck(notes, 'markdown', 'gfm.strikethrough').ranges
+    ).to.deep.equal([
+      { startLine: 3, startColumn: 7, endLine: 3, endColumn: 15 },
+    ]);
+
+    const tree = explainTextFormat('.\n├── src\n│   └── art.js\n└── README.md');
+    expect(findCheck(tree, 'ascii', 'tree.branch_lines')).to.include({
+      passed: true,
+      contribution: null,
+    });
+  });
+
+  it('should apply options', () => {
+    const explanation = explainTextFormat(GUIDE, {
+      thresholds: { markdown: 0.9 },
+    });
+    const markdown = explanation.detectors.find((d) => d.name === 'markdown');
+    expect(markdown).to.include({ threshold: 0.9, accepted: false });
+    expect(explanation.text_format).to.equal('plain');
+  });
+
+  it('should fall back to the reasons of plugins without checks', () => {
+    const detector = createDetector().register({
+      name: 'gcode',
+      priority: 85,
+      score: () => ({ score: 0.9, reasons: ['move_commands'] }),
+    });
+    const gcode = detector
+      .explain('G0 X0 Y0')
+      .detectors.find((d) => d.name === 'gcode');
+
+    expect(gcode.winner).to.equal(true);
+    expect(gcode.checks).to.deep.equal([
+      {
+        name: 'move_commands',
+        passed: true,
+        weight: null,
+        contribution: null,
+        ranges: [],
+      },
+    ]);
+  });
+
+  it('should use the explain hook of plugins', () => {
+    const detector = createDetector().register({
+      name: 'gcode',
+      priority: 85,
+      score: () => ({ score: 0.9, reasons: [] }),
+      explain: () => [
+        {
+          name: 'moves',
+          passed: true,
+          value: 1,
+          threshold: '>= 0.5',
+          weight: 0.9,
+          contribution: 0.9,
+          lines: [1],
+        },
+      ],
+    });
+    const [check] = detector
+      .explain('G0 X0 Y0')
+      .detectors.find((d) => d.name === 'gcode').checks;
+
+    expect(check).to.not.have.property('lines');
+    expect(check.ranges).to.deep.equal([
+      { startLine: 1, startColumn: 1, endLine: 1, endColumn: 8 },
+    ]);
+    expect(() =>
+      createDetector().register({ name: 'x', score: () => {}, explain: 1 })
+    ).to.throw(TypeError, /explain must be a function/);
+  });
+});
+
+describe('formatExplanation', () => {
+  it('should print the checks with annotated lines', () => {
+    const report = formatExplanation(explainTextFormat(GUIDE));
+
+    expect(report).to.match(/^Detected: markdown \(probability 0\.\d{3}\)\n/);
+    expect(report).to.include(
+      'markdown: score 0.520, threshold 0.080, accepted, detected'
+    );
+    expect(report).to.match(/ {2}✓ heading +\+0\.180 {2}1 \(>= 1\)\n/);
+    expect(report).to.include('      1 | # Guide\n        | ^^^^^^^\n');
+    expect(report).to.match(/ {2}✗ link +0\.000 {2}0 \(>= 1\)\n/);
+  });
+
+  it('should limit the lines quoted per check', () => {
+    const text = Array.from({ length: 6 }, (_, i) => `- item ${i}`).join('\n');
+    const report = formatExplanation(explainTextFormat(text), { maxLines: 2 });
+
+    expect(report).to.include('1 | - item 0');
+    expect(report).to.include('2 | - item 1');
+    expect(report).to.not.include('3 | - item 2');
+    expect(report).to.include('... and 4 more lines');
+  });
+});
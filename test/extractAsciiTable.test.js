@@ -0,0 +1,154 @@
+import { expect } from 'chai';
+import { extractAsciiTable } from '../src/index.js';
+
+/**
+ * Read the texts of the cells of a table's rows
+ * @param {Object} table - Table from extractAsciiTable
+ * @returns {Object} `header` and `rows` as arrays of strings
+ */
+function texts({ header, rows }) {
+  const row = (cells) => cells.map((cell) => cell.text);
+  return { header: header && row(header), rows: rows.map(row) };
+}
+
+describe('extractAsciiTable', () => {
+  it('should read a +---+ grid and leave out the lines around it', () => {
+    const table = extractAsciiTable(`mysql> SELECT id, name FROM users;
++----+-------+
+| id | name  |
++----+-------+
+|  1 | alice |
+|  2 | bob   |
++----+-------+
+2 rows in set (0.00 sec)`);
+
+    expect(table).to.include({
+      style: 'ascii',
+      columns: 2,
+      startLine: 2,
+      endLine: 7,
+    });
+    expect(texts(table)).to.deep.equal({
+      header: ['id', 'name'],
+      rows: [
+        ['1', 'alice'],
+        ['2', 'bob'],
+      ],
+    });
+  });
+
+  it('should read a grid without outer border', () => {
+    const table = extractAsciiTable(` id | name  | email
+----+-------+---------
+  1 | alice | a@x.com
+  2 | bob   |
+(2 rows)`);
+
+    expect(table).to.include({ style: 'ascii', columns: 3, endLine: 4 });
+    expect(texts(table)).to.deep.equal({
+      header: ['id', 'name', 'email'],
+      rows: [
+        ['1', 'alice', 'a@x.com'],
+        ['2', 'bob', ''],
+      ],
+    });
+  });
+
+  it('should join the lines of a box-drawn row', () => {
+    const table = extractAsciiTable(`┌──────┬────────┐
+│ Name │ Notes  │
+╞══════╪════════╡
+│ a    │ line 1 │
+│      │ line 2 │
+├──────┼────────┤
+│ b    │ ok     │
+└──────┴────────┘`);
+
+    expect(table.style).to.equal('box');
+    expect(texts(table)).to.deep.equal({
+      header: ['Name', 'Notes'],
+      rows: [
+        ['a', 'line 1\nline 2'],
+        ['b', 'ok'],
+      ],
+    });
+  });
+
+  it('should give cells without bars between columns a span', () => {
+    const table = extractAsciiTable(`┌─────────────┐
+│   Servers   │
+├──────┬──────┤
+│ web  │ up   │
+│ db   │ down │
+└──────┴──────┘`);
+
+    expect(table.columns).to.equal(2);
+    expect(table.header).to.deep.equal([{ text: 'Servers', span: 2 }]);
+    expect(table.rows[0]).to.deep.equal([
+      { text: 'web', span: 1 },
+      { text: 'up', span: 1 },
+    ]);
+  });
+
+  it('should read columns aligned with spaces', () => {
+    const table = extractAsciiTable(`$ docker ps
+CONTAINER ID   IMAGE          STATUS       PORTS     NAMES
+4c01db0b339c   nginx:latest   Up 2 hours   80/tcp    web
+9a2b3c4d5e6f   redis:7        Up 3 hours             cache`);
+
+    expect(table).to.include({
+      style: 'aligned',
+      columns: 5,
+      startLine: 2,
+      endLine: 4,
+    });
+    expect(texts(table)).to.deep.equal({
+      header: ['CONTAINER ID', 'IMAGE', 'STATUS', 'PORTS', 'NAMES'],
+      rows: [
+        ['4c01db0b339c', 'nginx:latest', 'Up 2 hours', '80/tcp', 'web'],
+        ['9a2b3c4d5e6f', 'redis:7', 'Up 3 hours', '', 'cache'],
+      ],
+    });
+  });
+
+  it('should take a header from a dashed rule or numeric columns', () => {
+    const ruled = extractAsciiTable(`name    size
+------  ----
+a.txt   12
+b.txt   340`);
+    expect(texts(ruled).header).to.deep.equal(['name', 'size']);
+
+    const numeric = extractAsciiTable(`file    lines
+a.js    120
+b.js    87`);
+    expect(texts(numeric).header).to.deep.equal(['file', 'lines']);
+
+    const data = extractAsciiTable(`a.js    120
+b.js    87`);
+    expect(texts(data)).to.deep.equal({
+      header: null,
+      rows: [
+        ['a.js', '120'],
+        ['b.js', '87'],
+      ],
+    });
+  });
+
+  it('should strip escape sequences first', () => {
+    const table = extractAsciiTable(
+      '\x1B[1mNAME\x1B[0m   READY\nweb    1/1\napi    0/1'
+    );
+    expect(texts(table).header).to.deep.equal(['NAME', 'READY']);
+  });
+
+  it('should return null without a table', () => {
+    expect(
+      extractAsciiTable(`This is a paragraph of text that goes
+on for  a couple of lines and  has no
+table in it at all.`)
+    ).to.be.null;
+    expect(extractAsciiTable('# Title\n\n---\n\nText.')).to.be.null;
+    expect(extractAsciiTable('')).to.be.null;
+    expect(extractAsciiTable(null)).to.be.null;
+  });
+});
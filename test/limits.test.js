@@ -0,0 +1,194 @@
+import { expect } from 'chai';
+import { performance } from 'node:perf_hooks';
+import {
+  createDetector,
+  detectTextFormat,
+  explainTextFormat,
+} from '../src/index.js';
+
+const LINES = Array.from(
+  { length: 3000 },
+  (_, i) => `Line ${i} of a long plain text.`
+).join('\n');
+
+// Units that, repeated, made a pattern or loop backtrack or rescan before
+// it was rewritten
+const HOSTILE = [
+  '\n', // ^\s* at the start of every line
+  '\r---\n', // front matter openers after bare carriage returns
+  '\u2028', // line separators, which ^ also matches after
+  '[', // link text that never closes
+  '![a](',
+  '<a ', // inline HTML tags that never close
+  '<a></b>', // start tags that no end tag matches
+  '(', // Go frame names made of parentheses
+  '|---', // table alignment rows
+  'a\n---\n', // setext headings
+  'x:\n ', // CSS declarations across lines
+  '```\n', // fence after fence
+  '{"a":[',
+];
+
+/**
+ * Time a detection, keeping the fastest of a few runs to damp noise
+ * @param {string} text - Text to detect
+ * @param {Object} [options] - Detection options
+ * @returns {number} Milliseconds
+ */
+function time(text, options) {
+  let best = Infinity;
+  for (let i = 0; i < 3; i++) {
+    const start = performance.now();
+    detectTextFormat(text, options);
+    best = Math.min(best, performance.now() - start);
+  }
+  return best;
+}
+
+/**
+ * Create a detector with a plugin that takes a while to score
+ * @param {number} ms - How long the plugin takes
+ * @returns {Object} Detector
+ */
+function slowDetector(ms) {
+  return createDetector().register({
+    name: 'slow',
+    priority: 1000,
+    threshold: 1,
+    score() {
+      const start = Date.now();
+      while (Date.now() - start < ms);
+      return { score: 0, reasons: [] };
+    },
+  });
+}
+
+describe('input limits', () => {
+  describe('maxLength', () => {
+    it('should sample the head, middle and tail of long inputs', () => {
+      const result = detectTextFormat(LINES, { limits: { maxLength: 3000 } });
+      const { length, windows } = result.sampled;
+
+      expect(length).to.equal(LINES.length);
+      expect(windows).to.have.length(3);
+      expect(windows[0].start).to.equal(0);
+      expect(windows[2].end).to.equal(LINES.length);
+      for (const { start, end } of windows) {
+        expect(end - start).to.be.at.most(1000);
+        // Windows hold whole lines
+        expect(start === 0 || LINES[start - 1] === '\n').to.be.true;
+        expect(end === LINES.length || LINES[end] === '\n').to.be.true;
+      }
+      expect(windows[1].start).to.be.above(windows[0].end);
+      expect(windows[2].start).to.be.above(windows[1].end);
+    });
+
+    it('should detect from the sample', () => {
+      const markdown = `# Notes\n\n${'- an item\n'.repeat(20000)}`;
+      const json = JSON.stringify(
+        Array.from({ length: 5000 }, (_, id) => ({ id, tags: ['a', 'b'] })),
+        null,
+        2
+      );
+
+      const options = { limits: { maxLength: 100000 } };
+      const result = detectTextFormat(markdown, options);
+      expect(result.sampled.length).to.equal(markdown.length);
+      expect(result.text_format).to.equal('markdown');
+      expect(detectTextFormat(json, options)).to.include({
+        text_format: 'json',
+        subformat: 'json',
+      });
+    });
+
+    it('should leave shorter inputs and disabled limits alone', () => {
+      expect(
+        detectTextFormat(LINES, { limits: { maxLength: LINES.length } })
+      ).to.not.have.property('sampled');
+      expect(
+        detectTextFormat(LINES, { limits: { maxLength: null } })
+      ).to.not.have.property('sampled');
+    });
+
+    it('should read long inputs whole unless asked to sample', () => {
+      const long = 'a line of plain text\n'.repeat(6000);
+      expect(detectTextFormat(long)).to.not.have.property('sampled');
+    });
+
+    it('should explain the sampled text', () => {
+      const explanation = explainTextFormat(LINES, {
+        limits: { maxLength: 3000 },
+      });
+      expect(explanation.text.length).to.be.at.most(3002);
+      expect(explanation.result.sampled.windows).to.have.length(3);
+    });
+  });
+
+  describe('timeBudget', () => {
+    it('should skip the detectors left when the budget runs out', () => {
+      const result = slowDetector(30).detect('# Title\n\n- one\n- two', {
+        limits: { timeBudget: 10 },
+      });
+
+      expect(result.truncated).to.be.true;
+      expect(result.skipped).to.include.members(['markdown', 'diff']);
+      expect(result.text_format).to.equal('plain');
+      expect(result.scores.markdown).to.equal(0);
+      expect(result.reasons.markdown).to.deep.equal([]);
+    });
+
+    it('should keep the detectors scored before the budget ran out', () => {
+      const detector = createDetector();
+      const result = detector.detect('# Title\n\n- one\n- two', {
+        limits: { timeBudget: 10000 },
+      });
+      expect(result).to.not.have.property('truncated');
+      expect(result.text_format).to.equal('markdown');
+    });
+
+    it('should mark skipped detectors in explanations', () => {
+      const { detectors } = slowDetector(30).explain('# Title', {
+        limits: { timeBudget: 10 },
+      });
+      const markdown = detectors.find((d) => d.name === 'markdown');
+      expect(markdown).to.include({ skipped: true, accepted: false });
+      expect(markdown.checks).to.deep.equal([]);
+    });
+  });
+
+  describe('hostile input', function () {
+    // Detection takes a while on texts this long on slow machines
+    this.timeout(60000);
+
+    it('should take linear time on repeated pathological units', () => {
+      for (const unit of HOSTILE) {
+        const text = (n) => unit.repeat(Math.ceil(n / unit.length));
+        const options = { limits: { maxLength: null } };
+        const small = time(text(10000), options);
+        const large = time(text(40000), options);
+        // Quadratic work would take 16 times as long
+        expect(large, JSON.stringify(unit)).to.be.below(Math.max(small, 5) * 8);
+      }
+    });
+
+    it('should take linear time on start tags that end tags never match', () => {
+      const text = (n) => '<a>'.repeat(n) + '</b>'.repeat(n);
+      const small = time(text(3000));
+      const large = time(text(12000));
+      expect(large).to.be.below(Math.max(small, 5) * 8);
+    });
+
+    it('should bound the time for multi-megabyte input when sampled', () => {
+      const options = { limits: { maxLength: 100000 } };
+      for (const unit of HOSTILE.slice(0, 4)) {
+        const text = unit.repeat(Math.ceil(4e6 / unit.length));
+        const start = performance.now();
+        const result = detectTextFormat(text, options);
+        expect(result.sampled.length).to.equal(text.length);
+        expect(performance.now() - start, JSON.stringify(unit)).to.be.below(
+          5000
+        );
+      }
+    });
+  });
+});
@@ -0,0 +1,163 @@
+import { expect } from 'chai';
+import { createDetector, detectTextFormat, presets } from '../src/index.js';
+
+const CAT = `   /\\_/\\
+  ( o.o )
+   > ^ <
+  cat says hi`;
+
+const RULES = `Results ===== ok
+------ done ------
+all good here now`;
+
+describe('detection options', () => {
+  describe('effective configuration', () => {
+    it('should echo the defaults when no options are given', () => {
+      const { options } = detectTextFormat('Hello there.');
+      expect(options.preset).to.be.null;
+      expect(options.thresholds).to.include({
+        ascii: 0.35,
+        markdown: 0.08,
+        code: 0.5,
+      });
+      expect(options.margins).to.deep.equal({ ascii: 0.1 });
+      expect(options.weights.ascii.unicode_art_chars).to.equal(0.28);
+      expect(options.weights.markdown.heading).to.equal(0.18);
+      expect(options.limits).to.deep.equal({
+        maxLength: null,
+        timeBudget: null,
+      });
+    });
+
+    it('should echo overrides merged over the preset', () => {
+      const { options } = detectTextFormat('Hello there.', {
+        preset: 'chat',
+        thresholds: { markdown: 0.02 },
+      });
+      expect(options.preset).to.equal('chat');
+      expect(options.thresholds.markdown).to.equal(0.02);
+      expect(options.thresholds.ascii).to.equal(0.45);
+      expect(options.margins.ascii).to.equal(0.2);
+    });
+
+    it('should not let callers change the shared configuration', () => {
+      const { options } = detectTextFormat('Hello there.');
+      expect(Object.isFrozen(options.weights.ascii)).to.be.true;
+    });
+  });
+
+  describe('overrides', () => {
+    it('should apply thresholds', () => {
+      expect(detectTextFormat(RULES).text_format).to.equal('ascii');
+      const result = detectTextFormat(RULES, { thresholds: { ascii: 0.5 } });
+      expect(result.text_format).to.equal('plain');
+    });
+
+    it('should apply the ascii margin', () => {
+      const text = `+------+------+
+| a    | b    |
++------+------+
+- item`;
+      const loose = detectTextFormat(text, { margins: { ascii: 0 } });
+      const strict = detectTextFormat(text, { margins: { ascii: 1 } });
+      expect(loose.text_format).to.equal('ascii');
+      expect(strict.text_format).to.not.equal('ascii');
+    });
+
+    it('should apply feature weights', () => {
+      const text = 'Use *this* one.\nIt works.';
+      const result = detectTextFormat(text, {
+        weights: { markdown: { emphasis: 0.3 } },
+      });
+      expect(result.markdown).to.equal(0.3);
+    });
+
+    it('should keep ASCII art under the archival preset', () => {
+      expect(detectTextFormat(CAT).text_format).to.equal('plain');
+      const result = detectTextFormat(CAT, { preset: 'archival' });
+      expect(result.text_format).to.equal('ascii');
+    });
+
+    it('should favor markdown under the chat preset', () => {
+      expect(detectTextFormat(RULES, { preset: 'chat' }).text_format).to.equal(
+        'plain'
+      );
+      const result = detectTextFormat('Run `npm test`.', { preset: 'chat' });
+      expect(result.markdown).to.equal(
+        presets.chat.weights.markdown.inlineCode
+      );
+    });
+
+    it('should accept a preset object', () => {
+      const archive = {
+        thresholds: { ascii: 0.2 },
+        weights: { ascii: { code_like_penalty: 0 } },
+      };
+      const result = detectTextFormat(CAT, { preset: archive });
+      expect(result.text_format).to.equal('ascii');
+      expect(result.options.preset).to.be.null;
+    });
+
+    it('should use default options given to createDetector', () => {
+      const detector = createDetector({ options: { preset: 'archival' } });
+      expect(detector.detect(CAT).text_format).to.equal('ascii');
+      expect(
+        detector.detect(CAT, { thresholds: { ascii: 0.9 } }).text_format
+      ).to.equal('plain');
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject unknown options and presets', () => {
+      expect(() => detectTextFormat('x', { treshold: {} })).to.throw(
+        TypeError,
+        /Unknown option "treshold"/
+      );
+      expect(() => detectTextFormat('x', { preset: 'nope' })).to.throw(
+        TypeError,
+        /Unknown preset/
+      );
+    });
+
+    it('should reject unknown detectors and features', () => {
+      expect(() =>
+        detectTextFormat('x', { thresholds: { ascci: 0.3 } })
+      ).to.throw(TypeError, /Unknown detector "ascci"/);
+      expect(() => detectTextFormat('x', { margins: { json: 0.1 } })).to.throw(
+        TypeError,
+        /no margin/
+      );
+      expect(() =>
+        detectTextFormat('x', { weights: { markdown: { headings: 0.2 } } })
+      ).to.throw(TypeError, /Unknown markdown weight "headings"/);
+    });
+
+    it('should reject values out of range', () => {
+      expect(() =>
+        detectTextFormat('x', { thresholds: { markdown: 1.5 } })
+      ).to.throw(TypeError, /between 0 and 1/);
+      expect(() =>
+        detectTextFormat('x', { weights: { ascii: { ansi_sequences: '0.2' } } })
+      ).to.throw(TypeError, /between -1 and 1/);
+    });
+
+    it('should reject unknown and invalid limits', () => {
+      expect(() => detectTextFormat('x', { limits: { maxSize: 10 } })).to.throw(
+        TypeError,
+        /Unknown limit "maxSize"/
+      );
+      expect(() =>
+        detectTextFormat('x', { limits: { maxLength: 0 } })
+      ).to.throw(TypeError, /positive integer or null/);
+      expect(() =>
+        detectTextFormat('x', { limits: { timeBudget: '50' } })
+      ).to.throw(TypeError, /positive integer or null/);
+    });
+
+    it('should reject invalid default options when creating a detector', () => {
+      expect(() => createDetector({ options: { preset: 'nope' } })).to.throw(
+        TypeError
+      );
+    });
+  });
+});
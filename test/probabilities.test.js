@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import { calibrate, createDetector, detectTextFormat } from '../src/index.js';
+
+const FORMATS = [
+  'plain',
+  'markdown',
+  'ascii',
+  'code',
+  'html',
+  'xml',
+  'svg',
+  'jsx',
+  'template',
+  'json',
+  'yaml',
+  'toml',
+  'ini',
+  'dotenv',
+  'csv',
+  'log',
+  'diff',
+  'terminal',
+];
+
+const sum = (p) => Object.values(p).reduce((a, b) => a + b, 0);
+
+describe('probabilities', () => {
+  it('should cover every built-in format and sum to 1', () => {
+    const { probabilities } = detectTextFormat('# Title\n\n- one\n- two');
+    expect(probabilities).to.have.all.keys(FORMATS);
+    expect(sum(probabilities)).to.be.closeTo(1, 1e-9);
+  });
+
+  it('should give the detected format the highest probability', () => {
+    for (const text of [
+      'Just a sentence.',
+      '{"a": 1}',
+      'id,name\n1,Ada\n2,Grace',
+      '┌──┐\n│ok│\n└──┘',
+    ]) {
+      const { text_format, probabilities } = detectTextFormat(text);
+      const top = Object.keys(probabilities).reduce((a, b) =>
+        probabilities[a] >= probabilities[b] ? a : b
+      );
+      expect(top).to.equal(text_format);
+    }
+  });
+
+  it('should be more confident about clear-cut input', () => {
+    const clear = detectTextFormat('{"name": "demo", "version": "1.0.0"}');
+    const borderline = detectTextFormat('Use *this* one.');
+    expect(clear.probabilities.json).to.be.greaterThan(
+      borderline.probabilities.markdown
+    );
+  });
+
+  it('should include plain text for empty input', () => {
+    const { probabilities } = detectTextFormat('');
+    expect(probabilities.plain).to.be.greaterThan(0.5);
+    expect(sum(probabilities)).to.be.closeTo(1, 1e-9);
+  });
+
+  it('should cover the formats of custom detectors', () => {
+    const detector = createDetector().register({
+      name: 'gcode',
+      priority: 85,
+      score: (text) => ({ score: /^G[0-3] /m.test(text) ? 1 : 0 }),
+    });
+    const { probabilities } = detector.detect('G0 X0 Y0\nG1 X10 Y0');
+    expect(probabilities).to.have.property('gcode');
+    expect(sum(probabilities)).to.be.closeTo(1, 1e-9);
+  });
+});
+
+describe('calibrate', () => {
+  const samples = [
+    { text: 'Just a plain sentence here.', format: 'plain' },
+    { text: 'Another plain sentence.', format: 'plain' },
+    { text: '# Title\n\n- one\n- two', format: 'markdown' },
+    { text: 'See [docs](https://x.io) and `npm test`.', format: 'markdown' },
+    { text: '{"a": 1, "b": [2, 3]}', format: 'json' },
+    { text: '[1, 2, 3]', format: 'json' },
+  ];
+
+  it('should fit parameters for every format', () => {
+    const { calibration } = calibrate(samples);
+    expect(calibration.formats).to.have.all.keys(FORMATS);
+    expect(calibration.decision).to.be.a('number');
+  });
+
+  it('should not do worse than the bundled calibration on its samples', () => {
+    const { metrics, baseline } = calibrate(samples);
+    expect(metrics.samples).to.equal(samples.length);
+    expect(metrics.logLoss).to.be.at.most(baseline.logLoss);
+  });
+
+  it('should be usable by createDetector', () => {
+    const { calibration } = calibrate(samples);
+    const detector = createDetector({ calibration });
+    expect(detector.calibration).to.equal(calibration);
+    expect(sum(detector.detect('[1, 2]').probabilities)).to.be.closeTo(1, 1e-9);
+  });
+
+  it('should reject samples labelled with unknown formats', () => {
+    expect(() => calibrate([{ text: 'x', format: 'pdf' }])).to.throw(
+      TypeError,
+      /Unknown format "pdf"/
+    );
+  });
+});
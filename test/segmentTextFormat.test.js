@@ -0,0 +1,129 @@
+import { expect } from 'chai';
+import { segmentTextFormat } from '../src/index.js';
+
+describe('segmentTextFormat', () => {
+  const mixed = `Here is how the pipeline works. We first read the input and then
+parse it into tokens before handing them to the renderer.
+
+\`\`\`js
+const x = 1;
+\`\`\`
+
++----------+     +----------+
+|  reader  | --> |  parser  |
++----------+     +----------+
+|  cache   |     |  output  |
++----------+     +----------+
+
+## Notes
+
+- first item
+- second item`;
+
+  describe('empty and invalid inputs', () => {
+    it('should return no regions for empty string', () => {
+      expect(segmentTextFormat('')).to.deep.equal([]);
+    });
+
+    it('should return no regions for non-string input', () => {
+      expect(segmentTextFormat(undefined)).to.deep.equal([]);
+    });
+  });
+
+  describe('mixed documents', () => {
+    it('should split prose, code, ascii art and markdown in order', () => {
+      const regions = segmentTextFormat(mixed);
+      expect(regions.map((r) => r.text_format)).to.deep.equal([
+        'plain',
+        'code',
+        'ascii',
+        'markdown',
+      ]);
+    });
+
+    it('should report 1-based line ranges', () => {
+      const regions = segmentTextFormat(mixed);
+      expect(regions.map((r) => [r.startLine, r.endLine])).to.deep.equal([
+        [1, 3],
+        [4, 7],
+        [8, 13],
+        [14, 17],
+      ]);
+    });
+
+    it('should cover the whole text with contiguous offsets', () => {
+      const regions = segmentTextFormat(mixed);
+      expect(regions[0].start).to.equal(0);
+      expect(regions.at(-1).end).to.equal(mixed.length);
+      for (let i = 1; i < regions.length; i++) {
+        expect(regions[i].start).to.equal(regions[i - 1].end);
+      }
+    });
+
+    it('should slice back to the region text', () => {
+      const [, code] = segmentTextFormat(mixed);
+      expect(mixed.slice(code.start, code.end)).to.equal(
+        '```js\nconst x = 1;\n```\n\n'
+      );
+    });
+
+    it('should include per-region scores', () => {
+      const ascii = segmentTextFormat(mixed)[2];
+      expect(ascii.scores.asciiArt).to.be.greaterThan(0.35);
+      expect(ascii.scores).to.have.property('markdown');
+    });
+  });
+
+  describe('unfenced code', () => {
+    it('should find a code region between prose paragraphs', () => {
+      const text = `You can fix it by changing the handler so it returns early.
+
+function handle(req, res) {
+  if (!req.user) {
+    return res.status(401).end();
+  }
+  next();
+}
+
+That should stop the crash.`;
+      const regions = segmentTextFormat(text);
+      expect(regions.map((r) => r.text_format)).to.deep.equal([
+        'plain',
+        'code',
+        'plain',
+      ]);
+      expect(regions[1].startLine).to.equal(3);
+      expect(regions[1].scores.code).to.be.at.least(0.5);
+    });
+  });
+
+  describe('merging', () => {
+    it('should return a single region for uniform text', () => {
+      const regions = segmentTextFormat(`- Item one
+- Item two
+- Item three`);
+      expect(regions).to.have.length(1);
+      expect(regions[0].text_format).to.equal('markdown');
+    });
+
+    it('should merge adjacent fenced blocks into one code region', () => {
+      const regions = segmentTextFormat('```\na\n```\n\n~~~\nb\n~~~');
+      expect(regions).to.have.length(1);
+      expect(regions[0].text_format).to.equal('code');
+    });
+
+    it('should treat an unclosed fence as code to the end', () => {
+      const regions = segmentTextFormat('Intro line\n```js\nconst x = 1;');
+      expect(regions.at(-1).text_format).to.equal('code');
+      expect(regions.at(-1).startLine).to.equal(2);
+    });
+  });
+
+  describe('line endings', () => {
+    it('should keep offsets into CRLF text', () => {
+      const text = 'Some prose\r\n\r\n```\r\ncode\r\n```';
+      const regions = segmentTextFormat(text);
+      expect(regions[1].start).to.equal(text.indexOf('```'));
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { expect } from 'chai';
+import { performance } from 'node:perf_hooks';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { createStreamDetector, detectTextFormat } from '../src/index.js';
+
+const REPLY = `Here is the fix:
+
+\`\`\`js
+const total = items.reduce((sum, item) => sum + item.price, 0);
+\`\`\`
+
+That should **work** now, see [the docs](https://example.com).
+`;
+
+/**
+ * Split text into chunks of a few characters, like streamed tokens
+ * @param {string} text - Text to split
+ * @param {number} [size] - Characters per chunk
+ * @returns {string[]} Chunks
+ */
+function tokens(text, size = 3) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(text.slice(i, i + size));
+  }
+  return chunks;
+}
+
+describe('createStreamDetector', () => {
+  it('should end with the same result as detectTextFormat', () => {
+    const stream = createStreamDetector();
+    tokens(REPLY).forEach((chunk) => stream.push(chunk));
+    expect(stream.end()).to.deep.equal(detectTextFormat(REPLY));
+  });
+
+  it('should hold the label while a fence is open', () => {
+    const stream = createStreamDetector();
+    const states = tokens('```js\nconst a = 1;\nlet b = a + 1;\n').map(
+      (chunk) => stream.push(chunk)
+    );
+
+    expect(states.at(-1).openFence).to.deep.include({
+      marker: '```',
+      info: 'js',
+      line: 1,
+    });
+    expect(states.map((s) => s.text_format)).to.satisfy((labels) =>
+      labels.every((l) => l === 'plain')
+    );
+
+    stream.push('```\n');
+    expect(stream.state.openFence).to.equal(null);
+    expect(stream.state.text_format).to.equal('code');
+  });
+
+  it('should emit each label change once', () => {
+    const stream = createStreamDetector();
+    const changes = [];
+    stream.on('change', ({ previous, text_format }) =>
+      changes.push(`${previous}->${text_format}`)
+    );
+    tokens(REPLY).forEach((chunk) => stream.push(chunk));
+    stream.end();
+
+    expect(changes).to.deep.equal(['plain->code', 'code->markdown']);
+  });
+
+  it('should wait for agreeing detections before changing the label', () => {
+    const stream = createStreamDetector({ stability: 3 });
+    stream.push('# Title\n');
+    expect(stream.state.candidate).to.equal('markdown');
+    expect(stream.state.text_format).to.equal('plain');
+  });
+
+  it('should keep line statistics and markdown features', () => {
+    const stream = createStreamDetector();
+    stream.push('# Ti');
+    stream.push('tle\r');
+    stream.push('\n- one\n- tw');
+    const { stats, features, length } = stream.state;
+
+    expect(stats.lines).to.equal(2);
+    expect(stats.mean).to.equal(6);
+    expect(features).to.have.members(['heading', 'list']);
+    expect(length).to.equal(19);
+  });
+
+  it('should measure lines in display columns', () => {
+    const stream = createStreamDetector();
+    stream.push('日本語\nabc\n');
+    expect(stream.state.stats.mean).to.equal(4.5);
+  });
+
+  it('should take linear time on a long line in small chunks', () => {
+    /**
+     * Time streaming one line of the given number of chunks
+     * @param {number} count - Chunks of the line
+     * @returns {number} Milliseconds
+     */
+    const time = (count) => {
+      const stream = createStreamDetector();
+      const start = performance.now();
+      for (let i = 0; i < count; i++) stream.push('token ');
+      stream.push('\r');
+      stream.push('\n');
+      const elapsed = performance.now() - start;
+      expect(stream.state.stats.lines).to.equal(1);
+      expect(stream.state.stats.mean).to.equal(count * 6);
+      return elapsed;
+    };
+
+    const small = time(20000);
+    // Searching the whole line for every chunk would take 16 times as long
+    expect(time(80000)).to.be.below(Math.max(small, 5) * 8);
+  });
+
+  it('should not detect again for every chunk', () => {
+    let calls = 0;
+    const stream = createStreamDetector({
+      detector: {
+        detect(text) {
+          calls++;
+          return detectTextFormat(text);
+        },
+      },
+    });
+    const text = Array.from({ length: 500 }, (_, i) => `Line ${i}.`).join('\n');
+    tokens(text).forEach((chunk) => stream.push(chunk));
+    stream.end();
+
+    expect(calls).to.be.below(50);
+  });
+
+  it('should pass options to every detection', () => {
+    const stream = createStreamDetector({ options: { preset: 'chat' } });
+    stream.push('Hello\n');
+    expect(stream.end().options.preset).to.equal('chat');
+  });
+
+  it('should report the final result to end listeners', () => {
+    const stream = createStreamDetector();
+    let final = null;
+    stream.on('end', (result) => (final = result));
+    stream.push('{"a": 1}');
+    const result = stream.end();
+
+    expect(final).to.equal(result);
+    expect(result.text_format).to.equal('json');
+    expect(stream.end()).to.equal(result);
+  });
+
+  it('should stop calling removed listeners', () => {
+    const stream = createStreamDetector({ stability: 1 });
+    let calls = 0;
+    const off = stream.on('change', () => calls++);
+    off();
+    stream.push('# Title\n');
+    expect(calls).to.equal(0);
+  });
+
+  it('should reject invalid input', () => {
+    const stream = createStreamDetector();
+    expect(() => stream.push(42)).to.throw(TypeError);
+    expect(() => stream.on('close', () => {})).to.throw(TypeError);
+    expect(() => createStreamDetector({ stability: 0 })).to.throw(TypeError);
+    stream.end();
+    expect(() => stream.push('more')).to.throw(Error, /already ended/);
+  });
+
+  it('should work as a WHATWG TransformStream', async () => {
+    const stream = createStreamDetector();
+    const encoded = new TextEncoder().encode('# Title\n\n- one\n- two\n');
+    const source = new ReadableStream({
+      start(controller) {
+        controller.enqueue(encoded.slice(0, 5));
+        controller.enqueue(encoded.slice(5));
+        controller.close();
+      },
+    });
+    const chunks = [];
+    await source
+      .pipeThrough(stream.toWebStream())
+      .pipeTo(new WritableStream({ write: (chunk) => chunks.push(chunk) }));
+
+    expect(chunks).to.have.length(2);
+    expect(stream.result.text_format).to.equal('markdown');
+    expect(stream.state.ended).to.equal(true);
+  });
+
+  it('should work as a Node Transform', async () => {
+    const stream = createStreamDetector();
+    let output = '';
+    await pipeline(
+      Readable.from(tokens(REPLY).map((chunk) => Buffer.from(chunk))),
+      stream.toNodeStream(),
+      new Writable({
+        write(chunk, _encoding, callback) {
+          output += chunk;
+          callback();
+        },
+      })
+    );
+
+    expect(output).to.equal(REPLY);
+    expect(stream.result.text_format).to.equal('markdown');
+  });
+});
@@ -0,0 +1,242 @@
+import { expect } from 'chai';
+import { toRenderModel } from '../src/index.js';
+
+const BOX = `┌──────────┬──────────┐
+│  Name    │  Value   │
+├──────────┼──────────┤
+│  alpha   │  1       │
+└──────────┴──────────┘`;
+
+describe('toRenderModel', () => {
+  it('should build markdown blocks with their positions', () => {
+    const text = [
+      '# Title',
+      '',
+      'Some text',
+      'on two lines.',
+      '',
+      'Setext',
+      '------',
+      '',
+      '***',
+      '',
+      '```python',
+      'print(1)',
+      '```',
+    ].join('\n');
+    const model = toRenderModel(text);
+
+    expect(model).to.include({
+      type: 'document',
+      format: 'markdown',
+      subformat: null,
+    });
+    expect(model.children).to.deep.equal([
+      { type: 'heading', depth: 1, text: 'Title', startLine: 1, endLine: 1 },
+      {
+        type: 'paragraph',
+        text: 'Some text\non two lines.',
+        startLine: 3,
+        endLine: 4,
+      },
+      { type: 'heading', depth: 2, text: 'Setext', startLine: 6, endLine: 7 },
+      { type: 'rule', startLine: 9, endLine: 9 },
+      {
+        type: 'code',
+        language: 'python',
+        info: 'python',
+        text: 'print(1)',
+        startLine: 11,
+        endLine: 13,
+      },
+    ]);
+  });
+
+  it('should read lists, task items and nesting', () => {
+    const [bullets, numbers] = toRenderModel(
+      '# Todo\n\n- [x] done\n- [ ] open\n  - nested\n\n3. third\n4. fourth'
+    ).children.slice(1);
+
+    expect(bullets).to.deep.equal({
+      type: 'list',
+      ordered: false,
+      start: null,
+      items: [
+        { text: 'done', depth: 0, checked: true, line: 3 },
+        { text: 'open', depth: 0, checked: false, line: 4 },
+        { text: 'nested', depth: 1, checked: null, line: 5 },
+      ],
+      startLine: 3,
+      endLine: 5,
+    });
+    expect(numbers).to.include({ ordered: true, start: 3, startLine: 7 });
+    expect(numbers.items.map((item) => item.text)).to.deep.equal([
+      'third',
+      'fourth',
+    ]);
+  });
+
+  it('should read tables and quotes', () => {
+    const [, table, quote] = toRenderModel(
+      '# Data\n\n| a | b \\| c |\n|:---|---:|\n| 1 | 2 |\n\n> **Note**\n> quoted'
+    ).children;
+
+    expect(table).to.deep.equal({
+      type: 'table',
+      header: ['a', 'b | c'],
+      align: ['left', 'right'],
+      rows: [['1', '2']],
+      startLine: 3,
+      endLine: 5,
+    });
+    expect(quote).to.deep.equal({
+      type: 'quote',
+      children: [
+        {
+          type: 'paragraph',
+          text: '**Note**\nquoted',
+          startLine: 7,
+          endLine: 8,
+        },
+      ],
+      startLine: 7,
+      endLine: 8,
+    });
+  });
+
+  it('should read quotes nested past the depth limit as text', () => {
+    let [node] = toRenderModel(`${'> '.repeat(4000)}x`).children;
+    let depth = 0;
+    while (node.type === 'quote') {
+      depth++;
+      [node] = node.children;
+    }
+
+    expect(depth).to.equal(100);
+    expect(node.type).to.equal('paragraph');
+    expect(node.text).to.equal(`${'> '.repeat(3900)}x`);
+  });
+
+  it('should keep ASCII art as a preformatted block', () => {
+    expect(toRenderModel(BOX).children).to.deep.equal([
+      {
+        type: 'preformatted',
+        kind: 'art',
+        text: BOX,
+        startLine: 1,
+        endLine: 5,
+      },
+    ]);
+
+    const mixed = toRenderModel(`# Notes\n\nSee below.\n\n${BOX}\n`);
+    expect(mixed.children.map((node) => node.type)).to.deep.equal([
+      'heading',
+      'paragraph',
+      'preformatted',
+    ]);
+    expect(mixed.children[2]).to.include({ text: BOX, startLine: 5 });
+  });
+
+  it('should turn markdown front matter into a data node', () => {
+    const [front, heading] = toRenderModel(
+      '---\ntitle: Hi\n---\n# Title\n\nBody text.'
+    ).children;
+
+    expect(front).to.deep.equal({
+      type: 'data',
+      format: 'yaml',
+      subformat: 'front-matter',
+      text: 'title: Hi',
+      value: null,
+      startLine: 1,
+      endLine: 3,
+    });
+    expect(heading).to.include({ type: 'heading', startLine: 4 });
+  });
+
+  it('should convert code with its language', () => {
+    expect(
+      toRenderModel('def f(x):\n    return x + 1\n\nprint(f(2))\n').children
+    ).to.deep.equal([
+      {
+        type: 'code',
+        language: 'python',
+        info: null,
+        text: 'def f(x):\n    return x + 1\n\nprint(f(2))',
+        startLine: 1,
+        endLine: 4,
+      },
+    ]);
+  });
+
+  it('should convert structured data', () => {
+    const json = toRenderModel('{"a": [1, 2]}');
+    expect(json).to.include({ format: 'json', subformat: 'json' });
+    expect(json.children[0]).to.deep.include({
+      type: 'data',
+      value: { a: [1, 2] },
+    });
+
+    const [yaml] = toRenderModel(
+      'key: value\nother: 2\nlist:\n  - a\n'
+    ).children;
+    expect(yaml).to.include({ type: 'data', format: 'yaml', value: null });
+  });
+
+  it('should not parse JSON that only its sample showed to be valid', () => {
+    const items = Array.from({ length: 300 }, (_, id) => `{"id": ${id}}`);
+    items[290] = '{"id": 290,,}';
+    const model = toRenderModel(`[${items.join(',\n')}]`, {
+      limits: { maxLength: 600 },
+    });
+    expect(model).to.include({ format: 'json' });
+    expect(model.children[0]).to.include({ type: 'data', value: null });
+  });
+
+  it('should convert delimited data into a table', () => {
+    expect(toRenderModel('id,name\n1,Ada\n2,Grace\n').children).to.deep.equal([
+      {
+        type: 'table',
+        header: ['id', 'name'],
+        align: [null, null],
+        rows: [
+          ['1', 'Ada'],
+          ['2', 'Grace'],
+        ],
+        startLine: 1,
+        endLine: 3,
+      },
+    ]);
+  });
+
+  it('should keep terminal output with its styled spans', () => {
+    const [node] = toRenderModel('\x1b[32mok\x1b[0m done\n').children;
+    expect(node).to.include({
+      type: 'preformatted',
+      kind: 'terminal',
+      text: 'ok done',
+    });
+    expect(node.spans[0]).to.deep.equal({
+      text: 'ok',
+      style: { fg: 'green' },
+      href: null,
+    });
+  });
+
+  it('should show diffs as code', () => {
+    const [node] = toRenderModel(
+      '--- a/x\n+++ b/x\n@@ -1 +1 @@\n-a\n+b'
+    ).children;
+    expect(node).to.include({ type: 'code', language: 'diff', endLine: 5 });
+  });
+
+  it('should return an empty document for empty input', () => {
+    expect(toRenderModel('')).to.deep.equal({
+      type: 'document',
+      format: 'plain',
+      subformat: null,
+      children: [],
+    });
+    expect(toRenderModel(null).children).to.deep.equal([]);
+  });
+});
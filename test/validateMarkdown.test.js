@@ -0,0 +1,153 @@
+import { expect } from 'chai';
+import { validateMarkdown } from '../src/index.js';
+
+/**
+ * List the rules of the issues found in a text
+ * @param {string} text - Markdown to check
+ * @returns {string[]} Rule per issue
+ */
+function rules(text) {
+  return validateMarkdown(text).issues.map((issue) => issue.rule);
+}
+
+describe('validateMarkdown', () => {
+  it('should score well-formed markdown 1 with no issues', () => {
+    const text = `---
+title: Notes
+---
+# Title
+
+Some *emphasis*, **bold**, ~~old~~ and a [link](https://example.com/a_(b)).
+
+| Name | Value |
+| :--- | ----: |
+| a    | 1     |
+
+- one
+  - nested
+- [x] done
+
+1. first
+   - nested under a number
+
+See [the docs][docs], [docs][] and the note[^1].
+
+[docs]: https://example.com
+[^1]: A footnote.
+
+\`\`\`js
+const x = a * b_c;
+\`\`\``;
+    expect(validateMarkdown(text)).to.deep.equal({
+      structureScore: 1,
+      issues: [],
+    });
+  });
+
+  it('should report issues with their position', () => {
+    const text = 'Intro\n\n```js\nconst x = 1;';
+    expect(validateMarkdown(text)).to.deep.equal({
+      structureScore: 0,
+      issues: [
+        {
+          rule: 'unclosed-fence',
+          message: 'unclosed fence at line 3',
+          line: 3,
+          column: 1,
+        },
+      ],
+    });
+  });
+
+  it('should check table alignment rows and columns', () => {
+    expect(rules('| a | b |\n| 1 | 2 |')).to.deep.equal(['table-alignment']);
+    expect(
+      validateMarkdown('| a | b |\n|---|---|\n| 1 | 2 | 3 |').issues[0]
+    ).to.include({
+      rule: 'table-columns',
+      message: 'table row at line 3 has 3 cells, the header has 2',
+    });
+    expect(rules('Pick a | b or c | d.')).to.deep.equal([]);
+  });
+
+  it('should check the nesting of list items', () => {
+    expect(validateMarkdown('- one\n - two').issues[0]).to.include({
+      rule: 'list-indent',
+      message:
+        'list item at line 2 needs 2 spaces of indentation to nest under line 1',
+      column: 2,
+    });
+    expect(rules('1. one\n  - two')).to.deep.equal(['list-indent']);
+    expect(rules('- one\n        - two')).to.deep.equal(['list-indent']);
+    expect(rules('- one\n* two')).to.deep.equal(['list-marker']);
+    expect(rules('- one\n\nText\n\n* two')).to.deep.equal([]);
+  });
+
+  it('should pair emphasis delimiters', () => {
+    expect(validateMarkdown('This is *important.').issues).to.deep.equal([
+      {
+        rule: 'unclosed-emphasis',
+        message: 'unclosed "*" at line 1',
+        line: 1,
+        column: 9,
+      },
+    ]);
+    expect(rules('A **bold\nclaim** across lines')).to.deep.equal([]);
+    expect(rules('Done ~~yesterday')).to.deep.equal(['unclosed-emphasis']);
+  });
+
+  it('should not take arithmetic or identifiers for emphasis', () => {
+    const result = validateMarkdown(
+      '5 * 3 = 15, 2*3 = 6 and snake_case_name, see https://x.com/a_b'
+    );
+    expect(result).to.deep.equal({ structureScore: 0, issues: [] });
+  });
+
+  it('should check code spans, brackets and links', () => {
+    expect(rules('Run `npm test first.')).to.deep.equal(['unclosed-code']);
+    expect(rules('See [the docs for details.')).to.deep.equal([
+      'unclosed-bracket',
+    ]);
+    expect(rules('See [the docs](https://example.com for more.')).to.deep.equal(
+      ['unclosed-link']
+    );
+    expect(rules('Use `a * [b` and <b>*</b>.')).to.deep.equal([]);
+  });
+
+  it('should require definitions for references', () => {
+    expect(validateMarkdown('See [docs][ref] and [^2].').issues).to.deep.equal([
+      {
+        rule: 'undefined-reference',
+        message: 'reference "[ref]" at line 1 has no definition',
+        line: 1,
+        column: 5,
+      },
+      {
+        rule: 'undefined-reference',
+        message: 'reference "[^2]" at line 1 has no definition',
+        line: 1,
+        column: 21,
+      },
+    ]);
+    expect(rules('See [Docs] [docs].\n\n[DOCS]: /docs')).to.deep.equal([]);
+  });
+
+  it('should score the share of well-formed constructs', () => {
+    const { structureScore } = validateMarkdown(
+      '*one* *two* *three*\n\n- a\n - b'
+    );
+    expect(structureScore).to.equal(0.75);
+  });
+
+  it('should skip code blocks', () => {
+    expect(rules('Text\n\n    *not [closed\n\nMore')).to.deep.equal([]);
+    expect(rules('```\n*a [b\n```')).to.deep.equal([]);
+  });
+
+  it('should treat values that are not strings as empty text', () => {
+    expect(validateMarkdown(null)).to.deep.equal({
+      structureScore: 0,
+      issues: [],
+    });
+  });
+});